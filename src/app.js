@@ -5,6 +5,11 @@ import { ApiError } from "./utils/ApiError.js"
 
 const app = express()
 
+// needed behind a reverse proxy for req.ip (used by the rate limits) to be the client's address
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", isNaN(process.env.TRUST_PROXY) ? process.env.TRUST_PROXY : Number(process.env.TRUST_PROXY))
+}
+
 // Apply CORS globally with specific origins
 const allowedOrigins = [process.env.CORS_ORIGIN, 'https://cron-job.org'];
 
@@ -47,6 +52,12 @@ import commentRouter from './routes/comment.routes.js'
 import playlistRouter from './routes/playlist.routes.js'
 import savedTweetRouter from './routes/savedTweet.routes.js'
 import reportRouter from './routes/report.routes.js'
+import adminRouter from './routes/admin.routes.js'
+import notificationRouter from './routes/notification.routes.js'
+import feedRouter from './routes/feed.routes.js'
+import searchRouter from './routes/search.routes.js'
+import hashtagRouter from './routes/hashtag.routes.js'
+import analyticsRouter from './routes/analytics.routes.js'
 
 // routes declaration
 app.use("/api/v1/users", userRouter)
@@ -58,6 +69,12 @@ app.use("/api/v1/comments", commentRouter)
 app.use("/api/v1/playlists", playlistRouter)
 app.use("/api/v1/savedtweets", savedTweetRouter)
 app.use("/api/v1/reports", reportRouter)
+app.use("/api/v1/admin", adminRouter)
+app.use("/api/v1/notifications", notificationRouter)
+app.use("/api/v1/feed", feedRouter)
+app.use("/api/v1/search", searchRouter)
+app.use("/api/v1/hashtags", hashtagRouter)
+app.use("/api/v1/analytics", analyticsRouter)
 
 // middleware to send proper error response
 app.use((err, req, res, next) => {
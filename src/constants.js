@@ -1 +1,55 @@
-export const DB_NAME = "videotube"
\ No newline at end of file
+export const DB_NAME = "videotube"
+
+// maximum number of entries kept in a user's watch history
+export const WATCH_HISTORY_LIMIT = 500
+
+// chunked video uploads
+export const UPLOAD_MIN_CHUNK_SIZE = 256 * 1024 // every chunk except the last one must be at least this big
+export const UPLOAD_MAX_CHUNK_SIZE = 10 * 1024 * 1024
+export const UPLOAD_MAX_FILE_SIZE = 2 * 1024 * 1024 * 1024
+export const UPLOAD_SESSION_EXPIRY_HOURS = 24
+
+// outbound emails, retried with exponential backoff (30s, 1m, 2m, ...) before ending up in the dead letters
+export const EMAIL_MAX_ATTEMPTS = 6
+export const EMAIL_RETRY_BASE_SECONDS = 30
+export const EMAIL_RETRY_MAX_SECONDS = 60 * 60
+export const EMAIL_RESEND_COOLDOWN_SECONDS = 60
+export const EMAIL_OUTBOX_RETENTION_DAYS = 7
+
+// deleted accounts stay deactivated (and restorable by logging in) this many days before being purged,
+// ACCOUNT_DELETION_GRACE_DAYS overrides it
+export const ACCOUNT_DELETION_GRACE_DAYS = 30
+
+// personal data exports, the archive (and its download link) expires after this many hours
+export const DATA_EXPORT_EXPIRY_HOURS = 72
+export const DATA_EXPORT_MAX_ATTEMPTS = 3
+export const DATA_EXPORT_COOLDOWN_HOURS = 24 // a new export can be requested once the previous one is this old
+
+// HLS renditions made from every uploaded video, the ones taller than the source are skipped (bitrates in kbps)
+export const HLS_RENDITIONS = [
+    { name: "1080p", height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+    { name: "720p", height: 720, videoBitrate: 2800, audioBitrate: 128 },
+    { name: "480p", height: 480, videoBitrate: 1400, audioBitrate: 128 },
+    { name: "360p", height: 360, videoBitrate: 800, audioBitrate: 96 }
+]
+export const HLS_SEGMENT_SECONDS = 6
+export const VIDEO_PROCESSING_MAX_ATTEMPTS = 3
+export const THUMBNAIL_CANDIDATES_COUNT = 5 // frames offered as thumbnails, at evenly spaced timestamps
+
+// view counting: a view counts once the viewer watched this long (or half of a shorter video),
+// and only once per viewer and video within the window
+export const VIEW_MIN_WATCH_SECONDS = 30
+export const VIEW_DEDUPE_WINDOW_HOURS = 6
+export const VIEW_EVENT_RETENTION_DAYS = 30
+export const VIEW_WATCH_SLACK_SECONDS = 5 // a viewer can't report more watch time than elapsed since their first report, plus this
+
+// creator analytics: the selectable ranges (in days, up to today) and the number of top videos and tweets
+export const ANALYTICS_RANGES = { "7d": 7, "28d": 28, "90d": 90, "365d": 365 }
+export const ANALYTICS_DEFAULT_RANGE = "28d"
+export const ANALYTICS_TOP_LIMIT = 10
+
+// video chapters: a video has none or at least VIDEO_CHAPTERS_MIN_COUNT, each lasting at least VIDEO_CHAPTER_MIN_SECONDS
+export const VIDEO_CHAPTERS_MIN_COUNT = 2
+export const VIDEO_CHAPTERS_MAX_COUNT = 100
+export const VIDEO_CHAPTER_MIN_SECONDS = 10
+export const VIDEO_CHAPTER_TITLE_MAX_LENGTH = 100
\ No newline at end of file
@@ -0,0 +1,553 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import mongoose from "mongoose";
+import { Report } from "../models/report.model.js";
+import { ModerationAction } from "../models/moderationAction.model.js";
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Comment } from "../models/comment.model.js";
+import { DeletionReport } from "../models/deletionReport.model.js";
+import { deleteFile } from "../utils/storage.js";
+import { removeRenditions, removeThumbnail } from "../utils/videoProcessing.js";
+import { removeViewData } from "../utils/viewTracking.js";
+import { removeTweetStats } from "../utils/analytics.js";
+import { cursorMatch, getPaginationOptions, paginationSort, paginationStages, paginate } from "../utils/pagination.js";
+
+const contentModels = {
+    video: Video,
+    tweet: Tweet,
+    comment: Comment
+}
+
+const reportStatuses = ["pending", "dismissed", "resolved"]
+const moderationActions = ["dismiss", "hide", "delete", "warn", "suspend"]
+
+// matches every report filed against the given content, whatever its type
+const reportsOfContent = (contentId) => {
+    const contentObjectId = new mongoose.Types.ObjectId(String(contentId))
+    return {
+        $or: [
+            { video: contentObjectId },
+            { tweet: contentObjectId },
+            { comment: contentObjectId }
+        ]
+    }
+}
+
+// removes the content along with its media, comments with replies are kept as "[deleted]" placeholders
+const deleteReportedContent = async (contentType, content) => {
+    if (contentType === "comment") {
+        const hasReplies = await Comment.exists({ parentComment: content._id })
+
+        if (hasReplies) {
+            await Comment.findByIdAndUpdate(content._id, {
+                $set: { content: "[deleted]", isDeleted: true },
+                $unset: { owner: 1 }
+            })
+            return
+        }
+    }
+
+    await contentModels[contentType].findByIdAndDelete(content._id)
+
+    if (contentType === "video") {
+        await removeThumbnail(content)
+        await deleteFile(content.videoFileStorage || content.videoFile)
+        await removeRenditions(content)
+        await removeViewData([content._id])
+    }
+
+    if (contentType === "tweet") {
+        await Promise.all(content.images.map((imgUrl) => deleteFile(
+            content.imagesStorage?.find((image) => image.url === imgUrl) || imgUrl
+        )))
+        await removeTweetStats([content._id])
+    }
+}
+
+
+const getReportQueue = asyncHandler(async (req, res) => {
+    const { status = "pending", type } = req.query
+
+    const paginationOptions = getPaginationOptions(req.query, {
+        sortFields: ["reportsCount", "lastReportedAt"],
+        defaultSortBy: "reportsCount"
+    })
+
+    if (!reportStatuses.includes(status)) {
+        throw new ApiError(400, `Invalid status. Allowed values: ${reportStatuses.join(", ")}.`)
+    }
+
+    if (type && !contentModels[type]) {
+        throw new ApiError(400, `Invalid type. Allowed values: ${Object.keys(contentModels).join(", ")}.`)
+    }
+
+    // pipeline grouping the reports by content with a count per issue
+    const primaryPipeline = [
+        {
+            $match: {
+                status,
+                ...(type && { [type]: { $ne: null } })
+            }
+        },
+        {
+            $addFields: {
+                contentType: {
+                    $cond: [
+                        { $ifNull: ["$video", false] },
+                        "video",
+                        { $cond: [{ $ifNull: ["$tweet", false] }, "tweet", "comment"] }
+                    ]
+                },
+                contentId: { $ifNull: ["$video", { $ifNull: ["$tweet", "$comment"] }] }
+            }
+        },
+        {
+            $group: {
+                _id: {
+                    contentType: "$contentType",
+                    contentId: "$contentId",
+                    issue: "$issue"
+                },
+                count: { $sum: 1 },
+                lastReportedAt: { $max: "$createdAt" }
+            }
+        },
+        {
+            $group: {
+                _id: {
+                    contentType: "$_id.contentType",
+                    contentId: "$_id.contentId"
+                },
+                issues: {
+                    $push: {
+                        issue: "$_id.issue",
+                        count: "$count"
+                    }
+                },
+                reportsCount: { $sum: "$count" },
+                lastReportedAt: { $max: "$lastReportedAt" }
+            }
+        },
+        {
+            // the content id is unique across videos, tweets and comments, so it can be the cursor tie-breaker
+            $project: {
+                _id: "$_id.contentId",
+                contentType: "$_id.contentType",
+                issues: 1,
+                reportsCount: 1,
+                lastReportedAt: 1
+            }
+        }
+    ]
+
+    // pipeline for pagination and content details
+    const secondaryPipeline = [
+        ...paginationStages(paginationOptions),
+        ...Object.keys(contentModels).map((contentType) => ({
+            $lookup: {
+                from: contentModels[contentType].collection.name,
+                localField: "_id",
+                foreignField: "_id",
+                as: contentType,
+                pipeline: [
+                    {
+                        $project: {
+                            title: 1,
+                            thumbnail: 1,
+                            content: 1,
+                            images: 1,
+                            owner: 1,
+                            isHidden: 1,
+                            createdAt: 1
+                        }
+                    }
+                ]
+            }
+        })),
+        {
+            $addFields: {
+                content: {
+                    $arrayElemAt: [{ $concatArrays: ["$video", "$tweet", "$comment"] }, 0]
+                }
+            }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "content.owner",
+                foreignField: "_id",
+                as: "contentOwner",
+                pipeline: [
+                    {
+                        $project: {
+                            fullName: 1,
+                            username: 1,
+                            avatar: 1,
+                            warningsCount: 1,
+                            suspendedUntil: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $project: {
+                contentId: "$_id",
+                contentType: 1,
+                content: 1,
+                contentOwner: { $arrayElemAt: ["$contentOwner", 0] },
+                issues: 1,
+                reportsCount: 1,
+                lastReportedAt: 1
+            }
+        }
+    ]
+
+    const pageReportedContents = await Report.aggregate([
+        ...primaryPipeline,
+        ...secondaryPipeline
+    ])
+
+    const totalContents = await Report.aggregate([
+        ...primaryPipeline,
+        { $count: "totalContentsCount" }
+    ])
+
+    if (!pageReportedContents || !totalContents) {
+        throw new ApiError(400, "Something went wrong while fetching the reports.")
+    }
+
+    const totalContentsCount = totalContents.length > 0 ? totalContents[0].totalContentsCount : 0;
+
+    const { items: reportedContents, pagination } = paginate(pageReportedContents, paginationOptions, totalContentsCount)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    reports: reportedContents,
+                    pagination
+                },
+                totalContentsCount === 0 ? "No reports found." : "Reports fetched successfully."
+            )
+        )
+})
+
+
+const getContentReports = asyncHandler(async (req, res) => {
+    const { contentId } = req.params
+
+    if (!contentId) {
+        throw new ApiError(400, "Content Id is missing.")
+    }
+
+    if (!mongoose.isValidObjectId(contentId)) {
+        throw new ApiError(400, "Invalid Content Id format.")
+    }
+
+    const reports = await Report.find(reportsOfContent(contentId))
+        .sort({ createdAt: -1 })
+        .populate("reportBy", "fullName username avatar")
+        .populate("resolvedBy", "fullName username avatar")
+
+    if (!reports.length) {
+        throw new ApiError(404, "No reports found for this content.")
+    }
+
+    const actions = await ModerationAction.find({ contentId })
+        .sort({ createdAt: -1 })
+        .populate("moderator", "fullName username avatar")
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    reports,
+                    actions
+                },
+                "Content reports fetched successfully."
+            )
+        )
+})
+
+
+const resolveReport = asyncHandler(async (req, res) => {
+    const { contentId } = req.params
+    const { action, reason = "", suspendDays = 7 } = req.body
+
+    if (!contentId) {
+        throw new ApiError(400, "Content Id is missing.")
+    }
+
+    if (!mongoose.isValidObjectId(contentId)) {
+        throw new ApiError(400, "Invalid Content Id format.")
+    }
+
+    if (!moderationActions.includes(action)) {
+        throw new ApiError(400, `Invalid action. Allowed values: ${moderationActions.join(", ")}.`)
+    }
+
+    const pendingReports = await Report.find({
+        ...reportsOfContent(contentId),
+        status: "pending"
+    })
+
+    if (!pendingReports.length) {
+        throw new ApiError(404, "No pending reports found for this content.")
+    }
+
+    const contentType = Object.keys(contentModels).find((type) => pendingReports[0][type])
+    const content = await contentModels[contentType].findById(contentId)
+
+    if (!content && action !== "dismiss") {
+        throw new ApiError(404, "The reported content does not exist anymore, it can only be dismissed.")
+    }
+
+    const contentOwner = content?.owner ? await User.findById(content.owner) : null
+
+    if (["warn", "suspend"].includes(action)) {
+        if (!contentOwner) {
+            throw new ApiError(404, "The owner of this content does not exist.")
+        }
+
+        // moderators can only act against regular users
+        if (contentOwner.role !== "user" && req.user.role !== "admin") {
+            throw new ApiError(403, "Sorry! You don't have the authority to take this action against a staff member.")
+        }
+    }
+
+    let suspendedUntil;
+
+    switch (action) {
+        case "hide":
+            content.isHidden = true
+            content.hiddenByDeactivation = undefined // stays hidden even if the owner restores a deactivated account
+            await content.save({ validateBeforeSave: false })
+            break;
+
+        case "delete":
+            await deleteReportedContent(contentType, content)
+            break;
+
+        case "warn":
+            contentOwner.warningsCount += 1
+            await contentOwner.save({ validateBeforeSave: false })
+            break;
+
+        case "suspend": {
+            const days = Number(suspendDays)
+
+            if (!Number.isFinite(days) || days <= 0) {
+                throw new ApiError(400, "Suspension days must be a positive number.")
+            }
+
+            suspendedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+
+            // logging the owner out of every device
+            contentOwner.suspendedUntil = suspendedUntil
+            await contentOwner.save({ validateBeforeSave: false })
+            await Session.revokeAll(contentOwner._id)
+            break;
+        }
+    }
+
+    const reportIds = pendingReports.map((report) => report._id)
+
+    await Report.updateMany(
+        { _id: { $in: reportIds } },
+        {
+            $set: {
+                status: action === "dismiss" ? "dismissed" : "resolved",
+                resolvedBy: req.user._id,
+                resolvedAt: new Date()
+            }
+        }
+    )
+
+    const moderationAction = await ModerationAction.create({
+        contentType,
+        contentId,
+        contentOwner: content?.owner,
+        moderator: req.user._id,
+        action,
+        reason: String(reason).trim(),
+        suspendedUntil,
+        reports: reportIds
+    })
+
+    if (!moderationAction) {
+        throw new ApiError(500, "Something went wrong while saving the moderation action.")
+    }
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                moderationAction,
+                "Report resolved successfully."
+            )
+        )
+})
+
+
+const getModerationActions = asyncHandler(async (req, res) => {
+    const { contentId, moderatorId, action } = req.query
+
+    const paginationOptions = getPaginationOptions(req.query, { defaultLimit: 30 })
+
+    if (contentId && !mongoose.isValidObjectId(contentId)) {
+        throw new ApiError(400, "Invalid Content Id format.")
+    }
+
+    if (moderatorId && !mongoose.isValidObjectId(moderatorId)) {
+        throw new ApiError(400, "Invalid moderator Id format.")
+    }
+
+    if (action && !moderationActions.includes(action)) {
+        throw new ApiError(400, `Invalid action. Allowed values: ${moderationActions.join(", ")}.`)
+    }
+
+    const filter = {
+        ...(contentId && { contentId }),
+        ...(moderatorId && { moderator: moderatorId }),
+        ...(action && { action })
+    }
+
+    const pageActions = await ModerationAction.find({
+        ...filter,
+        ...cursorMatch(paginationOptions.cursor, paginationOptions.sortField, paginationOptions.sortOrder)
+    })
+        .sort(paginationSort(paginationOptions))
+        .limit(paginationOptions.limit + 1)
+        .populate("moderator", "fullName username avatar")
+        .populate("contentOwner", "fullName username avatar")
+
+    const totalActions = await ModerationAction.countDocuments(filter)
+
+    const { items: actions, pagination } = paginate(pageActions, paginationOptions, totalActions)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    actions,
+                    pagination
+                },
+                "Moderation actions fetched successfully."
+            )
+        )
+})
+
+
+// what the purge of every deleted account removed, see utils/accountDeletion.js
+const getDeletionReports = asyncHandler(async (req, res) => {
+    const { userId, status } = req.query
+
+    const paginationOptions = getPaginationOptions(req.query, { defaultLimit: 30 })
+
+    if (userId && !mongoose.isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid user Id format.")
+    }
+
+    if (status && !["completed", "failed"].includes(status)) {
+        throw new ApiError(400, "Invalid status. Allowed values: completed, failed.")
+    }
+
+    const filter = {
+        ...(userId && { user: userId }),
+        ...(status && { status })
+    }
+
+    const pageReports = await DeletionReport.find({
+        ...filter,
+        ...cursorMatch(paginationOptions.cursor, paginationOptions.sortField, paginationOptions.sortOrder)
+    })
+        .sort(paginationSort(paginationOptions))
+        .limit(paginationOptions.limit + 1)
+
+    const totalReports = await DeletionReport.countDocuments(filter)
+
+    const { items: reports, pagination } = paginate(pageReports, paginationOptions, totalReports)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    reports,
+                    pagination
+                },
+                "Deletion reports fetched successfully."
+            )
+        )
+})
+
+
+const updateUserRole = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const { role } = req.body
+
+    if (!userId) {
+        throw new ApiError(400, "User Id is missing.")
+    }
+
+    if (!mongoose.isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid user Id format.")
+    }
+
+    const roles = User.schema.path("role").enumValues
+
+    if (!roles.includes(role)) {
+        throw new ApiError(400, `Invalid role. Allowed values: ${roles.join(", ")}.`)
+    }
+
+    if (req.user._id.equals(userId)) {
+        throw new ApiError(400, "You cannot change your own role.")
+    }
+
+    const user = await User.findByIdAndUpdate(
+        userId,
+        {
+            $set: { role }
+        },
+        {
+            new: true
+        }
+    ).select("fullName username avatar role")
+
+    if (!user) {
+        throw new ApiError(404, "User not found.")
+    }
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                user,
+                "User role updated successfully."
+            )
+        )
+})
+
+
+export {
+    getReportQueue,
+    getContentReports,
+    resolveReport,
+    getModerationActions,
+    getDeletionReports,
+    updateUserRole
+}
@@ -0,0 +1,171 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { VideoDailyStat } from "../models/videoDailyStat.model.js";
+import { TweetDailyStat } from "../models/tweetDailyStat.model.js";
+import { ChannelDailyStat } from "../models/channelDailyStat.model.js";
+import { approvedSubscriptions } from "../utils/userRelations.js";
+import { getAnalyticsRange, sumFields, toTimeSeries } from "../utils/analytics.js";
+import { ANALYTICS_TOP_LIMIT } from "../constants.js";
+
+const videoFields = ["views", "uniqueViewers", "watchSeconds", "likes", "comments"]
+const channelFields = [...videoFields, "subscribersGained", "subscribersLost"]
+
+// a viewer is unique once per video and day, the totals add up the unique viewers of the days
+const sumStages = (groupBy, fields) => [
+    {
+        $group: {
+            _id: groupBy,
+            ...Object.fromEntries(fields.map((field) => [field, { $sum: `$${field}` }]))
+        }
+    }
+]
+
+const averageViewSeconds = ({ views, watchSeconds }) => views > 0 ? Math.round(watchSeconds / views) : 0
+
+
+const getChannelAnalytics = asyncHandler(async (req, res) => {
+    const analyticsRange = getAnalyticsRange(req.query)
+    const { from, to } = analyticsRange
+
+    const userId = req.user._id
+    const inRange = { date: { $gte: from, $lt: to } }
+
+    const [videoDays, channelDays, topVideos, topTweets, subscribers] = await Promise.all([
+        VideoDailyStat.aggregate([
+            { $match: { owner: userId, ...inRange } },
+            ...sumStages("$date", videoFields),
+            { $addFields: { date: "$_id" } }
+        ]),
+        ChannelDailyStat.find({ channel: userId, ...inRange }).lean(),
+        VideoDailyStat.aggregate([
+            { $match: { owner: userId, ...inRange } },
+            ...sumStages("$video", videoFields),
+            { $sort: { views: -1, watchSeconds: -1, _id: 1 } },
+            { $limit: ANALYTICS_TOP_LIMIT },
+            {
+                $lookup: {
+                    from: "videos",
+                    localField: "_id",
+                    foreignField: "_id",
+                    as: "video",
+                    pipeline: [
+                        {
+                            $project: {
+                                title: 1,
+                                thumbnail: 1,
+                                duration: 1,
+                                visibility: 1,
+                                createdAt: 1
+                            }
+                        }
+                    ]
+                }
+            },
+            { $unwind: "$video" }
+        ]),
+        TweetDailyStat.aggregate([
+            { $match: { owner: userId, ...inRange } },
+            ...sumStages("$tweet", ["likes", "comments"]),
+            { $addFields: { engagements: { $add: ["$likes", "$comments"] } } },
+            { $sort: { engagements: -1, _id: 1 } },
+            { $limit: ANALYTICS_TOP_LIMIT },
+            {
+                $lookup: {
+                    from: "tweets",
+                    localField: "_id",
+                    foreignField: "_id",
+                    as: "tweet",
+                    pipeline: [
+                        {
+                            $project: {
+                                content: 1,
+                                images: 1,
+                                createdAt: 1
+                            }
+                        }
+                    ]
+                }
+            },
+            { $unwind: "$tweet" }
+        ]),
+        Subscription.countDocuments({ channel: userId, ...approvedSubscriptions })
+    ])
+
+    const timeSeries = toTimeSeries(analyticsRange, [...videoDays, ...channelDays], channelFields)
+    const totals = sumFields(timeSeries, channelFields)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    range: analyticsRange,
+                    subscribers,
+                    totals: {
+                        ...totals,
+                        netSubscribers: totals.subscribersGained - totals.subscribersLost,
+                        averageViewSeconds: averageViewSeconds(totals)
+                    },
+                    timeSeries,
+                    topVideos,
+                    topTweets
+                },
+                "Channel analytics fetched successfully."
+            )
+        )
+})
+
+
+const getVideoAnalytics = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    if (!mongoose.isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video ID format!");
+    }
+
+    const analyticsRange = getAnalyticsRange(req.query)
+    const { from, to } = analyticsRange
+
+    const video = await Video.findById(videoId).select("title thumbnail duration views visibility owner createdAt")
+
+    if (!video) {
+        throw new ApiError(404, "Video does not exist!")
+    }
+
+    if (!video.owner.equals(req.user._id)) {
+        throw new ApiError(403, "Sorry! You don't have the authority to see the analytics of this video.");
+    }
+
+    const videoDays = await VideoDailyStat.find({ video: video._id, date: { $gte: from, $lt: to } }).lean()
+
+    const timeSeries = toTimeSeries(analyticsRange, videoDays, videoFields)
+    const totals = sumFields(timeSeries, videoFields)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    video,
+                    range: analyticsRange,
+                    totals: {
+                        ...totals,
+                        averageViewSeconds: averageViewSeconds(totals)
+                    },
+                    timeSeries
+                },
+                "Video analytics fetched successfully."
+            )
+        )
+})
+
+export {
+    getChannelAnalytics,
+    getVideoAnalytics
+}
\ No newline at end of file
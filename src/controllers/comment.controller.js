@@ -3,6 +3,82 @@ import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import mongoose from "mongoose";
 import { Comment } from "../models/comment.model.js";
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { notify } from "../utils/notification.js";
+import { extractTextEntities, notifyMentions } from "../utils/textEntities.js";
+import { watchableVideosFor } from "../utils/videoVisibility.js";
+import { recordTweetActivity, recordVideoActivity } from "../utils/analytics.js";
+import { assertNotBlocked, getHiddenUserIds, excludeOwners } from "../utils/userRelations.js";
+import { getPaginationOptions, paginationStages, paginate } from "../utils/pagination.js";
+
+// number of replies embedded under each comment in the comment lists
+const REPLIES_PREVIEW_LIMIT = 3
+
+// stages adding the replies count and a preview of the first few replies to each comment,
+// without the replies of the users hidden from the current user (blocked or muted)
+const repliesPreviewStages = (hiddenUserIds = []) => {
+    const visibleReplies = { $match: { isHidden: { $ne: true }, ...excludeOwners(hiddenUserIds) } }
+
+    return [
+        {
+            $lookup: {
+                from: "comments",
+                localField: "_id",
+                foreignField: "parentComment",
+                as: "repliesCount",
+                pipeline: [
+                    visibleReplies,
+                    { $count: "count" }
+                ]
+            }
+        },
+        {
+            $lookup: {
+                from: "comments",
+                localField: "_id",
+                foreignField: "parentComment",
+                as: "replies",
+                pipeline: [
+                    visibleReplies,
+                    {
+                        $sort: { createdAt: 1 }
+                    },
+                    {
+                        $limit: REPLIES_PREVIEW_LIMIT
+                    },
+                    {
+                        $lookup: {
+                            from: "users",
+                            localField: "owner",
+                            foreignField: "_id",
+                            as: "owner",
+                            pipeline: [
+                                {
+                                    $project: {
+                                        fullName: 1,
+                                        username: 1,
+                                        avatar: 1
+                                    }
+                                }
+                            ]
+                        }
+                    },
+                    {
+                        $addFields: {
+                            owner: { $arrayElemAt: ["$owner", 0] }
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                repliesCount: { $ifNull: [{ $arrayElemAt: ["$repliesCount.count", 0] }, 0] }
+            }
+        }
+    ]
+}
 
 
 const addVideoComment = asyncHandler(async (req, res) => {
@@ -21,9 +97,21 @@ const addVideoComment = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid video ID format.")
     }
 
+    const video = await Video.findOne({ _id: videoId, ...watchableVideosFor(req.user._id) }).select("owner")
+
+    if (!video) {
+        throw new ApiError(404, "Video not found.")
+    }
+
+    await assertNotBlocked(req.user._id, video?.owner, "You can't comment on this video.")
+
+    const { hashtags, mentions } = await extractTextEntities(req.user._id, content)
+
     const comment = await Comment.create({
         content,
         video: videoId,
+        hashtags,
+        mentions,
         owner: req.user._id
     })
 
@@ -31,6 +119,23 @@ const addVideoComment = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Something went wrong while adding a comment.")
     }
 
+    await notify({
+        recipient: video?.owner,
+        actor: req.user._id,
+        type: "video_comment",
+        video: videoId,
+        comment: comment._id
+    })
+
+    await notifyMentions({
+        mentions,
+        actor: req.user._id,
+        video: videoId,
+        comment: comment._id
+    })
+
+    await recordVideoActivity(video, { comments: 1 })
+
     return res
         .status(200)
         .json(
@@ -60,9 +165,17 @@ const addTweetComment = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid tweet ID format.")
     }
 
+    const tweet = await Tweet.findById(tweetId).select("owner")
+
+    await assertNotBlocked(req.user._id, tweet?.owner, "You can't comment on this tweet.")
+
+    const { hashtags, mentions } = await extractTextEntities(req.user._id, content)
+
     const comment = await Comment.create({
         content,
         tweet: tweetId,
+        hashtags,
+        mentions,
         owner: req.user._id
     })
 
@@ -70,6 +183,23 @@ const addTweetComment = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Something went wrong while adding a comment.")
     }
 
+    await notify({
+        recipient: tweet?.owner,
+        actor: req.user._id,
+        type: "tweet_comment",
+        tweet: tweetId,
+        comment: comment._id
+    })
+
+    await notifyMentions({
+        mentions,
+        actor: req.user._id,
+        tweet: tweetId,
+        comment: comment._id
+    })
+
+    await recordTweetActivity(tweet, { comments: 1 })
+
     return res
         .status(200)
         .json(
@@ -83,6 +213,88 @@ const addTweetComment = asyncHandler(async (req, res) => {
 })
 
 
+const addCommentReply = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+    const { content } = req.body
+
+    if (!commentId) {
+        throw new ApiError(400, "Comment Id is missing!")
+    }
+
+    if (!content || !content.trim()) {
+        throw new ApiError(400, "Content is required")
+    }
+
+    if (!mongoose.isValidObjectId(commentId)) {
+        throw new ApiError(400, "Invalid comment ID format.")
+    }
+
+    const parentComment = await Comment.findById(commentId)
+
+    if (!parentComment || parentComment.isDeleted || parentComment.isHidden) {
+        throw new ApiError(404, "Comment does not exist!")
+    }
+
+    // neither the author of the comment nor the owner of the video or tweet may have blocked the user
+    const commentedContent = parentComment.video
+        ? await Video.findById(parentComment.video).select("owner")
+        : await Tweet.findById(parentComment.tweet).select("owner")
+
+    await assertNotBlocked(req.user._id, parentComment.owner, "You can't reply to this comment.")
+    await assertNotBlocked(req.user._id, commentedContent?.owner, "You can't reply to this comment.")
+
+    const { hashtags, mentions } = await extractTextEntities(req.user._id, content)
+
+    // the reply belongs to the same video or tweet as the parent comment
+    const reply = await Comment.create({
+        content,
+        video: parentComment.video,
+        tweet: parentComment.tweet,
+        hashtags,
+        mentions,
+        owner: req.user._id,
+        parentComment: parentComment._id
+    })
+
+    if (!reply) {
+        throw new ApiError(400, "Something went wrong while adding a reply.")
+    }
+
+    await notify({
+        recipient: parentComment.owner,
+        actor: req.user._id,
+        type: "comment_reply",
+        video: parentComment.video,
+        tweet: parentComment.tweet,
+        comment: reply._id
+    })
+
+    await notifyMentions({
+        mentions,
+        actor: req.user._id,
+        video: parentComment.video,
+        tweet: parentComment.tweet,
+        comment: reply._id
+    })
+
+    if (parentComment.video) {
+        await recordVideoActivity(commentedContent, { comments: 1 })
+    } else {
+        await recordTweetActivity(commentedContent, { comments: 1 })
+    }
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                reply,
+                "Reply added successfully."
+            )
+        )
+})
+
+
 const updateComment = asyncHandler(async (req, res) => {
 
     const { commentId } = req.params
@@ -98,7 +310,7 @@ const updateComment = asyncHandler(async (req, res) => {
 
     const comment = await Comment.findById(commentId)
     
-    if (!comment) {
+    if (!comment || comment.isDeleted) {
         throw new ApiError(404, "Comment does not exist!")
     }
 
@@ -111,12 +323,15 @@ const updateComment = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Content can not be empty.")
     }
 
+    const { hashtags, mentions } = await extractTextEntities(req.user._id, content)
+
     const updatedComment = await Comment.findByIdAndUpdate(
         commentId,
         {
             $set: {
                 content,
-
+                hashtags,
+                mentions
             },
         },
         {
@@ -128,6 +343,15 @@ const updateComment = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Something went wrong while updating the comment.")
     }
 
+    await notifyMentions({
+        mentions,
+        previousMentions: comment.mentions,
+        actor: req.user._id,
+        video: comment.video,
+        tweet: comment.tweet,
+        comment: comment._id
+    })
+
     return res
         .status(200)
         .json(
@@ -141,6 +365,15 @@ const updateComment = asyncHandler(async (req, res) => {
 })
 
 
+// takes a deleted comment off the analytics of its video or tweet, once: a placeholder removed later isn't counted again
+const recordCommentRemoval = async (comment) => {
+    if (comment.video) {
+        await recordVideoActivity(await Video.findById(comment.video).select("owner"), { comments: -1 })
+    } else {
+        await recordTweetActivity(await Tweet.findById(comment.tweet).select("owner"), { comments: -1 })
+    }
+}
+
 const deleteComment = asyncHandler(async (req, res) => {
 
     const { commentId } = req.params
@@ -155,7 +388,7 @@ const deleteComment = asyncHandler(async (req, res) => {
 
     const comment = await Comment.findById(commentId)
     
-    if (!comment) {
+    if (!comment || comment.isDeleted) {
         throw new ApiError(404, "Comment does not exist!")
     }
 
@@ -164,12 +397,60 @@ const deleteComment = asyncHandler(async (req, res) => {
         throw new ApiError(403, "Sorry! You don't have the authority to delete this comment.");
     }
 
+    const hasReplies = await Comment.exists({ parentComment: comment._id })
+
+    // keeping a placeholder so that the replies stay attached to the thread
+    if (hasReplies) {
+        const placeholder = await Comment.findByIdAndUpdate(
+            commentId,
+            {
+                $set: {
+                    content: "[deleted]",
+                    isDeleted: true
+                },
+                $unset: {
+                    owner: 1
+                }
+            },
+            {
+                new: true
+            }
+        )
+
+        if (!placeholder) {
+            throw new ApiError(400, "Something went wrong while deleting the comment.")
+        }
+
+        await recordCommentRemoval(comment)
+
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(
+                    200,
+                    placeholder,
+                    "Comment deleted successfully."
+                )
+            )
+    }
+
     const deletedComment = await Comment.findByIdAndDelete(commentId)
 
     if (!deletedComment) {
         throw new ApiError(400, "Something went wrong while deleting the comment.")
     }
 
+    await recordCommentRemoval(comment)
+
+    // removing the parent placeholder once its last reply is gone
+    if (comment.parentComment) {
+        const parentComment = await Comment.findById(comment.parentComment)
+
+        if (parentComment?.isDeleted && !(await Comment.exists({ parentComment: parentComment._id }))) {
+            await Comment.findByIdAndDelete(parentComment._id)
+        }
+    }
+
     return res
         .status(200)
         .json(
@@ -185,7 +466,11 @@ const deleteComment = asyncHandler(async (req, res) => {
 const getVideoComments = asyncHandler(async (req, res) => {
 
     const { videoId } = req.params
-    const { page = 1, limit = 50, sortBy = "createdAt", sortType = "desc" } = req.query
+
+    const paginationOptions = getPaginationOptions(req.query, {
+        defaultLimit: 50,
+        sortFields: ["createdAt", "likesCount"]
+    })
 
     if (!videoId) {
         throw new ApiError(400, "Video Id is missing!")
@@ -197,11 +482,17 @@ const getVideoComments = asyncHandler(async (req, res) => {
 
     const userId = req.user ? req.user._id : null;
 
+    // comments of blocked and muted users are left out
+    const hiddenUserIds = await getHiddenUserIds(userId)
+
     // pipeline to filter data
     const primaryPipeline = [
         {
             $match: {
-                video: new mongoose.Types.ObjectId(String(videoId))
+                video: new mongoose.Types.ObjectId(String(videoId)),
+                parentComment: null, // only top-level comments, replies come with their parent
+                isHidden: { $ne: true },
+                ...excludeOwners(hiddenUserIds)
             },
         },
         {
@@ -272,56 +563,30 @@ const getVideoComments = asyncHandler(async (req, res) => {
                     }
                 } : false,
             }
-        }
-    ]
-
-    // pipeline for pagination
-    const secondaryPipeline = [
-        {
-            $sort: { [sortBy]: sortType === 'asc' ? 1 : -1 }
         },
-
-        // {
-        //     $skip: (page - 1) * limit
-        // },
-
-        // {
-        //     $limit: parseInt(limit)
-        // }
+        ...repliesPreviewStages(hiddenUserIds)
     ]
 
-    let comments, totalComments;
+    let pageComments, totalComments;
 
     try {
-        comments = await Comment.aggregate([...primaryPipeline, ...secondaryPipeline]);
+        pageComments = await Comment.aggregate([...primaryPipeline, ...paginationStages(paginationOptions)]);
 
         totalComments = await Comment.countDocuments({
-            video: new mongoose.Types.ObjectId(String(videoId))
+            video: new mongoose.Types.ObjectId(String(videoId)),
+            parentComment: null,
+            isHidden: { $ne: true },
+            ...excludeOwners(hiddenUserIds)
         });
     } catch (err) {
         throw new ApiError(500, "Aggregation error: " + err.message);
     }
 
-    if (!comments) {
+    if (!pageComments) {
         throw new ApiError(400, "Something went wrong while fetching comments.");
     }
 
-    if (totalComments === 0) {
-        return res
-            .status(200)
-            .json(
-                new ApiResponse(
-                    200,
-                    {
-                        comments: [],
-                        currentPage: parseInt(page),
-                        totalPages: 0,
-                        totalTweets: 0
-                    },
-                    "No comments found for this video."
-                )
-            )
-    }
+    const { items: comments, pagination } = paginate(pageComments, paginationOptions, totalComments)
 
     return res
         .status(200)
@@ -330,11 +595,9 @@ const getVideoComments = asyncHandler(async (req, res) => {
                 200,
                 {
                     comments,
-                    currentPage: parseInt(page),
-                    totalPages: Math.ceil(totalComments / limit),
-                    totalComments
+                    pagination
                 },
-                "Comments fetched successfully."
+                totalComments === 0 ? "No comments found for this video." : "Comments fetched successfully."
             )
         )
 })
@@ -343,7 +606,11 @@ const getVideoComments = asyncHandler(async (req, res) => {
 const getTweetComments = asyncHandler(async (req, res) => {
 
     const { tweetId } = req.params
-    const { page = 1, limit = 50, sortBy = "createdAt", sortType = "desc" } = req.query
+
+    const paginationOptions = getPaginationOptions(req.query, {
+        defaultLimit: 50,
+        sortFields: ["createdAt", "likesCount"]
+    })
 
     if (!tweetId) {
         throw new ApiError(400, "Tweet Id is missing!")
@@ -355,11 +622,17 @@ const getTweetComments = asyncHandler(async (req, res) => {
 
     const userId = req.user ? req.user._id : null;
 
+    // comments of blocked and muted users are left out
+    const hiddenUserIds = await getHiddenUserIds(userId)
+
     // pipeline to filter data
     const primaryPipeline = [
         {
             $match: {
-                tweet: new mongoose.Types.ObjectId(String(tweetId))
+                tweet: new mongoose.Types.ObjectId(String(tweetId)),
+                parentComment: null, // only top-level comments, replies come with their parent
+                isHidden: { $ne: true },
+                ...excludeOwners(hiddenUserIds)
             },
         },
         {
@@ -430,57 +703,31 @@ const getTweetComments = asyncHandler(async (req, res) => {
                     }
                 } : false,
             }
-        }
-    ]
-
-    // pipeline for pagination
-    const secondaryPipeline = [
-        {
-            $sort: { [sortBy]: sortType === 'asc' ? 1 : -1 }
         },
-
-        // {
-        //     $skip: (page - 1) * limit
-        // },
-
-        // {
-        //     $limit: parseInt(limit)
-        // }
+        ...repliesPreviewStages(hiddenUserIds)
     ]
 
-    let comments, totalComments;
+    let pageComments, totalComments;
 
     try {
-        comments = await Comment.aggregate([...primaryPipeline, ...secondaryPipeline]);
+        pageComments = await Comment.aggregate([...primaryPipeline, ...paginationStages(paginationOptions)]);
         
         totalComments = await Comment.countDocuments({
-            tweet: new mongoose.Types.ObjectId(String(tweetId))
+            tweet: new mongoose.Types.ObjectId(String(tweetId)),
+            parentComment: null,
+            isHidden: { $ne: true },
+            ...excludeOwners(hiddenUserIds)
         });
     } catch (err) {
         throw new ApiError(500, "Aggregation error: " + err.message);
     }
 
-    if (!comments) {
+    if (!pageComments) {
         throw new ApiError(400, "Something went wrong while fetching comments.");
     }
 
 
-    if (totalComments === 0) {
-        return res
-            .status(200)
-            .json(
-                new ApiResponse(
-                    200,
-                    {
-                        comments: [],
-                        currentPage: parseInt(page),
-                        totalPages: 0,
-                        totalTweets: 0
-                    },
-                    "No comments found for this tweet."
-                )
-            )
-    }
+    const { items: comments, pagination } = paginate(pageComments, paginationOptions, totalComments)
 
     return res
         .status(200)
@@ -489,22 +736,130 @@ const getTweetComments = asyncHandler(async (req, res) => {
                 200,
                 {
                     comments,
-                    currentPage: parseInt(page),
-                    totalPages: Math.ceil(totalComments / limit),
-                    totalComments
+                    pagination
                 },
-                "Comments fetched successfully."
+                totalComments === 0 ? "No comments found for this tweet." : "Comments fetched successfully."
             )
         )
 })
 
 
+const getCommentReplies = asyncHandler(async (req, res) => {
+
+    const { commentId } = req.params
+
+    const paginationOptions = getPaginationOptions(req.query, { defaultSortType: "asc" })
+
+    if (!commentId) {
+        throw new ApiError(400, "Comment Id is missing!")
+    }
+
+    if (!mongoose.isValidObjectId(commentId)) {
+        throw new ApiError(400, "Invalid comment ID format.")
+    }
+
+    const parentComment = await Comment.findById(commentId)
+
+    if (!parentComment || parentComment.isHidden) {
+        throw new ApiError(404, "Comment does not exist!")
+    }
+
+    const userId = req.user ? req.user._id : null;
+
+    // comments of blocked and muted users are left out
+    const hiddenUserIds = await getHiddenUserIds(userId)
+
+    const pageReplies = await Comment.aggregate([
+        {
+            $match: {
+                parentComment: parentComment._id,
+                isHidden: { $ne: true },
+                ...excludeOwners(hiddenUserIds)
+            }
+        },
+        ...paginationStages(paginationOptions),
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $project: {
+                            fullName: 1,
+                            username: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            },
+        },
+        {
+            $lookup: {
+                from: "likes",
+                localField: "_id",
+                foreignField: "comment",
+                as: "likes",
+                pipeline: [
+                    {
+                        $project: {
+                            likedBy: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                owner: {
+                    $arrayElemAt: ["$owner", 0]
+                },
+                likesCount: {
+                    $size: "$likes"
+                },
+                isLikedByUser: userId ? {
+                    $in: [userId, "$likes.likedBy"]
+                } : false,
+            }
+        },
+        ...repliesPreviewStages(hiddenUserIds)
+    ])
+
+    if (!pageReplies) {
+        throw new ApiError(400, "Something went wrong while fetching replies.");
+    }
+
+    const totalReplies = await Comment.countDocuments({
+        parentComment: parentComment._id,
+        isHidden: { $ne: true },
+        ...excludeOwners(hiddenUserIds)
+    })
+
+    const { items: replies, pagination } = paginate(pageReplies, paginationOptions, totalReplies)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    replies,
+                    pagination
+                },
+                totalReplies === 0 ? "No replies found for this comment." : "Replies fetched successfully."
+            )
+        )
+})
+
 
 export {
     addVideoComment,
     addTweetComment,
+    addCommentReply,
     updateComment,
     deleteComment,
     getVideoComments,
-    getTweetComments
+    getTweetComments,
+    getCommentReplies
 }
\ No newline at end of file
@@ -0,0 +1,124 @@
+import fs from "fs";
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { DataExport } from "../models/dataExport.model.js";
+import { User } from "../models/user.model.js";
+import { verifyToken } from "../utils/jwt.js";
+import { archivePath, getDownloadUrl, startExport } from "../utils/dataExport.js";
+import { DATA_EXPORT_COOLDOWN_HOURS } from "../constants.js";
+
+const toExportStatus = (dataExport) => ({
+    _id: dataExport._id,
+    status: dataExport.status,
+    createdAt: dataExport.createdAt,
+    ...(dataExport.status === "ready" && {
+        completedAt: dataExport.completedAt,
+        fileSize: dataExport.fileSize,
+        missingFiles: dataExport.missingFiles,
+        expiresAt: dataExport.expiresAt,
+        downloadUrl: getDownloadUrl(dataExport)
+    }),
+    ...(dataExport.status === "failed" && { failureReason: dataExport.failureReason })
+})
+
+// the archive is built in the background, the user gets an email with the download link once it is ready
+const requestDataExport = asyncHandler(async (req, res) => {
+    const latestExport = await DataExport.findOne({ user: req.user._id }).sort({ createdAt: -1 })
+
+    // an export on its way, or a recent one, is returned instead of building another archive
+    if (latestExport && ["pending", "processing"].includes(latestExport.status)) {
+        return res
+            .status(202)
+            .json(
+                new ApiResponse(
+                    202,
+                    toExportStatus(latestExport),
+                    "Your data export is already being prepared."
+                )
+            )
+    }
+
+    const cooldownEnd = latestExport
+        ? new Date(latestExport.createdAt.getTime() + DATA_EXPORT_COOLDOWN_HOURS * 60 * 60 * 1000)
+        : null
+
+    if (latestExport?.status === "ready" && cooldownEnd > new Date()) {
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(
+                    200,
+                    toExportStatus(latestExport),
+                    `Your latest data export is still available. A new one can be requested after ${cooldownEnd.toISOString()}.`
+                )
+            )
+    }
+
+    const dataExport = await DataExport.create({ user: req.user._id })
+
+    if (!dataExport) {
+        throw new ApiError(500, "Something went wrong while requesting the data export.")
+    }
+
+    startExport(dataExport._id)
+
+    return res
+        .status(202)
+        .json(
+            new ApiResponse(
+                202,
+                toExportStatus(dataExport),
+                "Your data export is being prepared. You will receive an email once it is ready."
+            )
+        )
+})
+
+const getDataExports = asyncHandler(async (req, res) => {
+    const dataExports = await DataExport.find({ user: req.user._id }).sort({ createdAt: -1 })
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                dataExports.map(toExportStatus),
+                "Data exports fetched successfully."
+            )
+        )
+})
+
+// the link of the email, it doesn't need the user to be logged in
+const downloadDataExport = asyncHandler(async (req, res) => {
+    const { token } = req.params
+
+    const { data } = verifyToken(token)
+
+    if (data?.purpose !== "data-export" || !mongoose.isValidObjectId(data?.exportId)) {
+        throw new ApiError(400, "Invalid download link.")
+    }
+
+    const dataExport = await DataExport.findById(data.exportId)
+
+    if (!dataExport || dataExport.status !== "ready" || dataExport.expiresAt <= new Date()) {
+        throw new ApiError(410, "This data export has expired. Please request a new one.")
+    }
+
+    const filePath = archivePath(dataExport.fileName)
+
+    if (!fs.existsSync(filePath)) {
+        throw new ApiError(410, "This data export has expired. Please request a new one.")
+    }
+
+    const user = await User.findById(dataExport.user).select("username")
+    const date = dataExport.completedAt.toISOString().slice(0, 10)
+
+    return res.download(filePath, `${user?.username || "fuzion"}-data-${date}.tar.gz`)
+})
+
+export {
+    requestDataExport,
+    getDataExports,
+    downloadDataExport
+}
\ No newline at end of file
@@ -0,0 +1,124 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { EmailOutbox } from "../models/emailOutbox.model.js";
+import { Registration } from "../models/registration.model.js";
+import { User } from "../models/user.model.js";
+import { verifyToken } from "../utils/jwt.js";
+import { otpMailKey } from "../utils/sendEmail.js";
+import { requeueMail, toEmailStatus } from "../utils/emailOutbox.js";
+import { EMAIL_RESEND_COOLDOWN_SECONDS } from "../constants.js";
+
+// the OTP emails a client can follow and request again, identified by the token issued when the OTP was sent,
+// read from its cookie or from its header (the same ones the endpoint verifying the OTP reads)
+//  isCodeValid(mail) -> whether the OTP of the email can still be used, an expired OTP is not worth resending
+const otpEmails = {
+    "verification": {
+        tokenCookie: "emailToken",
+        tokenHeader: "authorization",
+        isCodeValid: async (mail) => Boolean(await Registration.exists({ email: mail.to }))
+    },
+    "password-reset": {
+        tokenCookie: "forgotPassToken",
+        tokenHeader: "authorization",
+        isCodeValid: async (mail) => Boolean(await User.exists({
+            _id: mail.user,
+            forgotPasswordOtpExpiry: { $gt: new Date() }
+        }))
+    },
+    "email-change": {
+        tokenCookie: "updateEmailToken",
+        tokenHeader: "updateemailtoken", // the authorization header carries the access token of the logged in user
+        requiresLogin: true,
+        isCodeValid: async (mail) => Boolean(await User.exists({
+            _id: mail.user,
+            updateEmailOTPExpiry: { $gt: new Date() }
+        }))
+    }
+}
+
+const findOtpEmail = async (req) => {
+    const { template } = req.params
+
+    const otpEmail = otpEmails[template]
+
+    if (!otpEmail) {
+        throw new ApiError(400, `Invalid email type. Allowed values: ${Object.keys(otpEmails).join(", ")}.`)
+    }
+
+    if (otpEmail.requiresLogin && !req.user) {
+        throw new ApiError(401, "Unauthorized request.")
+    }
+
+    const incomingToken = req.cookies?.[otpEmail.tokenCookie]
+        || req.headers[otpEmail.tokenHeader]?.replace(/^Bearer\s+/i, "")
+
+    if (!incomingToken) {
+        throw new ApiError(400, 'Token is required');
+    }
+
+    const email = verifyToken(incomingToken).data
+
+    const mail = await EmailOutbox.findOne({ dedupeKey: otpMailKey(template, email) })
+
+    if (!mail || (otpEmail.requiresLogin && !mail.user?.equals(req.user._id))) {
+        throw new ApiError(404, "Email not found.")
+    }
+
+    return { mail, otpEmail }
+}
+
+const getEmailStatus = asyncHandler(async (req, res) => {
+    const { mail } = await findOtpEmail(req)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                toEmailStatus(mail),
+                "Email status fetched successfully."
+            )
+        )
+})
+
+// sends the same email (and OTP) once more, never a second copy while the first one is still on its way
+const resendEmail = asyncHandler(async (req, res) => {
+    const { mail, otpEmail } = await findOtpEmail(req)
+
+    if (!(await otpEmail.isCodeValid(mail))) {
+        throw new ApiError(410, "The OTP has expired. Please request a new one.")
+    }
+
+    if (mail.status === "sent") {
+        const retryAfter = Math.ceil(
+            (mail.sentAt.getTime() + EMAIL_RESEND_COOLDOWN_SECONDS * 1000 - Date.now()) / 1000
+        )
+
+        if (retryAfter > 0) {
+            res.set("Retry-After", String(retryAfter))
+            throw new ApiError(429, `The email was just sent. Please try again in ${retryAfter} seconds.`)
+        }
+    }
+
+    const resentMail = await requeueMail(mail)
+
+    const statusCode = resentMail.status === "sent" ? 200 : 202
+
+    return res
+        .status(statusCode)
+        .json(
+            new ApiResponse(
+                statusCode,
+                toEmailStatus(resentMail),
+                resentMail.status === "sent"
+                    ? "Email sent successfully."
+                    : "The email couldn't be sent yet, it will be retried automatically."
+            )
+        )
+})
+
+export {
+    getEmailStatus,
+    resendEmail
+}
\ No newline at end of file
@@ -0,0 +1,210 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Subscription } from "../models/subscription.model.js";
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { cursorMatch, getPaginationOptions, paginationSort, paginate } from "../utils/pagination.js";
+import { approvedSubscriptions, getHiddenUserIds } from "../utils/userRelations.js";
+import { playableVideos } from "../utils/videoProcessing.js";
+
+
+// the likes and comments of the feed items of the given type ("video" or "tweet")
+const engagementStages = (type) => [
+    {
+        $lookup: {
+            from: "likes",
+            localField: "_id",
+            foreignField: type,
+            as: "likes",
+            pipeline: [{ $project: { likedBy: 1 } }]
+        }
+    },
+    {
+        $lookup: {
+            from: "comments",
+            localField: "_id",
+            foreignField: type,
+            as: "comments",
+            pipeline: [{ $project: { _id: 1 } }]
+        }
+    }
+]
+
+
+// timeline of the published videos and tweets of every channel the user is subscribed to
+const getFeed = asyncHandler(async (req, res) => {
+    const { cursor, limit } = req.query
+
+    const userId = req.user._id
+
+    // the feed is always reverse-chronological
+    const paginationOptions = getPaginationOptions({ cursor, limit }, { maxLimit: 50 })
+
+    const subscriptions = await Subscription.find({ subscriber: userId, ...approvedSubscriptions }).select("channel")
+
+    // the muted channels stay subscribed but are left out of the feed
+    const hiddenUserIds = (await getHiddenUserIds(userId)).map(String)
+    const channelIds = subscriptions
+        .map((subscription) => subscription.channel)
+        .filter((channelId) => !hiddenUserIds.includes(String(channelId)))
+
+    if (channelIds.length === 0) {
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(
+                    200,
+                    {
+                        items: [],
+                        pagination: {
+                            limit: paginationOptions.limit,
+                            hasMore: false,
+                            nextCursor: null
+                        }
+                    },
+                    "Subscribe to channels to see their videos and tweets here."
+                )
+            )
+    }
+
+    const afterCursor = cursorMatch(cursor, paginationOptions.sortField, paginationOptions.sortOrder)
+
+    const feedItems = await Video.aggregate([
+        {
+            $match: {
+                owner: { $in: channelIds },
+                isPublished: true,
+                isHidden: { $ne: true },
+                ...playableVideos,
+                ...afterCursor
+            }
+        },
+        {
+            $addFields: { type: "video" }
+        },
+        {
+            $unionWith: {
+                coll: Tweet.collection.name,
+                pipeline: [
+                    {
+                        $match: {
+                            owner: { $in: channelIds },
+                            isHidden: { $ne: true },
+                            ...afterCursor
+                        }
+                    },
+                    {
+                        $addFields: { type: "tweet" }
+                    }
+                ]
+            }
+        },
+        {
+            $sort: paginationSort(paginationOptions)
+        },
+        {
+            $limit: paginationOptions.limit + 1 // one extra item tells if there is a next page
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $project: {
+                            fullName: 1,
+                            username: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            // the videos and the tweets are looked up separately, so that each lookup uses the index of its field
+            $facet: {
+                videos: [
+                    { $match: { type: "video" } },
+                    ...engagementStages("video")
+                ],
+                tweets: [
+                    { $match: { type: "tweet" } },
+                    ...engagementStages("tweet"),
+                    {
+                        $lookup: {
+                            from: "savedtweets",
+                            let: { tweetId: "$_id" },
+                            pipeline: [
+                                { $match: { savedBy: userId } },
+                                { $match: { $expr: { $in: ["$$tweetId", "$tweets"] } } },
+                                { $project: { _id: 1 } }
+                            ],
+                            as: "savedByUser"
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $project: { items: { $concatArrays: ["$videos", "$tweets"] } }
+        },
+        {
+            $unwind: "$items"
+        },
+        {
+            $replaceRoot: { newRoot: "$items" }
+        },
+        {
+            // the facet puts the videos before the tweets
+            $sort: paginationSort(paginationOptions)
+        },
+        {
+            $addFields: {
+                owner: {
+                    $arrayElemAt: ["$owner", 0]
+                },
+                likesCount: {
+                    $size: "$likes"
+                },
+                commentsCount: {
+                    $size: "$comments"
+                },
+                isLikedByUser: {
+                    $in: [userId, "$likes.likedBy"]
+                },
+                isSavedByUser: {
+                    $gt: [{ $size: { $ifNull: ["$savedByUser", []] } }, 0]
+                }
+            }
+        },
+        {
+            $project: {
+                likes: 0,
+                comments: 0,
+                savedByUser: 0
+            }
+        }
+    ])
+
+    const { items, pagination } = paginate(feedItems, paginationOptions)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    items,
+                    pagination
+                },
+                items.length === 0 ? "No new videos or tweets in your feed." : "Feed fetched successfully."
+            )
+        )
+})
+
+
+export {
+    getFeed
+}
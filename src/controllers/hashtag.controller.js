@@ -0,0 +1,255 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Comment } from "../models/comment.model.js";
+import { cursorMatch, getPaginationOptions, paginationSort, paginate } from "../utils/pagination.js";
+import { normalizeHashtag } from "../utils/textEntities.js";
+import { excludeOwners, getHiddenUserIds, visibleOwnersStages } from "../utils/userRelations.js";
+import { playableVideos } from "../utils/videoProcessing.js";
+
+const DEFAULT_TRENDING_WINDOW_HOURS = 24
+const MAX_TRENDING_WINDOW_HOURS = 24 * 7
+
+// the content which can be tagged, with the filters only visible content passes
+const taggedContents = {
+    video: {
+        model: Video,
+        match: { isPublished: true, isHidden: { $ne: true }, ...playableVideos }
+    },
+    tweet: {
+        model: Tweet,
+        match: { isHidden: { $ne: true } }
+    },
+    comment: {
+        model: Comment,
+        match: { isHidden: { $ne: true }, isDeleted: { $ne: true } }
+    }
+}
+
+// stages keeping the comments whose video or tweet the given user can see, with its owner not hidden from them
+const visibleParentStages = (userId, hiddenUserIds = []) => [
+    ...["video", "tweet"].map((parentType) => ({
+        $lookup: {
+            from: taggedContents[parentType].model.collection.name,
+            localField: parentType,
+            foreignField: "_id",
+            as: `${parentType}Parent`,
+            pipeline: [
+                {
+                    $match: { ...taggedContents[parentType].match, ...excludeOwners(hiddenUserIds) }
+                },
+                ...visibleOwnersStages(userId),
+                {
+                    $project: { _id: 1 }
+                }
+            ]
+        }
+    })),
+    {
+        $match: {
+            $or: [
+                { "videoParent.0": { $exists: true } },
+                { "tweetParent.0": { $exists: true } }
+            ]
+        }
+    },
+    {
+        $unset: ["videoParent", "tweetParent"]
+    }
+]
+
+// runs the same stages on every given content type and merges the results, each document tagged with its type
+const aggregateTaggedContents = (types, stagesOf, followingStages) => {
+    const [firstType, ...otherTypes] = types
+
+    return taggedContents[firstType].model.aggregate([
+        ...stagesOf(firstType),
+        ...otherTypes.map((type) => ({
+            $unionWith: {
+                coll: taggedContents[type].model.collection.name,
+                pipeline: stagesOf(type)
+            }
+        })),
+        ...followingStages
+    ])
+}
+
+
+const getHashtagContents = asyncHandler(async (req, res) => {
+    const { tag } = req.params
+    const { type = "all" } = req.query
+
+    const hashtag = normalizeHashtag(tag)
+
+    if (!hashtag) {
+        throw new ApiError(400, "Invalid hashtag.")
+    }
+
+    if (type !== "all" && !taggedContents[type]) {
+        throw new ApiError(400, `Invalid type. Allowed values: all, ${Object.keys(taggedContents).join(", ")}.`)
+    }
+
+    const paginationOptions = getPaginationOptions(req.query)
+
+    const types = type === "all" ? Object.keys(taggedContents) : [type]
+
+    const afterCursor = cursorMatch(paginationOptions.cursor, paginationOptions.sortField, paginationOptions.sortOrder)
+
+    // contents of the users blocked or muted by the current user are left out, and so are the videos and tweets
+    // of the private accounts they can't see, and the comments on any of these
+    const hiddenUserIds = await getHiddenUserIds(req.user?._id)
+
+    const pageContents = await aggregateTaggedContents(
+        types,
+        (contentType) => [
+            {
+                $match: {
+                    hashtags: hashtag,
+                    ...taggedContents[contentType].match,
+                    ...excludeOwners(hiddenUserIds),
+                    ...afterCursor
+                }
+            },
+            ...(contentType === "comment"
+                ? visibleParentStages(req.user?._id, hiddenUserIds)
+                : visibleOwnersStages(req.user?._id)),
+            {
+                $addFields: { type: contentType }
+            }
+        ],
+        [
+            {
+                $sort: paginationSort(paginationOptions)
+            },
+            {
+                $limit: paginationOptions.limit + 1
+            },
+            {
+                $lookup: {
+                    from: "users",
+                    localField: "owner",
+                    foreignField: "_id",
+                    as: "owner",
+                    pipeline: [
+                        {
+                            $project: {
+                                fullName: 1,
+                                username: 1,
+                                avatar: 1
+                            }
+                        }
+                    ]
+                }
+            },
+            {
+                $addFields: {
+                    owner: { $arrayElemAt: ["$owner", 0] }
+                }
+            }
+        ]
+    )
+
+    const { items, pagination } = paginate(pageContents, paginationOptions)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    hashtag,
+                    items,
+                    pagination
+                },
+                items.length === 0 ? `Nothing tagged with #${hashtag} yet.` : "Tagged contents fetched successfully."
+            )
+        )
+})
+
+
+// hashtags used the most in the last `hours`, ties are broken by the number of different users using them
+const getTrendingHashtags = asyncHandler(async (req, res) => {
+    const { hours = DEFAULT_TRENDING_WINDOW_HOURS, limit = 10 } = req.query
+
+    const windowHours = Number(hours)
+
+    if (isNaN(windowHours) || windowHours <= 0 || windowHours > MAX_TRENDING_WINDOW_HOURS) {
+        throw new ApiError(400, `hours must be between 1 and ${MAX_TRENDING_WINDOW_HOURS}.`)
+    }
+
+    const trendingLimit = Math.min(Math.max(parseInt(limit) || 10, 1), 50)
+
+    const since = new Date(Date.now() - windowHours * 60 * 60 * 1000)
+
+    const trendingHashtags = await aggregateTaggedContents(
+        Object.keys(taggedContents),
+        (contentType) => [
+            {
+                $match: {
+                    createdAt: { $gte: since },
+                    "hashtags.0": { $exists: true },
+                    ...taggedContents[contentType].match
+                }
+            },
+            // the hashtags of the private accounts, and the ones in the comments on their content, don't trend
+            ...visibleOwnersStages(),
+            ...(contentType === "comment" ? visibleParentStages() : []),
+            {
+                $project: {
+                    hashtags: 1,
+                    owner: 1,
+                    createdAt: 1
+                }
+            }
+        ],
+        [
+            {
+                $unwind: "$hashtags"
+            },
+            {
+                $group: {
+                    _id: "$hashtags",
+                    postsCount: { $sum: 1 },
+                    authors: { $addToSet: "$owner" },
+                    lastUsedAt: { $max: "$createdAt" }
+                }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    hashtag: "$_id",
+                    postsCount: 1,
+                    authorsCount: { $size: "$authors" },
+                    lastUsedAt: 1
+                }
+            },
+            {
+                $sort: { postsCount: -1, authorsCount: -1, lastUsedAt: -1 }
+            },
+            {
+                $limit: trendingLimit
+            }
+        ]
+    )
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    hashtags: trendingHashtags,
+                    since
+                },
+                "Trending hashtags fetched successfully."
+            )
+        )
+})
+
+
+export {
+    getHashtagContents,
+    getTrendingHashtags
+}
\ No newline at end of file
@@ -3,6 +3,14 @@ import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import mongoose from "mongoose";
 import { Like } from "../models/like.model.js";
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Comment } from "../models/comment.model.js";
+import { notify, withdrawNotification } from "../utils/notification.js";
+import { assertNotBlocked } from "../utils/userRelations.js";
+import { watchableVideosFor } from "../utils/videoVisibility.js";
+import { recordTweetActivity, recordVideoActivity } from "../utils/analytics.js";
+import { getPaginationOptions, paginationStages, paginate } from "../utils/pagination.js";
 
 const toggleVideoLike = asyncHandler(async (req, res) => {
 
@@ -16,6 +24,8 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid video Id format.")
     }
 
+    const video = await Video.findById(videoId).select("owner")
+
     const likeStatus = await Like.aggregate([
         {
             $match: {
@@ -31,6 +41,13 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
 
     // If there is no like document, create a new one
     if (likeStatus.length === 0) {
+        // only a video the user can watch can be liked, unliking is always possible
+        if (!(await Video.exists({ _id: videoId, ...watchableVideosFor(req.user._id) }))) {
+            throw new ApiError(404, "Video not found.")
+        }
+
+        await assertNotBlocked(req.user._id, video?.owner, "You can't like this video.")
+
         const like = await Like.create({
             video: videoId,
             likedBy: req.user._id
@@ -40,6 +57,15 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Something went wrong while liking the video.")
         }
 
+        await notify({
+            recipient: video?.owner,
+            actor: req.user._id,
+            type: "video_like",
+            video: videoId
+        })
+
+        await recordVideoActivity(video, { likes: 1 })
+
         return res
             .status(200)
             .json(
@@ -57,6 +83,15 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Something went wrong while unliking the video.")
     }
 
+    await withdrawNotification({
+        recipient: video?.owner,
+        actor: req.user._id,
+        type: "video_like",
+        video: videoId
+    })
+
+    await recordVideoActivity(video, { likes: -1 })
+
     return res
         .status(200)
         .json(
@@ -80,6 +115,8 @@ const toggleCommentLike = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid comment Id format.")
     }
 
+    const comment = await Comment.findById(commentId).select("owner")
+
     const likeStatus = await Like.aggregate([
         {
             $match: {
@@ -95,6 +132,8 @@ const toggleCommentLike = asyncHandler(async (req, res) => {
 
     // If there is no like document
     if (likeStatus.length === 0) {
+        await assertNotBlocked(req.user._id, comment?.owner, "You can't like this comment.")
+
         const like = await Like.create({
             comment: commentId,
             likedBy: req.user._id
@@ -104,6 +143,13 @@ const toggleCommentLike = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Something went wrong while liking the comment.")
         }
 
+        await notify({
+            recipient: comment?.owner,
+            actor: req.user._id,
+            type: "comment_like",
+            comment: commentId
+        })
+
         return res
             .status(200)
             .json(
@@ -121,6 +167,13 @@ const toggleCommentLike = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Something went wrong while unliking the tweet.")
     }
 
+    await withdrawNotification({
+        recipient: comment?.owner,
+        actor: req.user._id,
+        type: "comment_like",
+        comment: commentId
+    })
+
     return res
         .status(200)
         .json(
@@ -145,6 +198,8 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid tweet Id format.")
     }
 
+    const tweet = await Tweet.findById(tweetId).select("owner")
+
     const likeStatus = await Like.aggregate([
         {
             $match: {
@@ -160,6 +215,8 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
 
     // If there is no like document
     if (likeStatus.length === 0) {
+        await assertNotBlocked(req.user._id, tweet?.owner, "You can't like this tweet.")
+
         const like = await Like.create({
             tweet: tweetId,
             likedBy: req.user._id
@@ -169,6 +226,15 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Something went wrong while liking the tweet.")
         }
 
+        await notify({
+            recipient: tweet?.owner,
+            actor: req.user._id,
+            type: "tweet_like",
+            tweet: tweetId
+        })
+
+        await recordTweetActivity(tweet, { likes: 1 })
+
         return res
             .status(200)
             .json(
@@ -186,6 +252,15 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Something went wrong while unliking the tweet.")
     }
 
+    await withdrawNotification({
+        recipient: tweet?.owner,
+        actor: req.user._id,
+        type: "tweet_like",
+        tweet: tweetId
+    })
+
+    await recordTweetActivity(tweet, { likes: -1 })
+
     return res
         .status(200)
         .json(
@@ -201,34 +276,36 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
 
 const getLikedVideos = asyncHandler(async (req, res) => {
 
-    // Fetching all likes by the user
+    const paginationOptions = getPaginationOptions(req.query, { defaultLimit: 30 })
+
+    // Fetching the user's likes on videos, most recent first
     const userLikeList = await Like.aggregate([
         {
             $match: {
-                likedBy: new mongoose.Types.ObjectId(String(req.user._id))
+                likedBy: new mongoose.Types.ObjectId(String(req.user._id)),
+                video: { $ne: null }
             }
-        }
+        },
+        ...paginationStages(paginationOptions)
     ])
 
     if (!userLikeList) {
         throw new ApiError(400, "Something went wrong while fetching the liked items.")
     }
 
-    let likedVideos = []
+    const { items, pagination } = paginate(userLikeList, paginationOptions)
 
-    // selecting only those like documents which have the video property
-    userLikeList.map((likeObj) => {
-        if (likeObj.video) {
-            likedVideos.push(likeObj.video)
-        }
-    })
+    const likedVideos = items.map((likeObj) => likeObj.video)
 
     return res
         .status(200)
         .json(
             new ApiResponse(
                 200,
-                likedVideos,
+                {
+                    likedVideos,
+                    pagination
+                },
                 "Liked videos fetched successfully."
             )
         )
@@ -237,34 +314,36 @@ const getLikedVideos = asyncHandler(async (req, res) => {
 
 const getLikedTweets = asyncHandler(async (req, res) => {
 
-    // Fetching all likes by the user
+    const paginationOptions = getPaginationOptions(req.query, { defaultLimit: 30 })
+
+    // Fetching the user's likes on tweets, most recent first
     const userLikeList = await Like.aggregate([
         {
             $match: {
-                likedBy: new mongoose.Types.ObjectId(String(req.user._id))
+                likedBy: new mongoose.Types.ObjectId(String(req.user._id)),
+                tweet: { $ne: null }
             }
-        }
+        },
+        ...paginationStages(paginationOptions)
     ])
 
     if (!userLikeList) {
         throw new ApiError(400, "Something went wrong while fetching the liked items.")
     }
 
-    let likedTweets = []
+    const { items, pagination } = paginate(userLikeList, paginationOptions)
 
-    // selecting only those like documents which have the video property
-    userLikeList.map((likeObj) => {
-        if (likeObj.tweet) {
-            likedTweets.push(likeObj.tweet)
-        }
-    })
+    const likedTweets = items.map((likeObj) => likeObj.tweet)
 
     return res
         .status(200)
         .json(
             new ApiResponse(
                 200,
-                likedTweets,
+                {
+                    likedTweets,
+                    pagination
+                },
                 "Liked tweets fetched successfully."
             )
         )
@@ -0,0 +1,184 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import mongoose from "mongoose";
+import { Notification } from "../models/notification.model.js";
+import { addNotificationStream, removeNotificationStream, pushToUser } from "../utils/notification.js";
+import { cursorMatch, getPaginationOptions, paginationSort, paginate } from "../utils/pagination.js";
+
+// interval for keeping idle SSE connections open through proxies
+const HEARTBEAT_INTERVAL = 25 * 1000
+
+
+const getNotifications = asyncHandler(async (req, res) => {
+    const { unreadOnly = "false" } = req.query
+
+    const paginationOptions = getPaginationOptions(req.query)
+
+    const filter = {
+        recipient: req.user._id,
+        ...(unreadOnly === "true" && { isRead: false })
+    }
+
+    const pageNotifications = await Notification.find({
+        ...filter,
+        ...cursorMatch(paginationOptions.cursor, paginationOptions.sortField, paginationOptions.sortOrder)
+    })
+        .sort(paginationSort(paginationOptions))
+        .limit(paginationOptions.limit + 1)
+        .populate("actor", "fullName username avatar")
+        .populate("video", "title thumbnail")
+        .populate("tweet", "content images")
+        .populate("comment", "content")
+
+    const totalNotifications = await Notification.countDocuments(filter)
+
+    const unreadCount = await Notification.countDocuments({
+        recipient: req.user._id,
+        isRead: false
+    })
+
+    const { items: notifications, pagination } = paginate(pageNotifications, paginationOptions, totalNotifications)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    notifications,
+                    unreadCount,
+                    pagination
+                },
+                totalNotifications === 0 ? "No notifications found." : "Notifications fetched successfully."
+            )
+        )
+})
+
+
+const getUnreadNotificationsCount = asyncHandler(async (req, res) => {
+    const unreadCount = await Notification.countDocuments({
+        recipient: req.user._id,
+        isRead: false
+    })
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { unreadCount },
+                "Unread notifications count fetched successfully."
+            )
+        )
+})
+
+
+const markNotificationAsRead = asyncHandler(async (req, res) => {
+    const { notificationId } = req.params
+
+    if (!notificationId) {
+        throw new ApiError(400, "Notification Id is missing.")
+    }
+
+    if (!mongoose.isValidObjectId(notificationId)) {
+        throw new ApiError(400, "Invalid notification Id format.")
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+        {
+            _id: notificationId,
+            recipient: req.user._id
+        },
+        {
+            $set: { isRead: true }
+        },
+        {
+            new: true
+        }
+    )
+
+    if (!notification) {
+        throw new ApiError(404, "Notification not found.")
+    }
+
+    const unreadCount = await Notification.countDocuments({
+        recipient: req.user._id,
+        isRead: false
+    })
+
+    // keeping the other open tabs of the user in sync
+    pushToUser(req.user._id, "unread-count", { unreadCount })
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                notification,
+                "Notification marked as read."
+            )
+        )
+})
+
+
+const markAllNotificationsAsRead = asyncHandler(async (req, res) => {
+    const updateResult = await Notification.updateMany(
+        {
+            recipient: req.user._id,
+            isRead: false
+        },
+        {
+            $set: { isRead: true }
+        }
+    )
+
+    pushToUser(req.user._id, "unread-count", { unreadCount: 0 })
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { modifiedCount: updateResult.modifiedCount },
+                "All notifications marked as read."
+            )
+        )
+})
+
+
+// Server-Sent Events stream, the client connects once with EventSource and receives new notifications as they happen
+const streamNotifications = asyncHandler(async (req, res) => {
+    const unreadCount = await Notification.countDocuments({
+        recipient: req.user._id,
+        isRead: false
+    })
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no"
+    })
+    res.flushHeaders()
+
+    res.write(`event: unread-count\ndata: ${JSON.stringify({ unreadCount })}\n\n`)
+
+    addNotificationStream(req.user._id, res)
+
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_INTERVAL)
+
+    req.on("close", () => {
+        clearInterval(heartbeat)
+        removeNotificationStream(req.user._id, res)
+    })
+})
+
+
+export {
+    getNotifications,
+    getUnreadNotificationsCount,
+    markNotificationAsRead,
+    markAllNotificationsAsRead,
+    streamNotifications
+}
@@ -3,6 +3,9 @@ import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import mongoose from "mongoose";
 import { Playlist } from "../models/playlist.model.js";
+import { getPaginationOptions, paginationStages, paginate } from "../utils/pagination.js";
+import { assertCanViewUserContent } from "../utils/userRelations.js";
+import { watchableVideosFor } from "../utils/videoVisibility.js";
 
 
 const createPlaylist = asyncHandler(async (req, res) => {
@@ -282,6 +285,13 @@ const getUserPlaylists = asyncHandler(async (req, res) => {
 
     const reqUserId = req.user?._id || null 
 
+    // the playlists of a private account are only visible to its approved subscribers
+    await assertCanViewUserContent(reqUserId, userObjectId)
+
+    const paginationOptions = getPaginationOptions(req.query, {
+        sortFields: ["createdAt", "updatedAt", "name"]
+    })
+
     // if userId and reqUserId is same give all the playlists, otherwise only public playlists
     if (userObjectId.equals(reqUserId)) {
         usersPlaylist = await Playlist.aggregate([
@@ -290,6 +300,7 @@ const getUserPlaylists = asyncHandler(async (req, res) => {
                     owner: userObjectId
                 }
             },
+            ...paginationStages(paginationOptions),
             {
                 $lookup: {
                     from: "users",
@@ -314,6 +325,9 @@ const getUserPlaylists = asyncHandler(async (req, res) => {
                     foreignField: "_id",
                     as: "videos",
                     pipeline: [
+                        {
+                            $match: watchableVideosFor(reqUserId)
+                        },
                         {
                             $lookup: {
                                 from: "users",
@@ -357,6 +371,7 @@ const getUserPlaylists = asyncHandler(async (req, res) => {
                     isPublic: true
                 }
             },
+            ...paginationStages(paginationOptions),
 
             {
                 $lookup: {
@@ -382,6 +397,9 @@ const getUserPlaylists = asyncHandler(async (req, res) => {
                     foreignField: "_id",
                     as: "videos",
                     pipeline: [
+                        {
+                            $match: watchableVideosFor(reqUserId)
+                        },
                         {
                             $lookup: {
                                 from: "users",
@@ -420,16 +438,21 @@ const getUserPlaylists = asyncHandler(async (req, res) => {
     }
 
     // Check if playlists are found
-    if (!usersPlaylist || usersPlaylist.length === 0) {
+    if (!usersPlaylist || (usersPlaylist.length === 0 && !paginationOptions.cursor)) {
         throw new ApiError(404, "No playlists found.");
     }
 
+    const { items: playlists, pagination } = paginate(usersPlaylist, paginationOptions)
+
     return res
         .status(200)
         .json(
             new ApiResponse(
                 200,
-                usersPlaylist,
+                {
+                    playlists,
+                    pagination
+                },
                 "User playlists found successfully."
             )
         )
@@ -483,6 +506,9 @@ const getPlaylistById = asyncHandler(async (req, res) => {
                     foreignField: "_id",
                     as: "videos",
                     pipeline: [
+                        {
+                            $match: watchableVideosFor(reqUserId)
+                        },
                         {
                             $lookup: {
                                 from: "users",
@@ -530,6 +556,8 @@ const getPlaylistById = asyncHandler(async (req, res) => {
     const playlistIsPublic = playlist[0].isPublic
 
     if (playlistIsPublic) {
+        await assertCanViewUserContent(reqUserId, playlist[0].owner._id)
+
         return res
             .status(200)
             .json(
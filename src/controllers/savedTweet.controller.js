@@ -3,6 +3,7 @@ import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import mongoose from "mongoose";
 import { SavedTweet } from "../models/savedTweet.model.js";
+import { getPaginationOptions, paginationStages, paginate } from "../utils/pagination.js";
 
 
 const toggleSaveTweet = asyncHandler(async (req, res) => {
@@ -58,29 +59,69 @@ const toggleSaveTweet = asyncHandler(async (req, res) => {
 
 const getSavedTweets = asyncHandler(async (req, res) => {
 
-    let savedTweets;
+    let pageSavedTweets;
     const userId = req.user ? req.user._id : null;
+
+    const paginationOptions = getPaginationOptions(req.query, { defaultLimit: 30 })
     
     try {
-        savedTweets = await SavedTweet.aggregate([
+        pageSavedTweets = await SavedTweet.aggregate([
             {
                 $match: {
                     savedBy: new mongoose.Types.ObjectId(String(req.user._id))
                 }
             },
+            {
+                $unwind: "$tweets"
+            },
             {
                 $lookup: {
                     from: "tweets",
                     localField: "tweets",
                     foreignField: "_id",
-                    as: "tweets",
+                    as: "tweet"
+                }
+            },
+            {
+                $unwind: "$tweet" // dropping the saved tweets which have been deleted
+            },
+            {
+                $replaceRoot: { newRoot: "$tweet" }
+            },
+            {
+                $match: { isHidden: { $ne: true } }
+            },
+            ...paginationStages(paginationOptions),
+            {
+                $lookup: {
+                    from: "users",
+                    localField: "owner",
+                    foreignField: "_id",
+                    as: "owner",
+                    pipeline: [
+                        {
+                            $project: {
+                                fullName: 1,
+                                username: 1,
+                                avatar: 1
+                            }
+                        }
+                    ]
+                }
+            },
+            {
+                $lookup: {
+                    from: "likes",
+                    localField: "_id",
+                    foreignField: "tweet",
+                    as: "likes",
                     pipeline: [
                         {
                             $lookup: {
                                 from: "users",
-                                localField: "owner",
+                                localField: "likedBy",
                                 foreignField: "_id",
-                                as: "owner",
+                                as: "likedBy",
                                 pipeline: [
                                     {
                                         $project: {
@@ -93,80 +134,37 @@ const getSavedTweets = asyncHandler(async (req, res) => {
                             }
                         },
                         {
-                            $lookup: {
-                                from: "likes",
-                                localField: "_id",
-                                foreignField: "tweet",
-                                as: "likes",
-                                pipeline: [
-                                    {
-                                        $lookup: {
-                                            from: "users",
-                                            localField: "likedBy",
-                                            foreignField: "_id",
-                                            as: "likedBy",
-                                            pipeline: [
-                                                {
-                                                    $project: {
-                                                        fullName: 1,
-                                                        username: 1,
-                                                        avatar: 1
-                                                    }
-                                                }
-                                            ]
-                                        }
-                                    },
-                                    {
-                                        $addFields: {
-                                            likedBy: { $arrayElemAt: ["$likedBy", 0] }
-                                        }
-                                    },
-                                    {
-                                        $project: {
-                                            likedBy: 1
-                                        }
-                                    }
-                                ]
+                            $addFields: {
+                                likedBy: { $arrayElemAt: ["$likedBy", 0] }
                             }
                         },
                         {
-                            $lookup: {
-                                from: "savedtweets",
-                                let: { tweetId: "$_id", userId: userId },
-                                pipeline: [
-                                    { $match: { $expr: { $and: [{ $in: ["$$tweetId", "$tweets"] }, { $eq: ["$savedBy", "$$userId"] }] } } },
-                                    { $project: { _id: 1 } }
-                                ],
-                                as: "savedByUser"
+                            $project: {
+                                likedBy: 1
                             }
-                        },
+                        }
+                    ]
+                }
+            },
+            {
+                $lookup: {
+                    from: "comments",
+                    localField: "_id",
+                    foreignField: "tweet",
+                    as: "comments",
+                    pipeline: [
                         {
                             $lookup: {
-                                from: "comments",
-                                localField: "_id",
-                                foreignField: "tweet",
-                                as: "comments",
+                                from: "users",
+                                localField: "owner",
+                                foreignField: "_id",
+                                as: "owner",
                                 pipeline: [
                                     {
-                                        $lookup: {
-                                            from: "users",
-                                            localField: "owner",
-                                            foreignField: "_id",
-                                            as: "owner",
-                                            pipeline: [
-                                                {
-                                                    $project: {
-                                                        fullName: 1,
-                                                        username: 1,
-                                                        avatar: 1
-                                                    }
-                                                }
-                                            ]
-                                        }
-                                    },
-                                    {
-                                        $addFields: {
-                                            owner: { $arrayElemAt: ["$owner", 0] }
+                                        $project: {
+                                            fullName: 1,
+                                            username: 1,
+                                            avatar: 1
                                         }
                                     }
                                 ]
@@ -174,54 +172,50 @@ const getSavedTweets = asyncHandler(async (req, res) => {
                         },
                         {
                             $addFields: {
-                                owner: {
-                                    $arrayElemAt: ["$owner", 0]
-                                },
-                                likesCount: {
-                                    $size: "$likes"
-                                },
-                                commentsCount: {
-                                    $size: "$comments"
-                                },
-                                isLikedByUser: userId ? {
-                                    $cond: {
-                                        if: { $isArray: "$likes.likedBy._id" },
-                                        then: { $in: [userId, "$likes.likedBy._id"] },
-                                        else: false
-                                    }
-                                } : false,
-                                isSavedByUser: {
-                                    $cond: {
-                                        if: { $isArray: "$savedByUser" },
-                                        then: { $gt: [{ $size: "$savedByUser" }, 0] },
-                                        else: false
-                                    }
-                                }
+                                owner: { $arrayElemAt: ["$owner", 0] }
                             }
-                        },
+                        }
                     ]
                 }
-            }
+            },
+            {
+                $addFields: {
+                    owner: {
+                        $arrayElemAt: ["$owner", 0]
+                    },
+                    likesCount: {
+                        $size: "$likes"
+                    },
+                    commentsCount: {
+                        $size: "$comments"
+                    },
+                    isLikedByUser: userId ? {
+                        $cond: {
+                            if: { $isArray: "$likes.likedBy._id" },
+                            then: { $in: [userId, "$likes.likedBy._id"] },
+                            else: false
+                        }
+                    } : false,
+                    isSavedByUser: true // every tweet in this list is saved by the user
+                }
+            },
         ])
     } catch (error) {
         throw new ApiError(500, "Aggregation Error: " + error.message)
     }
 
-    let responseMessage = "Tweets fetched Successfully.";
-    let responseData = savedTweets[0] || {};
-
-    if (!savedTweets[0].tweets || savedTweets[0].tweets.length === 0) {
-        responseMessage = "No saved tweets found.";
-        responseData = {tweets: []};
-    }
+    const { items: tweets, pagination } = paginate(pageSavedTweets, paginationOptions)
 
     return res
         .status(200)
         .json(
             new ApiResponse(
                 200,
-                responseData,
-                responseMessage
+                {
+                    tweets,
+                    pagination
+                },
+                tweets.length === 0 ? "No saved tweets found." : "Tweets fetched Successfully."
             )
         )
 })
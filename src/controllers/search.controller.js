@@ -0,0 +1,260 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { User } from "../models/user.model.js";
+import { getPaginationOptions, paginationStages, paginate } from "../utils/pagination.js";
+import { getSearchQuery, getSearchTerms, getHighlights } from "../utils/search.js";
+import { excludeOwners, getHiddenUserIds, visibleOwnersStages } from "../utils/userRelations.js";
+import { playableVideos } from "../utils/videoProcessing.js";
+
+const searchTypes = ["all", "video", "tweet", "user"]
+
+const ownerLookupStages = [
+    {
+        $lookup: {
+            from: "users",
+            localField: "owner",
+            foreignField: "_id",
+            as: "owner",
+            pipeline: [
+                {
+                    $project: {
+                        fullName: 1,
+                        username: 1,
+                        avatar: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            owner: { $arrayElemAt: ["$owner", 0] }
+        }
+    }
+]
+
+// per type: the searched model, the filters only visible content passes, the field holding the author
+// (to leave out the blocked and muted users, and the private accounts for their content),
+// the highlighted fields and the result shape
+const searchables = {
+    video: {
+        model: Video,
+        match: { isPublished: true, isHidden: { $ne: true }, ...playableVideos },
+        ownerField: "owner",
+        highlightFields: ["title", "description"],
+        detailStages: [
+            ...ownerLookupStages,
+            {
+                $project: {
+                    title: 1,
+                    description: 1,
+                    thumbnail: 1,
+                    duration: 1,
+                    views: 1,
+                    owner: 1,
+                    createdAt: 1,
+                    score: 1
+                }
+            }
+        ]
+    },
+    tweet: {
+        model: Tweet,
+        match: { isHidden: { $ne: true } },
+        ownerField: "owner",
+        highlightFields: ["content"],
+        detailStages: [
+            ...ownerLookupStages,
+            {
+                $project: {
+                    content: 1,
+                    images: 1,
+                    owner: 1,
+                    createdAt: 1,
+                    score: 1
+                }
+            }
+        ]
+    },
+    user: {
+        model: User,
+        match: { deactivatedAt: { $exists: false } },
+        ownerField: "_id",
+        highlightFields: ["fullName", "username", "bio"],
+        detailStages: [
+            {
+                $project: {
+                    fullName: 1,
+                    username: 1,
+                    avatar: 1,
+                    bio: 1,
+                    createdAt: 1,
+                    score: 1
+                }
+            }
+        ]
+    }
+}
+
+// reads the optional createdAt range and the video duration range (in seconds) from the query
+const getSearchFilters = ({ from, to, minDuration, maxDuration }) => {
+    const createdAt = {}
+    const duration = {}
+
+    if (from) {
+        const fromDate = new Date(from)
+        if (isNaN(fromDate)) throw new ApiError(400, "Invalid 'from' date.");
+        createdAt.$gte = fromDate
+    }
+
+    if (to) {
+        const toDate = new Date(to)
+        if (isNaN(toDate)) throw new ApiError(400, "Invalid 'to' date.");
+        createdAt.$lte = toDate
+    }
+
+    if (minDuration !== undefined) {
+        if (isNaN(Number(minDuration))) throw new ApiError(400, "minDuration must be a number of seconds.");
+        duration.$gte = Number(minDuration)
+    }
+
+    if (maxDuration !== undefined) {
+        if (isNaN(Number(maxDuration))) throw new ApiError(400, "maxDuration must be a number of seconds.");
+        duration.$lte = Number(maxDuration)
+    }
+
+    return {
+        createdAt: Object.keys(createdAt).length ? createdAt : null,
+        duration: Object.keys(duration).length ? duration : null
+    }
+}
+
+// the text scores of different collections can't be compared, so in a mixed search each score is divided
+// by the best score of its collection: the best match of every type scores 1 and the results merge on relevance
+const normalizeScoreStages = [
+    {
+        $setWindowFields: {
+            output: {
+                maxScore: { $max: "$score", window: { documents: ["unbounded", "unbounded"] } }
+            }
+        }
+    },
+    {
+        $addFields: {
+            score: { $divide: ["$score", "$maxScore"] }
+        }
+    },
+    {
+        $unset: "maxScore"
+    }
+]
+
+const searchCollection = async (type, searchQuery, filters, paginationOptions, hiddenUserIds, userId, normalizeScore = false) => {
+    const { model, match, ownerField, detailStages } = searchables[type]
+
+    return await model.aggregate([
+        {
+            // $text has to be in the first stage of the pipeline
+            $match: {
+                $text: { $search: searchQuery },
+                ...match,
+                ...excludeOwners(hiddenUserIds, ownerField),
+                ...(filters.createdAt && { createdAt: filters.createdAt }),
+                ...(type === "video" && filters.duration && { duration: filters.duration })
+            }
+        },
+        {
+            $addFields: {
+                score: { $meta: "textScore" }
+            }
+        },
+        // private accounts can still be found, their videos and tweets can't
+        ...(type === "user" ? [] : visibleOwnersStages(userId, ownerField)),
+        // after the visibility filters, the best score is the one of the best result the user can see
+        ...(normalizeScore ? normalizeScoreStages : []),
+        ...paginationStages(paginationOptions),
+        ...detailStages,
+        {
+            $addFields: { type }
+        }
+    ])
+}
+
+// orders the merged results of several collections the same way paginationStages orders a single one
+const compareResults = ({ sortField, sortOrder }) => (a, b) => {
+    const aValue = a[sortField] instanceof Date ? a[sortField].getTime() : a[sortField]
+    const bValue = b[sortField] instanceof Date ? b[sortField].getTime() : b[sortField]
+
+    if (aValue !== bValue) {
+        return (aValue > bValue ? 1 : -1) * sortOrder
+    }
+
+    return String(a._id).localeCompare(String(b._id)) * sortOrder
+}
+
+const search = asyncHandler(async (req, res) => {
+    const { q, type = "all" } = req.query
+
+    const searchQuery = getSearchQuery(q)
+
+    if (!searchTypes.includes(type)) {
+        throw new ApiError(400, `Invalid type. Allowed values: ${searchTypes.join(", ")}.`)
+    }
+
+    const filters = getSearchFilters(req.query)
+
+    // a duration filter only makes sense for videos, so the mixed search is narrowed down to them
+    const searchedTypes = type !== "all"
+        ? [type]
+        : filters.duration ? ["video"] : ["video", "tweet", "user"]
+
+    const isMixedSearch = searchedTypes.length > 1
+
+    const paginationOptions = getPaginationOptions(req.query, {
+        sortFields: ["score", "createdAt"],
+        defaultSortBy: "score"
+    })
+
+    const hiddenUserIds = await getHiddenUserIds(req.user?._id)
+
+    let results;
+
+    try {
+        // every collection returns its next page, merging them and keeping the best ones gives the next mixed page
+        results = (await Promise.all(
+            searchedTypes.map((searchedType) => searchCollection(searchedType, searchQuery, filters, paginationOptions, hiddenUserIds, req.user?._id, isMixedSearch))
+        ))
+            .flat()
+            .sort(compareResults(paginationOptions))
+    } catch (error) {
+        throw new ApiError(500, "Search error: " + error.message)
+    }
+
+    const searchTerms = getSearchTerms(searchQuery)
+
+    const { items, pagination } = paginate(results, paginationOptions)
+
+    items.forEach((item) => {
+        item.highlights = getHighlights(item, searchables[item.type].highlightFields, searchTerms)
+    })
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    results: items,
+                    pagination
+                },
+                items.length === 0 ? "No results found." : "Search results fetched successfully."
+            )
+        )
+})
+
+export {
+    search
+}
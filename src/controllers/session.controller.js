@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Session } from "../models/session.model.js";
+
+
+// every device the user is logged in on, the current one first
+const getSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.find({ user: req.user._id })
+        .select("userAgent ip createdAt lastUsedAt expiresAt")
+        .sort({ lastUsedAt: -1 })
+        .lean()
+
+    const currentSessionId = String(req.sessionId)
+
+    const userSessions = sessions
+        .map((session) => ({
+            ...session,
+            isCurrent: String(session._id) === currentSessionId
+        }))
+        .sort((a, b) => b.isCurrent - a.isCurrent)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                userSessions,
+                "Sessions fetched successfully."
+            )
+        )
+})
+
+
+const revokeSession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params
+
+    if (!mongoose.isValidObjectId(sessionId)) {
+        throw new ApiError(400, "Invalid session ID format.")
+    }
+
+    const deletedSession = await Session.findOneAndDelete({ _id: sessionId, user: req.user._id })
+
+    if (!deletedSession) {
+        throw new ApiError(404, "Session not found.")
+    }
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { sessionId: deletedSession._id },
+                String(deletedSession._id) === String(req.sessionId)
+                    ? "Logged out from this device."
+                    : "Session revoked successfully."
+            )
+        )
+})
+
+
+// "log out everywhere else"
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+    const { deletedCount } = await Session.revokeAll(req.user._id, req.sessionId)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { revokedSessionsCount: deletedCount },
+                "Logged out from all other devices."
+            )
+        )
+})
+
+
+export {
+    getSessions,
+    revokeSession,
+    revokeOtherSessions
+}
\ No newline at end of file
@@ -4,6 +4,22 @@ import mongoose from "mongoose"
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
+import { notify, withdrawNotification } from "../utils/notification.js";
+import { approvedSubscriptions, assertCanViewUserContent, assertNotBlocked } from "../utils/userRelations.js";
+import { getPaginationOptions, paginationStages, paginate } from "../utils/pagination.js";
+import { recordSubscriberChange } from "../utils/analytics.js";
+
+// subscriptions have no timestamps, the ObjectId keeps them in creation order
+const subscriptionPaginationDefaults = {
+    defaultLimit: 50,
+    sortFields: ["_id"],
+    defaultSortBy: "_id"
+}
+
+// the notification the channel got for the subscription, or for the request while it is pending
+const subscriptionNotificationType = (subscription) => (
+    subscription.status === "pending" ? "subscription_request" : "subscription"
+)
 
 const toggleSubscription = asyncHandler(async (req, res) => {
     const { channelUsername } = req.params
@@ -37,8 +53,18 @@ const toggleSubscription = asyncHandler(async (req, res) => {
     if (subscription && subscription.length > 0) {
         const existingSubscription = subscription.shift();
         await Subscription.deleteOne({ _id: existingSubscription._id });
+        await withdrawNotification({
+            recipient: channel._id,
+            actor: req.user._id,
+            type: subscriptionNotificationType(existingSubscription)
+        });
+        if (existingSubscription.status !== "pending") {
+            await recordSubscriberChange(channel._id, { subscribersLost: 1 });
+        }
         responseData = existingSubscription;
-        message = "Subscription removed successfully.";
+        message = existingSubscription.status === "pending"
+            ? "Subscription request cancelled successfully."
+            : "Subscription removed successfully.";
     } else {
 
         if (req.user._id === channel._id) {
@@ -48,16 +74,30 @@ const toggleSubscription = asyncHandler(async (req, res) => {
             );
         }
 
+        await assertNotBlocked(req.user._id, channel._id, "You can't subscribe to this channel.")
+
+        // subscribing to a private account only requests it
         const newSubscription = await Subscription.create({
             subscriber: req.user._id,
-            channel: channel._id
+            channel: channel._id,
+            status: channel.isPrivate ? "pending" : "approved"
         });
 
         if (!newSubscription) {
             throw new ApiError(500, "Failed to create subscription.");
         }
+        await notify({
+            recipient: channel._id,
+            actor: req.user._id,
+            type: subscriptionNotificationType(newSubscription)
+        });
+        if (newSubscription.status !== "pending") {
+            await recordSubscriberChange(channel._id, { subscribersGained: 1 });
+        }
         responseData = newSubscription;
-        message = "Subscription added successfully.";
+        message = newSubscription.status === "pending"
+            ? "Subscription requested. It will be added once the channel approves it."
+            : "Subscription added successfully.";
     }
 
     return res.status(200).json(
@@ -86,12 +126,18 @@ const getUserChannelSubscribers = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Channel does not exist.")
     }
 
+    await assertCanViewUserContent(req.user._id, channel._id)
+
+    const paginationOptions = getPaginationOptions(req.query, subscriptionPaginationDefaults)
+
     const channelSubscriptions = await Subscription.aggregate([
         {
             $match: {
-                channel: new mongoose.Types.ObjectId(String(channel._id))
+                channel: new mongoose.Types.ObjectId(String(channel._id)),
+                ...approvedSubscriptions
             }
         },
+        ...paginationStages(paginationOptions),
         {
             $project: {
                 subscriber: 1
@@ -99,22 +145,13 @@ const getUserChannelSubscribers = asyncHandler(async (req, res) => {
         }
     ])
 
-    // Check if the subscriber is subscribed to any channels
-    if (channelSubscriptions.length === 0) {
-        return res.status(200).json(
-            new ApiResponse(
-                200,
-                [],
-                "No subscribers found for this channel."
-            )
-        );
-    }
+    const { items, pagination } = paginate(channelSubscriptions, paginationOptions)
 
     // Extract subscriber IDs from the subscriptions
     // let channelSubscribers = []
     // channelSubscriptions.map((subscription) => channelSubscribers.push(subscription.subscriber))
 
-    const channelSubscribers = channelSubscriptions.map(subscription => subscription.subscriber);
+    const channelSubscribers = items.map(subscription => subscription.subscriber);
 
     // Return the list of subscriber IDs
     return res
@@ -122,8 +159,13 @@ const getUserChannelSubscribers = asyncHandler(async (req, res) => {
         .json(
             new ApiResponse(
                 200,
-                channelSubscribers,
-                "Channel subscribers fetched successfully."
+                {
+                    subscribers: channelSubscribers,
+                    pagination
+                },
+                channelSubscribers.length === 0
+                    ? "No subscribers found for this channel."
+                    : "Channel subscribers fetched successfully."
             )
         )
 })
@@ -143,12 +185,18 @@ const getSubscribedChannels = asyncHandler(async (req, res) => {
         throw new ApiError(404, "User does not exist.")
     }
 
+    await assertCanViewUserContent(req.user._id, user._id)
+
+    const paginationOptions = getPaginationOptions(req.query, subscriptionPaginationDefaults)
+
     const channelsSubscribedTo = await Subscription.aggregate([
         {
             $match: {
-                subscriber: new mongoose.Types.ObjectId(String(user._id))
+                subscriber: new mongoose.Types.ObjectId(String(user._id)),
+                ...approvedSubscriptions
             }
         },
+        ...paginationStages(paginationOptions),
         {
             $project: {
                 channel: 1
@@ -156,26 +204,164 @@ const getSubscribedChannels = asyncHandler(async (req, res) => {
         }
     ])
 
-    // Check if the subscriber is subscribed to any channels
-    if (channelsSubscribedTo.length === 0) {
-        return res.status(200).json(
+    const { items, pagination } = paginate(channelsSubscribedTo, paginationOptions)
+
+    const subscribedChannels = items.map((subscription => subscription.channel))
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    channels: subscribedChannels,
+                    pagination
+                },
+                subscribedChannels.length === 0
+                    ? "No subscriptions found for this user."
+                    : "Subscribed channels fetched successfully."
+            )
+        )
+})
+
+// the pending subscription requests to the current user's private account
+const getSubscriptionRequests = asyncHandler(async (req, res) => {
+    const paginationOptions = getPaginationOptions(req.query, subscriptionPaginationDefaults)
+
+    const pageRequests = await Subscription.aggregate([
+        {
+            $match: {
+                channel: new mongoose.Types.ObjectId(String(req.user._id)),
+                status: "pending"
+            }
+        },
+        ...paginationStages(paginationOptions),
+        {
+            $lookup: {
+                from: "users",
+                localField: "subscriber",
+                foreignField: "_id",
+                as: "subscriber",
+                pipeline: [
+                    {
+                        $project: {
+                            fullName: 1,
+                            username: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                subscriber: { $arrayElemAt: ["$subscriber", 0] }
+            }
+        }
+    ])
+
+    const { items: requests, pagination } = paginate(pageRequests, paginationOptions)
+
+    return res
+        .status(200)
+        .json(
             new ApiResponse(
                 200,
-                [],
-                "No subscriptions found for this user."
+                {
+                    requests,
+                    pagination
+                },
+                requests.length === 0
+                    ? "No pending subscription requests."
+                    : "Subscription requests fetched successfully."
             )
-        );
+        )
+})
+
+
+// the user who sent the subscription request answered by the current user
+const findRequestSubscriber = async (req) => {
+    const { subscriberUsername } = req.params
+
+    if (!subscriberUsername) {
+        throw new ApiError(400, "Subscriber username is missing!")
+    }
+
+    const subscriber = await User.findOne({ username: String(subscriberUsername).toLowerCase() })
+
+    if (!subscriber) {
+        throw new ApiError(404, "User does not exist.")
+    }
+
+    return subscriber
+}
+
+
+const approveSubscriptionRequest = asyncHandler(async (req, res) => {
+    const subscriber = await findRequestSubscriber(req)
+
+    const subscription = await Subscription.findOneAndUpdate(
+        { subscriber: subscriber._id, channel: req.user._id, status: "pending" },
+        { $set: { status: "approved" } },
+        { new: true }
+    )
+
+    if (!subscription) {
+        throw new ApiError(404, "Subscription request not found.")
     }
 
-    const subscribedChannels = channelsSubscribedTo.map((subscription => subscription.channel))
+    await withdrawNotification({
+        recipient: req.user._id,
+        actor: subscriber._id,
+        type: "subscription_request"
+    })
+
+    await notify({
+        recipient: subscriber._id,
+        actor: req.user._id,
+        type: "subscription_approved"
+    })
+
+    await recordSubscriberChange(req.user._id, { subscribersGained: 1 })
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                subscription,
+                "Subscription request approved successfully."
+            )
+        )
+})
+
+
+const rejectSubscriptionRequest = asyncHandler(async (req, res) => {
+    const subscriber = await findRequestSubscriber(req)
+
+    const subscription = await Subscription.findOneAndDelete({
+        subscriber: subscriber._id,
+        channel: req.user._id,
+        status: "pending"
+    })
+
+    if (!subscription) {
+        throw new ApiError(404, "Subscription request not found.")
+    }
+
+    await withdrawNotification({
+        recipient: req.user._id,
+        actor: subscriber._id,
+        type: "subscription_request"
+    })
 
     return res
         .status(200)
         .json(
             new ApiResponse(
                 200,
-                subscribedChannels,
-                "Subscribed channels fetched successfully."
+                subscription,
+                "Subscription request rejected successfully."
             )
         )
 })
@@ -183,5 +369,8 @@ const getSubscribedChannels = asyncHandler(async (req, res) => {
 export {
     toggleSubscription,
     getUserChannelSubscribers,
-    getSubscribedChannels
+    getSubscribedChannels,
+    getSubscriptionRequests,
+    approveSubscriptionRequest,
+    rejectSubscriptionRequest
 }
\ No newline at end of file
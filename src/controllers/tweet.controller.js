@@ -4,7 +4,19 @@ import { User } from "../models/user.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
-import { uploadOnCloudinary } from "../utils/cloudinary.js"
+import { deleteFile, uploadFile } from "../utils/storage.js"
+import { getPaginationOptions, paginationStages, paginate } from "../utils/pagination.js"
+import { extractTextEntities, notifyMentions } from "../utils/textEntities.js"
+import { removeTweetStats } from "../utils/analytics.js"
+import {
+    assertCanViewUserContent,
+    canViewUserContent,
+    excludeOwners,
+    getBlockedUserIds,
+    getHiddenUserIds,
+    isBlockedBetween,
+    visibleOwnersStages
+} from "../utils/userRelations.js"
 
 const createTweet = asyncHandler(async (req, res) => {
 
@@ -14,7 +26,7 @@ const createTweet = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Either text or image is required to create a tweet.");
     }
 
-    let imagesUrlList = [];
+    let uploadedImages = [];
 
     if (req.files && Array.isArray(req.files.images) && req.files.images.length > 0) {
 
@@ -23,25 +35,30 @@ const createTweet = asyncHandler(async (req, res) => {
         }
 
         const uploadPromises = req.files.images.map(async (image) => {
-            const uploadResult = await uploadOnCloudinary(image.path, "image");
+            const uploadResult = await uploadFile(image.path, "image");
             if (!uploadResult) {
                 throw new ApiError(400, "Something went wrong while uploading the file(s).");
             }
-            return uploadResult.url;
+            return uploadResult;
         });
 
         // Wait for all image uploads to complete
-        imagesUrlList = await Promise.all(uploadPromises);
+        uploadedImages = await Promise.all(uploadPromises);
 
     }
-    // Here, uploadPromises is an array of promises created by mapping over req.files.images. Each promise, when resolved, returns the URL of the uploaded image.
+    // Here, uploadPromises is an array of promises created by mapping over req.files.images. Each promise, when resolved, returns the uploaded image (its URL and storage details).
     // Promise.all(uploadPromises) returns a single promise that resolves when all the promises in the uploadPromises array have resolved.
     // The resolved value of Promise.all is an array containing the results of each individual promise in the order they were in the original array.
-    // imagesUrlList is assigned this array of results (image URLs).
+    // uploadedImages is assigned this array of results.
+
+    const { hashtags, mentions } = await extractTextEntities(req.user._id, content)
 
     const tweet = await Tweet.create({
         content: content,
-        images: imagesUrlList,
+        images: uploadedImages.map((image) => image.url),
+        imagesStorage: uploadedImages,
+        hashtags,
+        mentions,
         owner: req.user._id
     })
 
@@ -49,6 +66,12 @@ const createTweet = asyncHandler(async (req, res) => {
         throw new ApiError("400", "Something went wrong while creating tweet.")
     }
 
+    await notifyMentions({
+        mentions,
+        actor: req.user._id,
+        tweet: tweet._id
+    })
+
     return res
         .status(200)
         .json(
@@ -96,8 +119,21 @@ const updateTweet = asyncHandler(async (req, res) => {
 
     tweet.content = content;
 
+    const previousMentions = tweet.mentions
+    const { hashtags, mentions } = await extractTextEntities(req.user._id, content)
+
+    tweet.hashtags = hashtags
+    tweet.mentions = mentions
+
     await tweet.save({ validateBeforeSave: false })
 
+    await notifyMentions({
+        mentions,
+        previousMentions,
+        actor: req.user._id,
+        tweet: tweet._id
+    })
+
     return res
         .status(200)
         .json(
@@ -140,13 +176,15 @@ const deleteTweet = asyncHandler(async (req, res) => {
     }
 
     if (tweet.images && tweet.images.length > 0) {
-        tweet.images.map(async (imgUrl) => {
-            try {
-                await deleteFromCloudinary(imgUrl)
-            } catch (error) { }
-        })
+        await Promise.all(
+            tweet.images.map((imgUrl) => deleteFile(
+                tweet.imagesStorage?.find((image) => image.url === imgUrl) || imgUrl
+            ))
+        )
     }
 
+    await removeTweetStats([tweet._id])
+
     return res
         .status(200)
         .json(
@@ -162,7 +200,8 @@ const deleteTweet = asyncHandler(async (req, res) => {
 const getUserTweets = asyncHandler(async (req, res) => {
 
     const { usernameOrId } = req.params
-    const { page = 1, limit = 30, sortBy = "createdAt", sortType = "desc" } = req.query
+
+    const paginationOptions = getPaginationOptions(req.query, { defaultLimit: 30 })
 
     // checking for current user
     const userId = req.user ? req.user._id : null;
@@ -185,14 +224,22 @@ const getUserTweets = asyncHandler(async (req, res) => {
         throw new ApiError(404, "User does not exist!")
     }
 
+    if (await isBlockedBetween(userId, user._id)) {
+        throw new ApiError(403, "You can't view the tweets of this user.")
+    }
+
+    await assertCanViewUserContent(userId, user._id)
+
 
     // Aggregation pipeline to fetch tweets
-    const tweets = await Tweet.aggregate([
+    const userTweets = await Tweet.aggregate([
         {
             $match: {
-                owner: new mongoose.Types.ObjectId(String(user._id))
+                owner: new mongoose.Types.ObjectId(String(user._id)),
+                isHidden: { $ne: true }
             }
         },
+        ...paginationStages(paginationOptions),
         {
             $lookup: {
                 from: "users",
@@ -318,41 +365,16 @@ const getUserTweets = asyncHandler(async (req, res) => {
                     }
                 }
             }
-        },
-        {
-            $sort: { [sortBy]: sortType === 'asc' ? 1 : -1 }
-        },
-
-        // {
-        //     $skip: (page - 1) * limit
-        // },
-
-        // {
-        //     $limit: parseInt(limit)
-        // }
+        }
     ])
 
     // fetching the total number of tweets made by the user
     const totalTweets = await Tweet.countDocuments({
-        owner: new mongoose.Types.ObjectId(String(user._id))
+        owner: new mongoose.Types.ObjectId(String(user._id)),
+        isHidden: { $ne: true }
     })
 
-    if (totalTweets === 0) {
-        return res
-            .status(200)
-            .json(
-                new ApiResponse(
-                    200,
-                    {
-                        tweets: [],
-                        currentPage: parseInt(page),
-                        totalPages: 0,
-                        totalTweets: 0
-                    },
-                    "This user dont't have any tweets."
-                )
-            )
-    }
+    const { items: tweets, pagination } = paginate(userTweets, paginationOptions, totalTweets)
 
     return res
         .status(200)
@@ -361,10 +383,9 @@ const getUserTweets = asyncHandler(async (req, res) => {
                 200,
                 {
                     tweets,
-                    currentPage: parseInt(page),
-                    totalPages: Math.ceil(totalTweets / limit),
-                    totalTweets
-                }
+                    pagination
+                },
+                totalTweets === 0 ? "This user dont't have any tweets." : "Tweets fetched successfully."
             )
         )
 })
@@ -372,12 +393,28 @@ const getUserTweets = asyncHandler(async (req, res) => {
 
 const getAllTweets = asyncHandler(async (req, res) => {
 
-    const { page = 1, limit = 20, query, sortBy = "createdAt", sortType = "desc" } = req.query
+    const { query } = req.query
+
+    const paginationOptions = getPaginationOptions(req.query, {
+        sortFields: ["createdAt", "likesCount", "commentsCount"]
+    })
 
     const userId = req.user ? req.user._id : null;
 
+    // tweets of the users blocked or muted by the current user, and of the private accounts they can't see, are left out
+    const hiddenUserIds = await getHiddenUserIds(userId)
+
     // pipeline to filter and find tweets
     const primaryPipeline = [
+        {
+            // the text search has to be the first stage
+            $match: {
+                isHidden: { $ne: true },
+                ...(query && { $text: { $search: String(query) } }),
+                ...excludeOwners(hiddenUserIds)
+            }
+        },
+        ...visibleOwnersStages(userId),
         {
             $lookup: {
                 from: "users",
@@ -501,39 +538,13 @@ const getAllTweets = asyncHandler(async (req, res) => {
                     }
                 }
             }
-        },
-        {
-            $match: {
-                ...(query && {
-                    $or: [
-                        { content: { $regex: query, $options: 'i' } },
-                        { "owner.fullName": { $regex: query, $options: 'i' } },
-                        { "owner.username": { $regex: query, $options: 'i' } },
-                    ]
-                })
-            }
-        }
-    ]
-
-    // pipeline for pagination
-    const secendoryPipeline = [
-        {
-            $sort: { [sortBy]: sortType === 'asc' ? 1 : -1 }
-        },
-
-        {
-            $skip: (page - 1) * limit
-        },
-
-        {
-            $limit: parseInt(limit)
         }
     ]
 
     // Fetch tweets with the combined pipeline
-    const tweets = await Tweet.aggregate([
+    const pageTweets = await Tweet.aggregate([
         ...primaryPipeline,
-        ...secendoryPipeline
+        ...paginationStages(paginationOptions)
     ])
 
     // Count total tweets matching the filters
@@ -542,28 +553,13 @@ const getAllTweets = asyncHandler(async (req, res) => {
         { $count: "totalTweetsCount" }
     ])
 
-    if (!tweets || !totalTweets) {
+    if (!pageTweets || !totalTweets) {
         throw new ApiError(400, "Something went wrong while fetching tweets!")
     }
 
     const totalTweetsCount = totalTweets.length > 0 ? totalTweets[0].totalTweetsCount : 0;
 
-    if (totalTweetsCount === 0) {
-        return res
-            .status(200)
-            .json(
-                new ApiResponse(
-                    200,
-                    {
-                        tweets: [],
-                        currentPage: parseInt(page),
-                        totalPages: 0,
-                        totalTweets: 0
-                    },
-                    "Sorry! No tweets found."
-                )
-            )
-    }
+    const { items: tweets, pagination } = paginate(pageTweets, paginationOptions, totalTweetsCount)
 
     return res
         .status(200)
@@ -572,11 +568,9 @@ const getAllTweets = asyncHandler(async (req, res) => {
                 200,
                 {
                     tweets,
-                    currentPage: parseInt(page),
-                    totalPages: Math.ceil(totalTweetsCount / limit),
-                    totalTweets: totalTweetsCount
+                    pagination
                 },
-                "Tweets fetched successfully."
+                totalTweetsCount === 0 ? "Sorry! No tweets found." : "Tweets fetched successfully."
             )
         )
 
@@ -597,13 +591,18 @@ const getTweetById = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid twe    et ID format!");
     }
 
+    // the tweets of a user who blocked, or was blocked by, the current user are not found
+    const blockedUserIds = await getBlockedUserIds(userId)
+
     let tweet;
 
     try {
         tweet = await Tweet.aggregate([
             {
                 $match: {
-                    _id: new mongoose.Types.ObjectId(String(tweetId))
+                    _id: new mongoose.Types.ObjectId(String(tweetId)),
+                    isHidden: { $ne: true },
+                    ...excludeOwners(blockedUserIds)
                 }
             },
             {
@@ -727,6 +726,11 @@ const getTweetById = asyncHandler(async (req, res) => {
         throw new ApiError(500, "Aggregation error: " + error);
     }
 
+    // neither are the ones of a private account the current user isn't an approved subscriber of
+    if (!(await canViewUserContent(userId, tweet[0].owner?._id))) {
+        throw new ApiError(404, "Tweet not found.");
+    }
+
     return res
         .status(200)
         .json(
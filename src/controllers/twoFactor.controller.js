@@ -0,0 +1,188 @@
+import crypto from "crypto";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { User } from "../models/user.model.js";
+import { generateTotpSecret, totpProvisioningUri, verifyTotp } from "../utils/totp.js";
+import { decryptString, encryptToString } from "../utils/crypto.js";
+
+const RECOVERY_CODES_COUNT = 10
+
+// plain codes are shown to the user once, only their hashes are stored
+const generateRecoveryCodes = () => {
+    const recoveryCodes = Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+        const code = crypto.randomBytes(5).toString("hex")
+        return `${code.slice(0, 5)}-${code.slice(5)}`
+    })
+
+    return {
+        recoveryCodes,
+        recoveryCodeHashes: recoveryCodes.map((code) => crypto.createHash("sha256").update(code).digest("hex"))
+    }
+}
+
+const findUserWithSecrets = (userId) => User.findById(userId)
+    .select("+password +twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep")
+
+
+// step 1 of the enrollment: a new secret to add to the authenticator app
+const enrollTwoFactor = asyncHandler(async (req, res) => {
+    const { password } = req.body
+
+    if (!password || !password.trim()) {
+        throw new ApiError(400, "Password is required.")
+    }
+
+    const user = await findUserWithSecrets(req.user._id)
+
+    if (user.isTwoFactorEnabled) {
+        throw new ApiError(409, "Two-factor authentication is already enabled.")
+    }
+
+    if (!(await user.isPasswordCorrect(password))) {
+        throw new ApiError(400, "Incorrect password.")
+    }
+
+    const secret = generateTotpSecret()
+
+    user.twoFactorPendingSecret = encryptToString(secret)
+    await user.save({ validateBeforeSave: false })
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    secret,
+                    otpauthUrl: totpProvisioningUri(secret, user.username, process.env.TOTP_ISSUER || "Fuzion")
+                },
+                "Scan the QR code with your authenticator app and confirm with a code."
+            )
+        )
+})
+
+
+// step 2 of the enrollment: a first valid code proves the app is set up, then 2FA is on
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+    const { code } = req.body
+
+    const user = await findUserWithSecrets(req.user._id)
+
+    if (user.isTwoFactorEnabled) {
+        throw new ApiError(409, "Two-factor authentication is already enabled.")
+    }
+
+    if (!user.twoFactorPendingSecret) {
+        throw new ApiError(400, "Start the two-factor authentication enrollment first.")
+    }
+
+    const step = verifyTotp(decryptString(user.twoFactorPendingSecret), code)
+
+    if (step === null) {
+        throw new ApiError(400, "Invalid two-factor authentication code.")
+    }
+
+    const { recoveryCodes, recoveryCodeHashes } = generateRecoveryCodes()
+
+    user.isTwoFactorEnabled = true
+    user.twoFactorSecret = user.twoFactorPendingSecret
+    user.twoFactorPendingSecret = undefined
+    user.twoFactorLastUsedStep = step
+    user.twoFactorRecoveryCodes = recoveryCodeHashes
+
+    await user.save({ validateBeforeSave: false })
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { recoveryCodes },
+                "Two-factor authentication enabled. Keep the recovery codes somewhere safe, they are shown only once."
+            )
+        )
+})
+
+
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code } = req.body
+
+    if (!password || !code) {
+        throw new ApiError(400, "Password and two-factor authentication code are required.")
+    }
+
+    const user = await findUserWithSecrets(req.user._id)
+
+    if (!user.isTwoFactorEnabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled.")
+    }
+
+    if (!(await user.isPasswordCorrect(password))) {
+        throw new ApiError(400, "Incorrect password.")
+    }
+
+    if (!(await user.verifySecondFactor(code))) {
+        throw new ApiError(400, "Invalid two-factor authentication code.")
+    }
+
+    await User.findByIdAndUpdate(user._id, {
+        $set: { isTwoFactorEnabled: false },
+        $unset: {
+            twoFactorSecret: 1,
+            twoFactorPendingSecret: 1,
+            twoFactorRecoveryCodes: 1,
+            twoFactorLastUsedStep: 1
+        }
+    })
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {},
+                "Two-factor authentication disabled."
+            )
+        )
+})
+
+
+// replaces every recovery code, the old ones stop working
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const { code } = req.body
+
+    const user = await findUserWithSecrets(req.user._id)
+
+    if (!user.isTwoFactorEnabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled.")
+    }
+
+    if (!(await user.verifySecondFactor(code))) {
+        throw new ApiError(400, "Invalid two-factor authentication code.")
+    }
+
+    const { recoveryCodes, recoveryCodeHashes } = generateRecoveryCodes()
+
+    await User.findByIdAndUpdate(user._id, {
+        $set: { twoFactorRecoveryCodes: recoveryCodeHashes }
+    })
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { recoveryCodes },
+                "Recovery codes regenerated successfully."
+            )
+        )
+})
+
+
+export {
+    enrollTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+}
\ No newline at end of file
@@ -1,24 +1,30 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { User } from "../models/user.model.js";
-import { deleteFromCloudinary, uploadOnCloudinary } from "../utils/cloudinary.js";
+import { deleteFile, uploadFile } from "../utils/storage.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { Registration } from "../models/registration.model.js";
-import { sendVerificationMail, sendForgotPasswordMail } from "../utils/sendEmail.js";
+import { sendVerificationMail, sendForgotPasswordMail, sendEmailChangeMail } from "../utils/sendEmail.js";
+import { SUPPORTED_LOCALES, getRequestLocale } from "../utils/mail.js";
+import { toEmailStatus } from "../utils/emailOutbox.js";
+import { deactivateAccount, restoreAccount } from "../utils/accountDeletion.js";
 import jwt from 'jsonwebtoken';
 import mongoose, { Mongoose } from "mongoose";
 import { Video } from "../models/video.model.js";
-import { Tweet } from "../models/tweet.model.js";
+import { Session } from "../models/session.model.js";
+import { Block } from "../models/block.model.js";
+import { Mute } from "../models/mute.model.js";
 import { Subscription } from "../models/subscription.model.js";
-import { Report } from "../models/report.model.js";
-import { Playlist } from "../models/playlist.model.js";
-import { Like } from "../models/like.model.js";
-import { Comment } from "../models/comment.model.js";
+import { Notification } from "../models/notification.model.js";
+import { approvedSubscriptions, assertCanViewUserContent } from "../utils/userRelations.js";
+import { watchableVideosFor } from "../utils/videoVisibility.js";
+import { recordSubscriberChange } from "../utils/analytics.js";
 import { encrypt, decrypt } from "../utils/crypto.js";
 import { generateToken, verifyToken } from "../utils/jwt.js";
+import { getPaginationOptions, paginationStages, paginate } from "../utils/pagination.js";
 
-// pre-defined method for generating access and refresh tokens 
-const generateAccessAndRefreshTokens = async (userId) => {
+// pre-defined method for generating access and refresh tokens, every login starts a new session for the device
+const generateAccessAndRefreshTokens = async (userId, req) => {
     try {
         const user = await User.findById(userId)
 
@@ -27,13 +33,20 @@ const generateAccessAndRefreshTokens = async (userId) => {
             throw new ApiError(404, "User not found");
         }
 
-        const accessToken = user.generateAccessToken()
-        const refreshToken = user.generateRefreshToken()
+        const sessionId = new mongoose.Types.ObjectId()
 
-        user.refreshToken = refreshToken
+        const accessToken = user.generateAccessToken(sessionId)
+        const refreshToken = user.generateRefreshToken(sessionId)
 
-        // updating the user in database
-        await user.save({ validateBeforeSave: false })
+        // only the hash of the refresh token is stored in the database
+        await Session.create({
+            _id: sessionId,
+            user: user._id,
+            refreshTokenHash: Session.hashToken(refreshToken),
+            userAgent: req.get("user-agent"),
+            ip: req.ip,
+            expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+        })
 
         return { accessToken, refreshToken }
 
@@ -86,8 +99,10 @@ const emailRegistration = asyncHandler(async (req, res) => {
         throw new ApiError(500, "Error while saving registration: " + error.message);
     }
 
+    let mail
+
     try {
-        await sendVerificationMail(email, verificationOTP);
+        mail = await sendVerificationMail(email, verificationOTP, getRequestLocale(req));
     } catch (error) {
         throw new ApiError(500, "Error while sending verification email: " + error.message);
     }
@@ -101,14 +116,19 @@ const emailRegistration = asyncHandler(async (req, res) => {
         maxAge: 20 * 60 * 1000,
     }
 
+    // 202 while the email is waiting for a retry, the token is still needed to request it again
+    const statusCode = mail.status === "sent" ? 200 : 202
+
     return res
-        .status(200)
+        .status(statusCode)
         .cookie("emailToken", token, cookiesOptions)
         .json(
             new ApiResponse(
-                200,
-                { token },
-                "OTP sent successfuly. Please verify your email."
+                statusCode,
+                { token, emailDelivery: toEmailStatus(mail) },
+                mail.status === "sent"
+                    ? "OTP sent successfuly. Please verify your email."
+                    : "The email couldn't be sent yet, it will be retried automatically. You can also request it again."
             )
         )
 
@@ -228,7 +248,8 @@ const registerUser = asyncHandler(async (req, res) => {
         coverImage: "",
         email,
         password,
-        username: username.toLowerCase()
+        username: username.toLowerCase(),
+        locale: getRequestLocale(req)
     })
 
     // checking if user is created and removing password and refreshToken
@@ -288,9 +309,36 @@ const loginUser = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Password is incorrect!")
     }
 
-    // 4. Generating Access and refersh tokens
+    if (user.isSuspended()) {
+        throw new ApiError(403, `Your account is suspended until ${user.suspendedUntil.toISOString()}.`)
+    }
+
+    // with 2FA the password alone is not enough, the tokens are issued by loginWithTwoFactor
 
-    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(user._id)
+    if (user.isTwoFactorEnabled) {
+        const challengeToken = generateToken({ userId: user._id, purpose: "2fa-login" }, '5m')
+
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(
+                    200,
+                    {
+                        twoFactorRequired: true,
+                        challengeToken
+                    },
+                    "Enter the code from your authenticator app to finish logging in."
+                )
+            )
+    }
+
+    // 4. Restoring the account if it was deactivated, logging in within the grace period cancels the deletion
+
+    const isRestored = await restoreAccount(user)
+
+    // 5. Generating Access and refersh tokens
+
+    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(user._id, req)
 
     // fetching updated user from the database and removing unwanted attributes (such as password) before sending respond
 
@@ -315,24 +363,71 @@ const loginUser = asyncHandler(async (req, res) => {
                     accessToken,
                     refreshToken
                 },
-                "User logged in successfully."
+                isRestored ? "Welcome back! Your account has been restored." : "User logged in successfully."
             )
         )
 
 })
 
+// second step of the login when 2FA is enabled: the challenge token from loginUser and a TOTP or recovery code
+const loginWithTwoFactor = asyncHandler(async (req, res) => {
+    const { challengeToken, code } = req.body
+
+    if (!challengeToken || !code) {
+        throw new ApiError(400, "Challenge token and code are required.")
+    }
+
+    const { data } = verifyToken(challengeToken)
+
+    if (data?.purpose !== "2fa-login" || !mongoose.isValidObjectId(data?.userId)) {
+        throw new ApiError(400, "Invalid challenge token.")
+    }
+
+    const user = await User.findById(data.userId).select("+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep")
+
+    if (!user) {
+        throw new ApiError(404, "User not found.")
+    }
+
+    if (!(await user.verifySecondFactor(code))) {
+        throw new ApiError(401, "Invalid two-factor authentication code.")
+    }
+
+    if (user.isSuspended()) {
+        throw new ApiError(403, `Your account is suspended until ${user.suspendedUntil.toISOString()}.`)
+    }
+
+    const isRestored = await restoreAccount(user)
+
+    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(user._id, req)
+
+    const loggedInUser = await User.findById(user._id).select("-password -refreshToken")
+
+    const cookiesOptions = {
+        httpOnly: true,
+        secure: true
+    }
+
+    return res
+        .status(200)
+        .cookie("accessToken", accessToken, cookiesOptions)
+        .cookie("refreshToken", refreshToken, cookiesOptions)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    user: loggedInUser,
+                    accessToken,
+                    refreshToken
+                },
+                isRestored ? "Welcome back! Your account has been restored." : "User logged in successfully."
+            )
+        )
+})
+
 const logoutUser = asyncHandler(async (req, res) => {
-    await User.findByIdAndUpdate(
-        req.user._id,
-        {
-            $set: {
-                refreshToken: undefined
-            }
-        },
-        {
-            new: true
-        }
-    )
+    // ending only the session of this device
+    await Session.deleteOne({ _id: req.sessionId, user: req.user._id })
 
     const cookiesOptions = {
         httpOnly: true,
@@ -361,17 +456,56 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
             incomingRefreshToken,
             process.env.REFRESH_TOKEN_SECRET
         )
+
+        const session = decodedToken?.sessionId
+            ? await Session.findOne({ _id: decodedToken.sessionId, user: decodedToken._id })
+            : null
+
+        if (!session) {
+            throw new ApiError(401, "Session expired or revoked, please log in again.")
+        }
+
+        const incomingTokenHash = Session.hashToken(incomingRefreshToken)
+
+        // a valid but already rotated token means it was copied, so nobody can keep using this session
+        if (incomingTokenHash !== session.refreshTokenHash) {
+            await Session.deleteOne({ _id: session._id })
+            throw new ApiError(401, "Refresh Token reuse detected, the session has been revoked. Please log in again.")
+        }
+
         const user = await User.findById(decodedToken?._id)
 
         if (!user) {
             throw new ApiError(401, "Invalid Refresh Token!")
         }
 
-        if (incomingRefreshToken !== user?.refreshToken) {
-            throw new ApiError(401, "Refresh Token is expired or used.")
+        if (user.isSuspended()) {
+            throw new ApiError(403, `Your account is suspended until ${user.suspendedUntil.toISOString()}.`)
+        }
+
+        // rotating the refresh token
+        const accessToken = user.generateAccessToken(session._id)
+        const refreshToken = user.generateRefreshToken(session._id)
+
+        // the hash condition makes sure that two concurrent refreshes with the same token can't both succeed
+        const rotatedSession = await Session.findOneAndUpdate(
+            { _id: session._id, refreshTokenHash: incomingTokenHash },
+            {
+                $set: {
+                    refreshTokenHash: Session.hashToken(refreshToken),
+                    userAgent: req.get("user-agent"),
+                    ip: req.ip,
+                    lastUsedAt: new Date(),
+                    expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+                }
+            }
+        )
+
+        if (!rotatedSession) {
+            await Session.deleteOne({ _id: session._id })
+            throw new ApiError(401, "Refresh Token reuse detected, the session has been revoked. Please log in again.")
         }
 
-        const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(user._id)
         const cookiesOptions = {
             httpOnly: true,
             secure: true
@@ -393,7 +527,7 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
             )
 
     } catch (error) {
-        throw new ApiError(401, error.message || "Invalid Refresh token1")
+        throw new ApiError(error?.statusCode || 401, error.message || "Invalid Refresh token1")
     }
 })
 
@@ -415,13 +549,23 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
     user.password = newPassword
     await user.save({ validateBeforeSave: false })
 
+    // logging out every device, including this one
+    await Session.revokeAll(user._id)
+
+    const cookiesOptions = {
+        httpOnly: true,
+        secure: true
+    }
+
     return res
         .status(200)
+        .clearCookie("accessToken", cookiesOptions)
+        .clearCookie("refreshToken", cookiesOptions)
         .json(
             new ApiResponse(
                 200,
                 {},
-                "Password changed successfully."
+                "Password changed successfully. Please log in again."
             )
         )
 
@@ -440,7 +584,7 @@ const getCurrentUser = asyncHandler(async (req, res) => {
 })
 
 const updateAccountDetails = asyncHandler(async (req, res) => {
-    const { fullName, bio, username } = req.body
+    const { fullName, bio, username, locale, isPrivate } = req.body
 
     // while updating files there should be a different end-point
 
@@ -460,6 +604,42 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
         user.bio = bio.trim()
     }
 
+    // language of the mails sent to the user
+    if (locale && locale !== user.locale) {
+        if (!SUPPORTED_LOCALES.includes(locale)) {
+            throw new ApiError(400, `Invalid locale. Allowed values: ${SUPPORTED_LOCALES.join(", ")}.`)
+        }
+
+        user.locale = locale
+    }
+
+    // making the account public approves the pending subscription requests
+    if (typeof isPrivate === "boolean" && isPrivate !== user.isPrivate) {
+        user.isPrivate = isPrivate
+
+        if (!isPrivate) {
+            const requests = await Subscription.find({ channel: user._id, status: "pending" }).select("subscriber")
+
+            await Subscription.updateMany(
+                { _id: { $in: requests.map((request) => request._id) } },
+                { $set: { status: "approved" } }
+            )
+
+            await Notification.updateMany(
+                {
+                    recipient: user._id,
+                    actor: { $in: requests.map((request) => request.subscriber) },
+                    type: "subscription_request"
+                },
+                { $set: { type: "subscription" } }
+            )
+
+            if (requests.length > 0) {
+                await recordSubscriberChange(user._id, { subscribersGained: requests.length })
+            }
+        }
+    }
+
 
     // Check if the username is already in use by another user
     if (username && user.username !== username) {
@@ -533,8 +713,10 @@ const updateEmail = asyncHandler(async (req, res) => {
         throw new ApiError(500, "Error while saving user : " + error.message);
     }
 
+    let mail
+
     try {
-        await sendVerificationMail(newEmail, updateEmailOTP);
+        mail = await sendEmailChangeMail(newEmail, updateEmailOTP, user.username, user.locale, user._id);
     } catch (error) {
         throw new ApiError(500, "Error while sending mail verification OTP: " + error.message);
     }
@@ -547,14 +729,18 @@ const updateEmail = asyncHandler(async (req, res) => {
         maxAge: 20 * 60 * 1000,
     }
 
+    const statusCode = mail.status === "sent" ? 200 : 202
+
     return res
-        .status(200)
+        .status(statusCode)
         .cookie("updateEmailToken", updateEmailToken, cookiesOptions)
         .json(
             new ApiResponse(
-                200,
-                { updateEmailToken },
-                "Verification OTP sent successfully to new email."
+                statusCode,
+                { updateEmailToken, emailDelivery: toEmailStatus(mail) },
+                mail.status === "sent"
+                    ? "Verification OTP sent successfully to new email."
+                    : "The email couldn't be sent yet, it will be retried automatically. You can also request it again."
             )
         )
 })
@@ -630,20 +816,19 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Avatar file is missing!")
     }
 
-    const avatar = await uploadOnCloudinary(avatarLocalPath, "image")
+    const avatar = await uploadFile(avatarLocalPath, "image")
 
-    if (!avatar.url) {
+    if (!avatar?.url) {
         throw new ApiError(400, "Error while uploading an avatar.")
     }
 
     const user = await User.findById(req.user._id).select("-password -refreshToken")
 
     if (user.avatar.trim() !== '') {
-        try {
-            await deleteFromCloudinary(user.avatar);
-        } catch (error) { }
+        await deleteFile(user.avatarStorage || user.avatar);
     }
     user.avatar = avatar.url
+    user.avatarStorage = avatar
 
     await user.save({ validateBeforeSave: false })
 
@@ -666,21 +851,20 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Cover image file is missing!")
     }
 
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath, "image")
+    const coverImage = await uploadFile(coverImageLocalPath, "image")
 
-    if (!coverImage.url) {
+    if (!coverImage?.url) {
         throw new ApiError(400, "Error while uploading a cover image.")
     }
 
     const user = await User.findById(req.user._id).select("-password -refreshToken")
 
     if (user.coverImage.trim() !== '') {
-        try {
-            await deleteFromCloudinary(user.coverImage);
-        } catch (error) { }
+        await deleteFile(user.coverImageStorage || user.coverImage);
     }
 
     user.coverImage = coverImage.url
+    user.coverImageStorage = coverImage
 
     await user.save({ validateBeforeSave: false })
 
@@ -700,11 +884,12 @@ const removeUserAvatar = asyncHandler(async (req, res) => {
 
     const user = await User.findById(req.user._id).select("-password -refreshToken")
 
-    if (user.avatar.trim() !== '') try {
-        await deleteFromCloudinary(user.avatar);
-    } catch (error) { }
+    if (user.avatar.trim() !== '') {
+        await deleteFile(user.avatarStorage || user.avatar);
+    }
 
     user.avatar = ''
+    user.avatarStorage = undefined
 
     await user.save({ validateBeforeSave: false })
 
@@ -724,11 +909,10 @@ const removeUserCoverImage = asyncHandler(async (req, res) => {
     const user = await User.findById(req.user._id).select("-password -refreshToken")
 
     if (user.coverImage.trim() !== '') {
-        try {
-            await deleteFromCloudinary(user.coverImage);
-        } catch (error) { }
+        await deleteFile(user.coverImageStorage || user.coverImage);
     }
     user.coverImage = ''
+    user.coverImageStorage = undefined
 
     await user.save({ validateBeforeSave: false })
 
@@ -765,7 +949,8 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
     const channel = await User.aggregate([
         {
             $match: {
-                $or: matchConditions
+                $or: matchConditions,
+                deactivatedAt: { $exists: false }
             }
         },
         {
@@ -774,6 +959,7 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
                 localField: "_id",
                 foreignField: "channel",  // Fetch subscribers
                 as: "subscribers",
+                pipeline: [{ $match: approvedSubscriptions }], // pending requests are not subscriptions yet
             },
         },
         {
@@ -782,6 +968,7 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
                 localField: "_id",
                 foreignField: "subscriber",  // Fetch channels user is subscribed to
                 as: "subscribedTo",
+                pipeline: [{ $match: approvedSubscriptions }],
             },
         },
         {
@@ -801,6 +988,7 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
                 subscribersCount: 1,
                 channelsSubscribedToCount: 1,
                 isSubscribed: 1,
+                isPrivate: 1,
                 avatar: 1,
                 coverImage: 1,
                 bio: 1,
@@ -812,12 +1000,28 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Channel does not exists!")
     }
 
+    // a user who blocked the current user doesn't show up for them
+    if (userId && await Block.exists({ blocker: channel[0]._id, blocked: userId })) {
+        throw new ApiError(404, "Channel does not exists!")
+    }
+
+    const [isBlocked, isMuted, viewerSubscription] = userId
+        ? await Promise.all([
+            Block.exists({ blocker: userId, blocked: channel[0]._id }),
+            Mute.exists({ muter: userId, muted: channel[0]._id }),
+            Subscription.findOne({ subscriber: userId, channel: channel[0]._id }).select("status")
+        ])
+        : [false, false, null]
+
+    // "pending" while a subscription request to a private account waits for its approval
+    const subscriptionStatus = viewerSubscription ? viewerSubscription.status : "none"
+
     return res
         .status(200)
         .json(
             new ApiResponse(
                 200,
-                channel[0],
+                { ...channel[0], subscriptionStatus, isBlocked: Boolean(isBlocked), isMuted: Boolean(isMuted) },
                 "Channel fetched successfully."
             )
         )
@@ -826,19 +1030,30 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
 
 
 const getWatchHistory = asyncHandler(async (req, res) => {
-    const user = await User.aggregate([
+    const paginationOptions = getPaginationOptions(req.query, {
+        sortFields: ["watchedAt"],
+        defaultSortBy: "watchedAt"
+    })
+
+    const pageWatchHistory = await User.aggregate([
         {
             $match: {
                 _id: new mongoose.Types.ObjectId(String(req.user._id))
             }
         },
+        {
+            $unwind: "$watchHistory" // array order is kept, so the newest entry stays first
+        },
         {
             $lookup: {
                 from: "videos",
-                localField: "watchHistory",
+                localField: "watchHistory.video",
                 foreignField: "_id",
-                as: "watchHistory",
+                as: "video",
                 pipeline: [
+                    {
+                        $match: watchableVideosFor(req.user._id) // the videos made private since are dropped too
+                    },
                     {
                         $lookup: {
                             from: "users",
@@ -865,21 +1080,160 @@ const getWatchHistory = asyncHandler(async (req, res) => {
                     }
                 ]
             }
-        }
+        },
+        {
+            $unwind: "$video" // dropping entries whose video has been deleted
+        },
+        {
+            $replaceRoot: {
+                newRoot: {
+                    $mergeObjects: [
+                        "$video",
+                        {
+                            watchedAt: "$watchHistory.watchedAt",
+                            resumePosition: "$watchHistory.position"
+                        }
+                    ]
+                }
+            }
+        },
+        ...paginationStages(paginationOptions) // a video appears only once, so its _id is a unique tie-breaker
     ])
 
+    const { items: watchHistory, pagination } = paginate(pageWatchHistory, paginationOptions)
+
     return res
         .status(200)
         .json(
             new ApiResponse(
                 200,
-                user[0].watchHistory,
+                {
+                    watchHistory,
+                    pagination
+                },
                 "Watch history fetched successfully."
             )
         )
 })
 
 
+const updateWatchProgress = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { position } = req.body
+
+    if (!videoId) {
+        throw new ApiError(400, "Video ID is missing!")
+    }
+
+    if (!mongoose.isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video ID format!");
+    }
+
+    const resumePosition = Number(position)
+
+    if (!Number.isFinite(resumePosition) || resumePosition < 0) {
+        throw new ApiError(400, "Position must be a non-negative number of seconds.")
+    }
+
+    const videoExists = await Video.exists({ _id: videoId, ...watchableVideosFor(req.user._id) })
+
+    if (!videoExists) {
+        throw new ApiError(404, "Video does not exist!")
+    }
+
+    const historyEntry = await User.recordWatch(req.user._id, videoId, resumePosition)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                historyEntry,
+                historyEntry
+                    ? "Watch progress saved successfully."
+                    : "Watch history is paused, progress was not saved."
+            )
+        )
+})
+
+
+const removeFromWatchHistory = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    if (!videoId) {
+        throw new ApiError(400, "Video ID is missing!")
+    }
+
+    if (!mongoose.isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video ID format!");
+    }
+
+    const updateResult = await User.updateOne(
+        { _id: req.user._id },
+        {
+            $pull: {
+                watchHistory: { video: new mongoose.Types.ObjectId(String(videoId)) }
+            }
+        }
+    )
+
+    if (!updateResult.modifiedCount) {
+        throw new ApiError(404, "The video is not available in the watch history.")
+    }
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {},
+                "Video removed from the watch history successfully."
+            )
+        )
+})
+
+
+const clearWatchHistory = asyncHandler(async (req, res) => {
+    await User.updateOne(
+        { _id: req.user._id },
+        {
+            $set: { watchHistory: [] }
+        }
+    )
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {},
+                "Watch history cleared successfully."
+            )
+        )
+})
+
+
+const toggleWatchHistoryPause = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id).select("-password -refreshToken")
+
+    user.isWatchHistoryPaused = !user.isWatchHistoryPaused
+
+    await user.save({ validateBeforeSave: false })
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { isWatchHistoryPaused: user.isWatchHistoryPaused },
+                user.isWatchHistoryPaused
+                    ? "Watch history paused successfully."
+                    : "Watch history resumed successfully."
+            )
+        )
+})
+
+
 const sendForgotPasswordOTP = asyncHandler(async (req, res) => {
     const { usernameOrEmail } = req.body
 
@@ -910,8 +1264,10 @@ const sendForgotPasswordOTP = asyncHandler(async (req, res) => {
         throw new ApiError(500, "Error while saving user : " + error.message);
     }
 
+    let mail
+
     try {
-        await sendForgotPasswordMail(user.email, forgotPasswordOTP, user.username);
+        mail = await sendForgotPasswordMail(user.email, forgotPasswordOTP, user.username, user.locale, user._id);
     } catch (error) {
         throw new ApiError(500, "Error while sending forgot password email: " + error.message);
     }
@@ -924,17 +1280,22 @@ const sendForgotPasswordOTP = asyncHandler(async (req, res) => {
         maxAge: 20 * 60 * 1000,
     }
 
+    const statusCode = mail.status === "sent" ? 200 : 202
+
     return res
-        .status(200)
+        .status(statusCode)
         .cookie("forgotPassToken", token, cookiesOptions)
         .json(
             new ApiResponse(
-                200,
+                statusCode,
                 {
                     email: user.email,
-                    token
+                    token,
+                    emailDelivery: toEmailStatus(mail)
                 },
-                "Forgot password OTP sent successfully."
+                mail.status === "sent"
+                    ? "Forgot password OTP sent successfully."
+                    : "The email couldn't be sent yet, it will be retried automatically. You can also request it again."
             )
         )
 })
@@ -1037,6 +1398,9 @@ const forgotPassword = asyncHandler(async (req, res) => {
         throw new ApiError(500, "Error while saving user: " + error.message);
     }
 
+    // whoever knew the old password is logged out everywhere
+    await Session.revokeAll(user._id)
+
     const cookiesOptions = {
         httpOnly: true,
         secure: true
@@ -1071,87 +1435,53 @@ const deleteAccount = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Incorrect password.")
     }
 
-    // deleting other user related documents
+    // the account is only deactivated here, everything is removed by the purge once the grace period is over
 
-    try {
-        await Video.deleteMany({
-            owner: req.user._id
-        })
-
-        await Tweet.deleteMany({
-            owner: req.user._id
-        })
-
-        await Subscription.deleteMany({
-            $or: [
-                { subscriber: req.user._id },
-                { channel: req.user._id },
-            ]
-        })
-
-        await Report.deleteMany({
-            reportBy: req.user._id
-        })
+    const { scheduledDeletionAt } = await deactivateAccount(user)
 
-        await Playlist.deleteMany({
-            owner: req.user._id
-        })
-
-        await Like.deleteMany({
-            likedBy: req.user._id
-        })
-
-        await Comment.deleteMany({
-            owner: req.user._id
-        })
-    } catch (error) {
-        throw new ApiError(500, "Something went wrong while deleting the user || Error: " + error)
-    }
-
-    // deleting the user at last
-
-    const deletedUser = await User.findByIdAndDelete(req.user._id)
-
-    if (!deletedUser) {
-        throw new ApiError(500, "Something went wrong while deleting the user.")
-    }
-
-    if (user.avatar.trim() !== '') {
-        try {
-            await deleteFromCloudinary(user.avatar);
-        } catch (error) { }
-    }
-
-    if (user.coverImage.trim() !== '') {
-        try {
-            await deleteFromCloudinary(user.coverImage)
-        } catch (error) { }
+    const cookiesOptions = {
+        httpOnly: true,
+        secure: true
     }
 
     return res
         .status(200)
+        .clearCookie("accessToken", cookiesOptions)
+        .clearCookie("refreshToken", cookiesOptions)
         .json(
             new ApiResponse(
                 200,
-                deletedUser,
-                "Account deleted successfully."
+                { scheduledDeletionAt },
+                `Account deactivated. It will be deleted permanently on ${scheduledDeletionAt.toISOString()}, log in before then to restore it.`
             )
         )
 })
 
 
 const getAllUsers = asyncHandler(async (req, res) => {
-    const { query, page = 1, limit = 30 } = req.query
+    const { query } = req.query
+
+    const paginationOptions = getPaginationOptions(req.query, {
+        defaultLimit: 30,
+        sortFields: ["createdAt", "username"]
+    })
 
     const userId = req.user?._id || null
 
     const primaryPipeline = [
+        {
+            $match: {
+                ...(query && { $text: { $search: String(query) } }),
+                deactivatedAt: { $exists: false }
+            }
+        },
         {
             $lookup: {
                 from: "subscriptions",
                 localField: "_id",
                 foreignField: "channel",  // Fetch subscribers
                 as: "subscribers",
+                pipeline: [{ $match: approvedSubscriptions }],
             },
         },
         {
@@ -1169,34 +1499,14 @@ const getAllUsers = asyncHandler(async (req, res) => {
                 avatar: 1,
                 coverImage: 1,
                 bio: 1,
+                createdAt: 1,
             },
         },
-        {
-            $match: {
-                ...(query && {
-                    $or: [
-                        { fullName: { $regex: query, $options: 'i' } },
-                        { username: { $regex: query, $options: 'i' } },
-                        { bio: { $regex: query, $options: 'i' } },
-                    ]
-                })
-            }
-        },
     ]
 
-    const secondaryPipeline = [
-        {
-            $skip: (page - 1) * limit
-        },
-
-        {
-            $limit: parseInt(limit)
-        }
-    ]
-
-    const users = await User.aggregate([
+    const pageUsers = await User.aggregate([
         ...primaryPipeline,
-        ...secondaryPipeline
+        ...paginationStages(paginationOptions)
     ])
 
 
@@ -1206,28 +1516,13 @@ const getAllUsers = asyncHandler(async (req, res) => {
         { $count: "totalUsersCount" }
     ])
 
-    if (!users || !totalUsers) {
+    if (!pageUsers || !totalUsers) {
         throw new ApiError(400, "Something went wrong while fetching users!")
     }
 
     const totalUsersCount = totalUsers.length > 0 ? totalUsers[0].totalUsersCount : 0;
 
-    if (!users || !users.length) {
-        return res
-            .status(200)
-            .json(
-                new ApiResponse(
-                    200,
-                    {
-                        users: [],
-                        currentPage: parseInt(page),
-                        totalPages: 0,
-                        totalUsers: 0
-                    },
-                    "Sorry! No users found."
-                )
-            )
-    }
+    const { items: users, pagination } = paginate(pageUsers, paginationOptions, totalUsersCount)
 
     return res
         .status(200)
@@ -1236,11 +1531,9 @@ const getAllUsers = asyncHandler(async (req, res) => {
                 200,
                 {
                     users,
-                    currentPage: parseInt(page),
-                    totalPages: Math.ceil(totalUsersCount / limit),
-                    totalUsers: totalUsersCount
+                    pagination
                 },
-                "Users fetched successfully."
+                users.length === 0 ? "Sorry! No users found." : "Users fetched successfully."
             )
         )
 
@@ -1265,6 +1558,10 @@ const getUserFollowers = asyncHandler(async (req, res) => {
 
     const userId = req.user?._id || null
 
+    await assertCanViewUserContent(userId, channelObjectId)
+
+    const paginationOptions = getPaginationOptions(req.query)
+
     const followers = await User.aggregate([
         {
             $lookup: {
@@ -1272,6 +1569,7 @@ const getUserFollowers = asyncHandler(async (req, res) => {
                 localField: "_id",
                 foreignField: "channel",
                 as: "subscribers",
+                pipeline: [{ $match: approvedSubscriptions }],
             },
         },
         {
@@ -1280,6 +1578,7 @@ const getUserFollowers = asyncHandler(async (req, res) => {
                 localField: "_id",
                 foreignField: "subscriber",
                 as: "subscribedTo",
+                pipeline: [{ $match: approvedSubscriptions }],
             },
         },
         {
@@ -1294,8 +1593,10 @@ const getUserFollowers = asyncHandler(async (req, res) => {
                 subscribedTo: {
                     $elemMatch: { channel: channelObjectId }
                 },
+                deactivatedAt: { $exists: false }
             },
         },
+        ...paginationStages(paginationOptions),
         {
             $project: {
                 fullName: 1,
@@ -1309,19 +1610,7 @@ const getUserFollowers = asyncHandler(async (req, res) => {
 
     ]);
 
-    if (!followers || !followers.length) {
-        return res
-            .status(200)
-            .json(
-                new ApiResponse(
-                    200,
-                    {
-                        followers: [],
-                    },
-                    "Sorry! No followers found."
-                )
-            )
-    }
+    const { items, pagination } = paginate(followers, paginationOptions)
 
     return res
         .status(200)
@@ -1329,9 +1618,10 @@ const getUserFollowers = asyncHandler(async (req, res) => {
             new ApiResponse(
                 200,
                 {
-                    followers,
+                    followers: items,
+                    pagination
                 },
-                "Followers fetched successfully."
+                items.length === 0 ? "Sorry! No followers found." : "Followers fetched successfully."
             )
         )
 })
@@ -1355,6 +1645,10 @@ const getUserFollowings = asyncHandler(async (req, res) => {
 
     const userId = req.user?._id || null
 
+    await assertCanViewUserContent(userId, channelObjectId)
+
+    const paginationOptions = getPaginationOptions(req.query)
+
     const followings = await User.aggregate([
         {
             $lookup: {
@@ -1362,6 +1656,7 @@ const getUserFollowings = asyncHandler(async (req, res) => {
                 localField: "_id",
                 foreignField: "channel",
                 as: "subscribers",
+                pipeline: [{ $match: approvedSubscriptions }],
             },
         },
         {
@@ -1376,8 +1671,10 @@ const getUserFollowings = asyncHandler(async (req, res) => {
                 subscribers: {
                     $elemMatch: { subscriber: channelObjectId }
                 },
+                deactivatedAt: { $exists: false }
             },
         },
+        ...paginationStages(paginationOptions),
         {
             $project: {
                 fullName: 1,
@@ -1391,19 +1688,7 @@ const getUserFollowings = asyncHandler(async (req, res) => {
 
     ]);
 
-    if (!followings || !followings.length) {
-        return res
-            .status(200)
-            .json(
-                new ApiResponse(
-                    200,
-                    {
-                        followings: [],
-                    },
-                    "Sorry! No followings found."
-                )
-            )
-    }
+    const { items, pagination } = paginate(followings, paginationOptions)
 
     return res
         .status(200)
@@ -1411,9 +1696,10 @@ const getUserFollowings = asyncHandler(async (req, res) => {
             new ApiResponse(
                 200,
                 {
-                    followings,
+                    followings: items,
+                    pagination
                 },
-                "Followings fetched successfully."
+                items.length === 0 ? "Sorry! No followings found." : "Followings fetched successfully."
             )
         )
 })
@@ -1424,6 +1710,7 @@ export {
     verifyEmail,
     registerUser,
     loginUser,
+    loginWithTwoFactor,
     logoutUser,
     refreshAccessToken,
     changeCurrentPassword,
@@ -1435,6 +1722,10 @@ export {
     removeUserCoverImage,
     getUserChannelProfile,
     getWatchHistory,
+    updateWatchProgress,
+    removeFromWatchHistory,
+    clearWatchHistory,
+    toggleWatchHistoryPause,
     sendForgotPasswordOTP,
     verifyForgotPasswordOTP,
     forgotPassword,
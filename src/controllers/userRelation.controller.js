@@ -0,0 +1,244 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Block } from "../models/block.model.js";
+import { Mute } from "../models/mute.model.js";
+import { User } from "../models/user.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { withdrawNotification } from "../utils/notification.js";
+import { recordSubscriberChange } from "../utils/analytics.js";
+import { getPaginationOptions, paginationStages, paginate } from "../utils/pagination.js";
+
+// the user targeted by a block or a mute, never the current user
+const findTargetUser = async (req) => {
+    const { username } = req.params
+
+    if (!username) {
+        throw new ApiError(400, "Username is missing!")
+    }
+
+    const user = await User.findOne({ username: String(username).toLowerCase() })
+
+    if (!user) {
+        throw new ApiError(404, "User does not exist.")
+    }
+
+    if (user._id.equals(req.user._id)) {
+        throw new ApiError(400, "You cannot do this to yourself.")
+    }
+
+    return user
+}
+
+const blockUser = asyncHandler(async (req, res) => {
+    const user = await findTargetUser(req)
+
+    const block = await Block.findOneAndUpdate(
+        { blocker: req.user._id, blocked: user._id },
+        {},
+        { upsert: true, new: true }
+    )
+
+    // a block ends the subscriptions both ways
+    const subscriptions = await Subscription.find({
+        $or: [
+            { subscriber: req.user._id, channel: user._id },
+            { subscriber: user._id, channel: req.user._id }
+        ]
+    })
+
+    await Subscription.deleteMany({ _id: { $in: subscriptions.map((subscription) => subscription._id) } })
+
+    await Promise.all(subscriptions.map((subscription) => withdrawNotification({
+        recipient: subscription.channel,
+        actor: subscription.subscriber,
+        type: subscription.status === "pending" ? "subscription_request" : "subscription"
+    })))
+
+    await Promise.all(subscriptions
+        .filter((subscription) => subscription.status !== "pending")
+        .map((subscription) => recordSubscriberChange(subscription.channel, { subscribersLost: 1 })))
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                block,
+                "User blocked successfully."
+            )
+        )
+})
+
+const unblockUser = asyncHandler(async (req, res) => {
+    const user = await findTargetUser(req)
+
+    const block = await Block.findOneAndDelete({ blocker: req.user._id, blocked: user._id })
+
+    if (!block) {
+        throw new ApiError(404, "This user is not blocked.")
+    }
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {},
+                "User unblocked successfully."
+            )
+        )
+})
+
+const getBlockedUsers = asyncHandler(async (req, res) => {
+    const paginationOptions = getPaginationOptions(req.query, { defaultLimit: 50 })
+
+    const blocks = await Block.aggregate([
+        {
+            $match: {
+                blocker: new mongoose.Types.ObjectId(String(req.user._id))
+            }
+        },
+        ...paginationStages(paginationOptions),
+        {
+            $lookup: {
+                from: "users",
+                localField: "blocked",
+                foreignField: "_id",
+                as: "user",
+                pipeline: [
+                    {
+                        $project: {
+                            fullName: 1,
+                            username: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $project: {
+                user: { $arrayElemAt: ["$user", 0] },
+                createdAt: 1
+            }
+        }
+    ])
+
+    const { items, pagination } = paginate(blocks, paginationOptions)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    blockedUsers: items,
+                    pagination
+                },
+                items.length === 0 ? "You haven't blocked anyone." : "Blocked users fetched successfully."
+            )
+        )
+})
+
+// muting only hides the muted user's content from the current user, the muted user isn't told
+const muteUser = asyncHandler(async (req, res) => {
+    const user = await findTargetUser(req)
+
+    const mute = await Mute.findOneAndUpdate(
+        { muter: req.user._id, muted: user._id },
+        {},
+        { upsert: true, new: true }
+    )
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                mute,
+                "User muted successfully."
+            )
+        )
+})
+
+const unmuteUser = asyncHandler(async (req, res) => {
+    const user = await findTargetUser(req)
+
+    const mute = await Mute.findOneAndDelete({ muter: req.user._id, muted: user._id })
+
+    if (!mute) {
+        throw new ApiError(404, "This user is not muted.")
+    }
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {},
+                "User unmuted successfully."
+            )
+        )
+})
+
+const getMutedUsers = asyncHandler(async (req, res) => {
+    const paginationOptions = getPaginationOptions(req.query, { defaultLimit: 50 })
+
+    const mutes = await Mute.aggregate([
+        {
+            $match: {
+                muter: new mongoose.Types.ObjectId(String(req.user._id))
+            }
+        },
+        ...paginationStages(paginationOptions),
+        {
+            $lookup: {
+                from: "users",
+                localField: "muted",
+                foreignField: "_id",
+                as: "user",
+                pipeline: [
+                    {
+                        $project: {
+                            fullName: 1,
+                            username: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $project: {
+                user: { $arrayElemAt: ["$user", 0] },
+                createdAt: 1
+            }
+        }
+    ])
+
+    const { items, pagination } = paginate(mutes, paginationOptions)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    mutedUsers: items,
+                    pagination
+                },
+                items.length === 0 ? "You haven't muted anyone." : "Muted users fetched successfully."
+            )
+        )
+})
+
+export {
+    blockUser,
+    unblockUser,
+    getBlockedUsers,
+    muteUser,
+    unmuteUser,
+    getMutedUsers
+}
\ No newline at end of file
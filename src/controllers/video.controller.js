@@ -3,7 +3,32 @@ import { User } from "../models/user.model.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
-import { deleteFromCloudinary, uploadOnCloudinary } from "../utils/cloudinary.js";
+import { deleteFile, uploadFile } from "../utils/storage.js";
+import { getPaginationOptions, paginationStages, paginate } from "../utils/pagination.js";
+import { extractTextEntities, notifyMentions } from "../utils/textEntities.js";
+import {
+    assertCanViewUserContent,
+    canViewUserContent,
+    excludeOwners,
+    getBlockedUserIds,
+    getHiddenUserIds,
+    isBlockedBetween,
+    visibleOwnersStages
+} from "../utils/userRelations.js";
+import {
+    extractThumbnailAt,
+    removeRenditions,
+    removeThumbnail,
+    startVideoProcessing
+} from "../utils/videoProcessing.js";
+import {
+    getVisibilityOptions,
+    listableVideosFor,
+    visibilityUpdate,
+    watchableVideosFor
+} from "../utils/videoVisibility.js";
+import { recordView, removeViewData } from "../utils/viewTracking.js";
+import { chaptersOf, getChaptersFromBody } from "../utils/videoChapters.js";
 import mongoose from "mongoose";
 
 
@@ -15,6 +40,8 @@ const publishAVideo = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Title and description are required!")
     }
 
+    const visibilityOptions = getVisibilityOptions(req.body)
+
     // let videoFileLocalPath;
     // if (req.files && Array.isArray(req.files.videoFile) && req.files.videoFile.length > 0) {
     //     videoFileLocalPath = req.files.videoFile[0].path
@@ -39,32 +66,37 @@ const publishAVideo = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Video file is required!");
     }
 
-    if (!thumbnailLocalPath) {
-        throw new ApiError(400, "Thumbnail is required!");
-    }
-
-    // uploading files on cloudinary
-    const videoUploadResult = await uploadOnCloudinary(videoFileLocalPath, "video");
-    const thumbnailUploadResult = await uploadOnCloudinary(thumbnailLocalPath, "image");
+    // uploading files to the storage, without a thumbnail the best frame is picked while processing the video
+    const videoUploadResult = await uploadFile(videoFileLocalPath, "video");
+    const thumbnailUploadResult = thumbnailLocalPath ? await uploadFile(thumbnailLocalPath, "image") : null;
 
     if (!videoUploadResult) {
+        await deleteFile(thumbnailUploadResult)
         throw new ApiError(400, "Video upload failed!")
     }
 
-    if (!thumbnailUploadResult) {
+    if (thumbnailLocalPath && !thumbnailUploadResult) {
+        await deleteFile(videoUploadResult)
         throw new ApiError(400, "Thumbnail upload failed!")
     }
 
+    const { hashtags, mentions } = await extractTextEntities(req.user._id, description)
+
     // creating video object (db entry)
 
     const video = await Video.create({
         title,
         description,
+        hashtags,
+        mentions,
         videoFile: videoUploadResult.url,
-        thumbnail: thumbnailUploadResult.url,
+        videoFileStorage: videoUploadResult,
+        thumbnail: thumbnailUploadResult?.url,
+        thumbnailStorage: thumbnailUploadResult || undefined,
         duration: videoUploadResult.duration,
         owner: req.user._id,
-        isPublished: true,
+        ...visibilityOptions,
+        status: "processing",
         views: 0
     })
 
@@ -72,13 +104,22 @@ const publishAVideo = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Something went wrong while uploading the video.")
     }
 
+    // the HLS renditions are made in the background, the video is listed once they are ready
+    startVideoProcessing()
+
+    await notifyMentions({
+        mentions,
+        actor: req.user._id,
+        video: video._id
+    })
+
     return res
         .status(200)
         .json(
             new ApiResponse(
                 200,
                 video,
-                "Video uploaded successfully!"
+                "Video uploaded successfully! It will be available once it is processed."
             )
         )
 })
@@ -100,13 +141,20 @@ const getVideoById = asyncHandler(async (req, res) => {
 
     const userId = req.user ? req.user._id : null;
 
+    // the videos of a user who blocked, or was blocked by, the current user are not found
+    const blockedUserIds = await getBlockedUserIds(userId)
+
     let video;
 
     try {
         video = await Video.aggregate([
             {
                 $match: {
-                    _id: new mongoose.Types.ObjectId(String(videoId))
+                    _id: new mongoose.Types.ObjectId(String(videoId)),
+                    isHidden: { $ne: true },
+                    ...excludeOwners(blockedUserIds),
+                    // drafts, private videos and the ones still processing are only visible to their owner
+                    ...watchableVideosFor(userId)
                 }
             },
             {
@@ -215,17 +263,22 @@ const getVideoById = asyncHandler(async (req, res) => {
             }
         ])
 
-        if (!video || video.length === 0) {
+        // neither are the ones of a private account the current user isn't an approved subscriber of
+        if (!video || video.length === 0 || !(await canViewUserContent(userId, video[0].owner?._id))) {
             throw new ApiError(404, "Video not found.");
         }
 
-        // incrementing video views
-        await Video.findByIdAndUpdate(videoId, {
-            $inc: { views: 1 }
-        });
+        video[0].chapters = chaptersOf(video[0])
 
     } catch (error) {
-        throw new ApiError(500, "Aggregation error: " + err.message);
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, "Aggregation error: " + error.message);
+    }
+
+    // recording the view in the user's watch history (skipped when history is paused)
+    if (userId) {
+        const historyEntry = await User.recordWatch(userId, videoId)
+        video[0].resumePosition = historyEntry?.position || 0
     }
 
     return res
@@ -240,6 +293,52 @@ const getVideoById = asyncHandler(async (req, res) => {
 })
 
 
+// the player reports the time watched so far, the view is counted by the rollup once the minimum watch time is reached
+const recordVideoView = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { watchedSeconds } = req.body
+
+    if (!mongoose.isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video ID format!");
+    }
+
+    const seconds = Number(watchedSeconds)
+
+    if (!Number.isFinite(seconds) || seconds < 0) {
+        throw new ApiError(400, "watchedSeconds must be a non-negative number of seconds.")
+    }
+
+    const userId = req.user ? req.user._id : null;
+
+    const video = await Video.findOne({
+        _id: videoId,
+        isHidden: { $ne: true },
+        ...excludeOwners(await getBlockedUserIds(userId)),
+        ...watchableVideosFor(userId)
+    }).select("owner duration")
+
+    if (!video || !(await canViewUserContent(userId, video.owner))) {
+        throw new ApiError(404, "Video not found.")
+    }
+
+    const viewEvent = await recordView(req, video, seconds)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    viewId: viewEvent?._id || null,
+                    watchedSeconds: viewEvent?.watchedSeconds || 0,
+                    counted: Boolean(viewEvent?.qualifiedAt)
+                },
+                viewEvent ? "View recorded successfully." : "The view was not recorded."
+            )
+        )
+})
+
+
 const updateVideo = asyncHandler(async (req, res) => {
 
     const { videoId } = req.params
@@ -272,8 +371,15 @@ const updateVideo = asyncHandler(async (req, res) => {
         video.title = title
     }
 
+    const previousMentions = video.mentions
+
     if (description.trim() && description.trim() !== video.description) {
         video.description = description
+
+        const { hashtags, mentions } = await extractTextEntities(req.user._id, description)
+
+        video.hashtags = hashtags
+        video.mentions = mentions
     }
 
     // updating thumbnail if the user reuploading the thumbnail.
@@ -283,20 +389,27 @@ const updateVideo = asyncHandler(async (req, res) => {
     }
 
     if (thumbnailLocalPath) {
-        const thumbnailUploadResult = await uploadOnCloudinary(thumbnailLocalPath, "image");
-        try {
-            await deleteFromCloudinary(video.thumbnail)
-        } catch (error) {}
+        const thumbnailUploadResult = await uploadFile(thumbnailLocalPath, "image");
 
         if (!thumbnailUploadResult) {
             throw new ApiError(400, "Thumbnail upload failed!")
         }
 
+        await removeThumbnail(video)
+
         video.thumbnail = thumbnailUploadResult.url
+        video.thumbnailStorage = thumbnailUploadResult
     }
     
     await video.save({ validateBeforeSave: false })
 
+    await notifyMentions({
+        mentions: video.mentions,
+        previousMentions,
+        actor: req.user._id,
+        video: video._id
+    })
+
     return res
         .status(200)
         .json(
@@ -340,11 +453,11 @@ const deleteVideo = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Something went wrong while deleting the video.")
     }
     
-    // deleting files from cloudinary
-    try {
-        await deleteFromCloudinary(video.thumbnail)
-        await deleteFromCloudinary(video.videoFile)
-    } catch (error) {}
+    // deleting files from the storage
+    await removeThumbnail(video)
+    await deleteFile(video.videoFileStorage || video.videoFile)
+    await removeRenditions(video)
+    await removeViewData([video._id])
 
     return res
         .status(200)
@@ -382,8 +495,9 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
         throw new ApiError(403, "Sorry! You don't have the authority to publish or unpublish this video.");
     }
 
-    // Toggle the publish status
-    video.isPublished = !video.isPublished;
+    // Toggle the publish status, between public and private, it cancels the scheduled publication
+    Object.assign(video, visibilityUpdate(video.isPublished ? "private" : "public"))
+    video.publishAt = undefined
 
     await video.save({ validateBeforeSave: false })
 
@@ -392,20 +506,212 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
         .json(
             new ApiResponse(
                 200,
-                { isVideoPublished: video.isPublished },
+                { isVideoPublished: video.isPublished, visibility: video.visibility },
                 "Publish status is updated successfully."
             )
         )
 })
 
 
+// the video of the current user being changed
+const findOwnVideo = async (req, action) => {
+    const { videoId } = req.params
+
+    if (!mongoose.isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video ID format!");
+    }
+
+    const video = await Video.findById(videoId)
+
+    if (!video) {
+        throw new ApiError(404, "Video does not exist!")
+    }
+
+    if (!video.owner.equals(req.user._id)) {
+        throw new ApiError(403, `Sorry! You don't have the authority to ${action} this video.`);
+    }
+
+    return video
+}
+
+
+// sets the visibility (draft, private, unlisted or public) or schedules the publication with publishAt
+const updateVideoVisibility = asyncHandler(async (req, res) => {
+    const video = await findOwnVideo(req, "change the visibility of")
+
+    if (req.body.visibility === undefined && !req.body.publishAt) {
+        throw new ApiError(400, "Either a visibility or a publishAt date is required.")
+    }
+
+    Object.assign(video, getVisibilityOptions(req.body))
+
+    await video.save({ validateBeforeSave: false })
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { visibility: video.visibility, publishAt: video.publishAt },
+                video.publishAt
+                    ? `The video will be published on ${video.publishAt.toISOString()}.`
+                    : "Video visibility updated successfully."
+            )
+        )
+})
+
+
+// sets the chapters of the video, an empty list turns them off
+const updateVideoChapters = asyncHandler(async (req, res) => {
+    const video = await findOwnVideo(req, "change the chapters of")
+
+    video.chapters = getChaptersFromBody(req.body, video.duration)
+    video.chaptersSource = "manual"
+
+    await video.save({ validateBeforeSave: false })
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { chaptersSource: video.chaptersSource, chapters: chaptersOf(video) },
+                "Video chapters updated successfully."
+            )
+        )
+})
+
+
+// drops the chapters set through updateVideoChapters, the chapters are parsed from the description again
+const resetVideoChapters = asyncHandler(async (req, res) => {
+    const video = await findOwnVideo(req, "change the chapters of")
+
+    video.chapters = []
+    video.chaptersSource = "description"
+
+    await video.save({ validateBeforeSave: false })
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { chaptersSource: video.chaptersSource, chapters: chaptersOf(video) },
+                "Video chapters are parsed from the description again."
+            )
+        )
+})
+
+
+const getThumbnailCandidates = asyncHandler(async (req, res) => {
+    const video = await findOwnVideo(req, "change the thumbnail of")
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    thumbnail: video.thumbnail,
+                    candidates: video.thumbnailCandidates.map((candidate, index) => ({
+                        index,
+                        timestamp: candidate.timestamp,
+                        url: candidate.url,
+                        isSelected: candidate.url === video.thumbnail
+                    }))
+                },
+                video.status === "processing"
+                    ? "The thumbnail candidates will be available once the video is processed."
+                    : "Thumbnail candidates fetched successfully."
+            )
+        )
+})
+
+
+// sets one of the candidates, or the frame at the given timestamp (in seconds), as the thumbnail
+const selectThumbnail = asyncHandler(async (req, res) => {
+    const { candidate, timestamp } = req.body
+
+    const video = await findOwnVideo(req, "change the thumbnail of")
+
+    let thumbnail;
+
+    if (candidate !== undefined) {
+        const index = Number(candidate)
+        const selectedCandidate = Number.isInteger(index) ? video.thumbnailCandidates[index] : null
+
+        if (!selectedCandidate) {
+            throw new ApiError(400, `Invalid candidate. The video has ${video.thumbnailCandidates.length} thumbnail candidates.`)
+        }
+
+        thumbnail = selectedCandidate.storage
+    } else if (timestamp !== undefined) {
+        const seconds = Number(timestamp)
+
+        if (isNaN(seconds) || seconds < 0 || (video.duration && seconds >= video.duration)) {
+            throw new ApiError(400, `timestamp must be a number of seconds between 0 and ${video.duration}.`)
+        }
+
+        try {
+            thumbnail = await extractThumbnailAt(video, seconds)
+        } catch (error) {
+            throw new ApiError(422, "No frame could be extracted at this timestamp.")
+        }
+
+        if (!thumbnail) {
+            throw new ApiError(400, "Thumbnail upload failed!")
+        }
+    } else {
+        throw new ApiError(400, "Either a candidate or a timestamp is required.")
+    }
+
+    await removeThumbnail(video)
+
+    video.thumbnail = thumbnail.url
+    video.thumbnailStorage = thumbnail
+
+    await video.save({ validateBeforeSave: false })
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { thumbnail: video.thumbnail },
+                "Thumbnail updated successfully."
+            )
+        )
+})
+
+
 const getAllVideos = asyncHandler(async (req, res) => {
 
-    const { page = 1, limit = 30, query = '', sortBy = "views", sortType = "desc" } = req.query
+    const { query = '' } = req.query
+
+    const paginationOptions = getPaginationOptions(req.query, {
+        defaultLimit: 30,
+        sortFields: ["views", "createdAt", "duration", "title"],
+        defaultSortBy: "views"
+    })
 
     const pipeline = [];
 
-    // Fetching those videos also whose Channel name and channels username matches with the query
+    // videos of the users blocked or muted by the current user, and of the private accounts they can't see, are left out
+    const hiddenUserIds = await getHiddenUserIds(req.user?._id)
+
+    // Match stage to filter hidden videos and by the search query, the text search has to be the first stage
+    const matchStage = {
+        $match: {
+            isHidden: { $ne: true },
+            ...listableVideosFor(),
+            ...(query && { $text: { $search: String(query) } }),
+            ...excludeOwners(hiddenUserIds)
+        }
+    };
+    pipeline.push(matchStage);
+
+    const visibleOwners = visibleOwnersStages(req.user?._id)
+    pipeline.push(...visibleOwners);
 
     // Lookup stage to join with User collection
     const lookupStage = {
@@ -436,73 +742,26 @@ const getAllVideos = asyncHandler(async (req, res) => {
     }
     pipeline.push(addFieldsStage);
 
-    // Match stage to filter by userId and search query
-    const matchStage = {
-        $match: {
-            ...(query && {
-                $or: [
-                    { title: { $regex: query, $options: 'i' } },
-                    { description: { $regex: query, $options: 'i' } },
-                    { "owner.fullName": { $regex: query, $options: 'i' } },
-                    { "owner.username": { $regex: query, $options: 'i' } },
-                ]
-            })
-        }
-    };
-    pipeline.push(matchStage);
-
-    // Sort stage
-    const sortStage = {
-        $sort: {
-            [sortBy]: sortType === 'asc' ? 1 : -1
-        }
-    };
-    pipeline.push(sortStage);
-
-    // Pagination stage
-    const skipStage = {
-        $skip: (page - 1) * limit
-    };
-    pipeline.push(skipStage);
-
-    const limitStage = {
-        $limit: parseInt(limit)
-    };
-    pipeline.push(limitStage);
+    // Sort and pagination stages
+    pipeline.push(...paginationStages(paginationOptions));
 
     // Execute the aggregation
-    const videos = await Video.aggregate(pipeline);
+    const pageVideos = await Video.aggregate(pipeline);
 
     // Fetch the total count of videos matching the filters
     const totalVideos = await Video.aggregate([
-        { ...lookupStage },
-        { ...addFieldsStage },
         { ...matchStage },
+        ...visibleOwners,
         { $count: "totalVideosCount" }
     ]);
 
     const totalVideosCount = totalVideos.length > 0 ? totalVideos[0].totalVideosCount : 0;
 
-    if (totalVideosCount === 0) {
-        return res
-            .status(200)
-            .json(
-                new ApiResponse(
-                    200,
-                    {
-                        videos: [],
-                        currentPage: parseInt(page),
-                        totalPages: 0,
-                        totalVideos: 0
-                    },
-                    "No videos found!"
-                )
-            )
+    if (!pageVideos) {
+        throw new ApiError(400, "Something went wrong while fetching the videos.")
     }
 
-    if (!videos || !totalVideosCount) {
-        throw new ApiError(400, "Something went wrong while fetching the videos. 33")
-    }
+    const { items: videos, pagination } = paginate(pageVideos, paginationOptions, totalVideosCount)
 
     return res
         .status(200)
@@ -511,23 +770,25 @@ const getAllVideos = asyncHandler(async (req, res) => {
                 200,
                 {
                     videos,
-                    currentPage: parseInt(page),
-                    totalPages: Math.ceil(totalVideosCount / limit),
-                    totalVideos: totalVideosCount
+                    pagination
                 },
-                "Videos fetched successfully!"
+                totalVideosCount === 0 ? "No videos found!" : "Videos fetched successfully!"
             )
         )
 })
 
 const getVideosByChannel = asyncHandler(async (req, res) => {
     const { usernameOrId } = req.params
-    const { page = 1, limit = 15, sortBy = "createdAt", sortType = "desc" } = req.query
 
     if (!usernameOrId) {
         throw new ApiError(400, "username or channelId is required")
     }
 
+    const paginationOptions = getPaginationOptions(req.query, {
+        defaultLimit: 15,
+        sortFields: ["createdAt", "views", "duration", "title"]
+    })
+
     const isObjectId = mongoose.Types.ObjectId.isValid(usernameOrId);
 
     const matchConditions = [
@@ -546,15 +807,24 @@ const getVideosByChannel = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Channel does not exist.")
     }
 
-    const channelVideos = await Video.aggregate([
+    if (await isBlockedBetween(req.user?._id, channel._id)) {
+        throw new ApiError(403, "You can't view the videos of this channel.")
+    }
 
-        { $match: { owner: new mongoose.Types.ObjectId(String(channel._id)) } },
+    await assertCanViewUserContent(req.user?._id, channel._id)
 
-        { $sort: { [sortBy]: sortType === 'asc' ? 1 : -1 } },
+    const channelVideos = await Video.aggregate([
 
-        { $skip: (page - 1) * limit },
+        {
+            $match: {
+                owner: new mongoose.Types.ObjectId(String(channel._id)),
+                isHidden: { $ne: true },
+                // the owner also sees their drafts, private and unlisted videos
+                ...listableVideosFor(req.user?._id, channel._id)
+            }
+        },
 
-        { $limit: parseInt(limit) },
+        ...paginationStages(paginationOptions),
 
         {
             $lookup: {
@@ -587,25 +857,12 @@ const getVideosByChannel = asyncHandler(async (req, res) => {
     }
 
     const totalVideos = await Video.countDocuments({
-        owner: new mongoose.Types.ObjectId(String(channel._id))
+        owner: new mongoose.Types.ObjectId(String(channel._id)),
+        isHidden: { $ne: true },
+        ...listableVideosFor(req.user?._id, channel._id)
     })
 
-    if (totalVideos === 0) {
-        return res
-            .status(200)
-            .json(
-                new ApiResponse(
-                    200,
-                    {
-                        videos: [],
-                        currentPage: parseInt(page),
-                        totalPages: 0,
-                        totalVideos: 0
-                    },
-                    "This channel don't have any videos."
-                )
-            )
-    }
+    const { items: videos, pagination } = paginate(channelVideos, paginationOptions, totalVideos)
 
     return res
         .status(200)
@@ -613,12 +870,10 @@ const getVideosByChannel = asyncHandler(async (req, res) => {
             new ApiResponse(
                 200,
                 {
-                    videos: channelVideos,
-                    currentPage: parseInt(page),
-                    totalPages: Math.ceil(totalVideos / limit),
-                    totalVideos
+                    videos,
+                    pagination
                 },
-                "Video(s) fetched successfully."
+                totalVideos === 0 ? "This channel don't have any videos." : "Video(s) fetched successfully."
             )
         )
 
@@ -628,9 +883,15 @@ const getVideosByChannel = asyncHandler(async (req, res) => {
 export {
     publishAVideo,
     getVideoById,
+    recordVideoView,
     updateVideo,
     deleteVideo,
     togglePublishStatus,
+    updateVideoVisibility,
+    updateVideoChapters,
+    resetVideoChapters,
+    getThumbnailCandidates,
+    selectThumbnail,
     getAllVideos,
     getVideosByChannel
 }
\ No newline at end of file
@@ -0,0 +1,380 @@
+import fs from "fs";
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { Video } from "../models/video.model.js";
+import { deleteFile, uploadFile } from "../utils/storage.js";
+import { startVideoProcessing } from "../utils/videoProcessing.js";
+import { getVisibilityOptions } from "../utils/videoVisibility.js";
+import { sha256, writeChunk, assembleChunks, removeChunks } from "../utils/chunkedUpload.js";
+import { extractTextEntities, notifyMentions } from "../utils/textEntities.js";
+import {
+    UPLOAD_MIN_CHUNK_SIZE,
+    UPLOAD_MAX_CHUNK_SIZE,
+    UPLOAD_MAX_FILE_SIZE,
+    UPLOAD_SESSION_EXPIRY_HOURS
+} from "../constants.js";
+
+const checksumPattern = /^[a-f0-9]{64}$/
+
+// what a client needs to know to continue an upload
+const uploadState = (session) => ({
+    uploadId: session._id,
+    status: session.status,
+    fileName: session.fileName,
+    fileSize: session.fileSize,
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    receivedChunks: session.receivedChunks,
+    nextChunk: session.receivedChunks < session.totalChunks ? session.receivedChunks : null,
+    failureReason: session.failureReason,
+    video: session.video,
+    expiresAt: session.expiresAt
+})
+
+const findOwnUploadSession = async (uploadId, userId) => {
+    if (!mongoose.isValidObjectId(uploadId)) {
+        throw new ApiError(400, "Invalid upload ID format.")
+    }
+
+    const session = await UploadSession.findOne({ _id: uploadId, owner: userId })
+
+    if (!session) {
+        throw new ApiError(404, "Upload session not found or expired.")
+    }
+
+    return session
+}
+
+// an active upload stays alive, the session only expires once nobody touched it for the expiry time
+const sessionExpiry = () => new Date(Date.now() + UPLOAD_SESSION_EXPIRY_HOURS * 60 * 60 * 1000)
+
+// size the chunk at the given index must have, only the last one may be smaller than the chunk size
+const expectedChunkSize = (session, index) => (
+    index === session.totalChunks - 1
+        ? session.fileSize - session.chunkSize * (session.totalChunks - 1)
+        : session.chunkSize
+)
+
+
+const initVideoUpload = asyncHandler(async (req, res) => {
+    const { fileName, fileSize, mimeType, chunkSize = UPLOAD_MAX_CHUNK_SIZE / 2, checksum, title, description } = req.body
+
+    if (!fileName || !String(fileName).trim()) {
+        throw new ApiError(400, "File name is required.")
+    }
+
+    if (!mimeType || !String(mimeType).startsWith("video/")) {
+        throw new ApiError(400, "Only video files can be uploaded.")
+    }
+
+    const size = Number(fileSize)
+    const sizeOfChunks = Number(chunkSize)
+
+    if (!Number.isInteger(size) || size <= 0 || size > UPLOAD_MAX_FILE_SIZE) {
+        throw new ApiError(400, `File size must be between 1 byte and ${UPLOAD_MAX_FILE_SIZE} bytes.`)
+    }
+
+    if (!Number.isInteger(sizeOfChunks) || sizeOfChunks < UPLOAD_MIN_CHUNK_SIZE || sizeOfChunks > UPLOAD_MAX_CHUNK_SIZE) {
+        throw new ApiError(400, `Chunk size must be between ${UPLOAD_MIN_CHUNK_SIZE} and ${UPLOAD_MAX_CHUNK_SIZE} bytes.`)
+    }
+
+    if (checksum && !checksumPattern.test(String(checksum).toLowerCase())) {
+        throw new ApiError(400, "Checksum must be a hex encoded SHA-256 hash.")
+    }
+
+    const session = await UploadSession.create({
+        owner: req.user._id,
+        fileName: String(fileName).trim(),
+        fileSize: size,
+        mimeType,
+        checksum: checksum ? String(checksum).toLowerCase() : undefined,
+        chunkSize: sizeOfChunks,
+        totalChunks: Math.ceil(size / sizeOfChunks),
+        title,
+        description
+    })
+
+    return res
+        .status(201)
+        .json(
+            new ApiResponse(
+                201,
+                uploadState(session),
+                "Upload session created successfully."
+            )
+        )
+})
+
+
+// lets a client find out where to resume after a disconnect
+const getVideoUpload = asyncHandler(async (req, res) => {
+    const session = await findOwnUploadSession(req.params.uploadId, req.user._id)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                uploadState(session),
+                "Upload session fetched successfully."
+            )
+        )
+})
+
+
+const uploadVideoChunk = asyncHandler(async (req, res) => {
+    const { uploadId } = req.params
+    const index = Number(req.params.index)
+    const chunkChecksum = String(req.headers["x-chunk-checksum"] || "").toLowerCase()
+
+    const session = await findOwnUploadSession(uploadId, req.user._id)
+
+    if (session.status !== "uploading") {
+        throw new ApiError(409, `Upload is already ${session.status}.`)
+    }
+
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+        throw new ApiError(400, `Chunk index must be between 0 and ${session.totalChunks - 1}.`)
+    }
+
+    // the chunk was stored already, the client probably didn't get the response before disconnecting
+    if (index < session.receivedChunks) {
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(
+                    200,
+                    uploadState(session),
+                    "Chunk already received."
+                )
+            )
+    }
+
+    if (index > session.receivedChunks) {
+        throw new ApiError(409, `Chunks must be uploaded in order. Expected chunk ${session.receivedChunks}.`)
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        throw new ApiError(400, "Chunk data must be sent as application/octet-stream.")
+    }
+
+    if (req.body.length !== expectedChunkSize(session, index)) {
+        throw new ApiError(400, `Chunk ${index} must be ${expectedChunkSize(session, index)} bytes.`)
+    }
+
+    if (!checksumPattern.test(chunkChecksum)) {
+        throw new ApiError(400, "X-Chunk-Checksum header with the SHA-256 (hex) of the chunk is required.")
+    }
+
+    if (sha256(req.body) !== chunkChecksum) {
+        throw new ApiError(422, "Chunk checksum mismatch, please upload the chunk again.")
+    }
+
+    await writeChunk(session._id, index, req.body)
+
+    // only counts the chunk if no concurrent request counted it meanwhile
+    const updatedSession = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: "uploading", receivedChunks: index },
+        { $inc: { receivedChunks: 1 }, $set: { expiresAt: sessionExpiry() } },
+        { new: true }
+    )
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                uploadState(updatedSession || await UploadSession.findById(session._id)),
+                "Chunk uploaded successfully."
+            )
+        )
+})
+
+
+// assembles the chunks, stores the file and only then creates the video
+const completeUpload = async (req, thumbnailLocalPath) => {
+    const { uploadId } = req.params
+
+    let session = await findOwnUploadSession(uploadId, req.user._id)
+
+    // a retried complete request gets the video created by the first one
+    if (session.status === "completed") {
+        return { video: await Video.findById(session.video), message: "Video uploaded successfully!" }
+    }
+
+    if (session.status !== "uploading") {
+        throw new ApiError(409, `Upload is already ${session.status}.`)
+    }
+
+    if (session.receivedChunks < session.totalChunks) {
+        throw new ApiError(409, `Upload is incomplete. Expected chunk ${session.receivedChunks}.`)
+    }
+
+    const title = req.body.title || session.title
+    const description = req.body.description || session.description
+
+    if (!title || !title.trim() || !description || !description.trim()) {
+        throw new ApiError(400, "Title and description are required!")
+    }
+
+    const visibilityOptions = getVisibilityOptions(req.body)
+
+    // claiming the session, so that concurrent complete requests don't assemble it twice
+    session = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: "uploading" },
+        { $set: { status: "assembling", expiresAt: sessionExpiry() }, $unset: { failureReason: 1 } },
+        { new: true }
+    )
+
+    if (!session) {
+        throw new ApiError(409, "Upload is already being completed.")
+    }
+
+    let videoUploadResult = null
+    let thumbnailUploadResult = null
+    let video = null
+
+    try {
+        let assembledFile;
+
+        try {
+            assembledFile = await assembleChunks(session._id, session.totalChunks, session.fileName)
+        } catch (error) {
+            await UploadSession.findByIdAndUpdate(session._id, {
+                $set: { status: "uploading", failureReason: "Assembling the chunks failed, please try again." }
+            })
+            throw new ApiError(500, "Something went wrong while assembling the video.")
+        }
+
+        if (assembledFile.size !== session.fileSize || (session.checksum && assembledFile.checksum !== session.checksum)) {
+            // the chunks don't add up to the announced file, uploading them again is the only way out
+            await removeChunks(session._id)
+            await UploadSession.findByIdAndUpdate(session._id, {
+                $set: { status: "failed", failureReason: "The assembled file does not match the announced size or checksum." }
+            })
+            throw new ApiError(422, "The assembled file does not match the announced size or checksum.")
+        }
+
+        videoUploadResult = await uploadFile(assembledFile.filePath, "video");
+        thumbnailUploadResult = thumbnailLocalPath ? await uploadFile(thumbnailLocalPath, "image") : null;
+
+        if (!videoUploadResult || (thumbnailLocalPath && !thumbnailUploadResult)) {
+            // the chunks are still there, so completing can be retried
+            await UploadSession.findByIdAndUpdate(session._id, {
+                $set: { status: "uploading", failureReason: "Storing the video failed, please try completing the upload again." }
+            })
+            throw new ApiError(400, videoUploadResult ? "Thumbnail upload failed!" : "Video upload failed!")
+        }
+
+        const { hashtags, mentions } = await extractTextEntities(req.user._id, description)
+
+        video = await Video.create({
+            title,
+            description,
+            hashtags,
+            mentions,
+            videoFile: videoUploadResult.url,
+            videoFileStorage: videoUploadResult,
+            thumbnail: thumbnailUploadResult?.url,
+            thumbnailStorage: thumbnailUploadResult || undefined,
+            duration: videoUploadResult.duration,
+            owner: req.user._id,
+            ...visibilityOptions,
+            status: "processing",
+            views: 0
+        })
+
+        if (!video) {
+            throw new ApiError(400, "Something went wrong while uploading the video.")
+        }
+
+        await UploadSession.findByIdAndUpdate(session._id, {
+            $set: { status: "completed", video: video._id }
+        })
+    } catch (error) {
+        // nothing is kept from the failed attempt, and a session still claimed can be completed (or aborted) again
+        if (video) await Video.findByIdAndDelete(video._id);
+        await deleteFile(videoUploadResult)
+        await deleteFile(thumbnailUploadResult)
+
+        await UploadSession.updateOne(
+            { _id: session._id, status: "assembling" },
+            { $set: { status: "uploading", failureReason: "Completing the upload failed, please try again." } }
+        )
+
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, "Something went wrong while completing the upload.")
+    }
+
+    await removeChunks(session._id)
+
+    // the HLS renditions are made in the background, the video is listed once they are ready
+    startVideoProcessing()
+
+    await notifyMentions({
+        mentions: video.mentions,
+        actor: req.user._id,
+        video: video._id
+    })
+
+    return { video, message: "Video uploaded successfully! It will be available once it is processed." }
+}
+
+
+const completeVideoUpload = asyncHandler(async (req, res) => {
+    // optional, without it the best frame is picked while processing the video
+    const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path
+
+    try {
+        const { video, message } = await completeUpload(req, thumbnailLocalPath)
+
+        return res
+            .status(200)
+            .json(
+                new ApiResponse(
+                    200,
+                    video,
+                    message
+                )
+            )
+    } finally {
+        // the thumbnail saved by multer is left behind when the request fails before storing it
+        if (thumbnailLocalPath) fs.rmSync(thumbnailLocalPath, { force: true });
+    }
+})
+
+
+const abortVideoUpload = asyncHandler(async (req, res) => {
+    const session = await findOwnUploadSession(req.params.uploadId, req.user._id)
+
+    if (["assembling", "completed"].includes(session.status)) {
+        throw new ApiError(409, `Upload is already ${session.status}.`)
+    }
+
+    session.status = "aborted"
+    await session.save({ validateBeforeSave: false })
+
+    await removeChunks(session._id)
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                uploadState(session),
+                "Upload aborted successfully."
+            )
+        )
+})
+
+
+export {
+    initVideoUpload,
+    getVideoUpload,
+    uploadVideoChunk,
+    completeVideoUpload,
+    abortVideoUpload
+}
\ No newline at end of file
@@ -3,12 +3,23 @@
 import dotenv from 'dotenv';
 import connectDB from "./db/index.js";
 import { app } from './app.js';
+import { removeStaleUploads } from './utils/chunkedUpload.js';
+import { processOutbox } from './utils/emailOutbox.js';
+import { purgeDeactivatedAccounts } from './utils/accountDeletion.js';
+import { processDataExports, removeExpiredExports } from './utils/dataExport.js';
+import { processVideos } from './utils/videoProcessing.js';
+import { publishScheduledVideos } from './utils/videoVisibility.js';
+import { rollupViews } from './utils/viewTracking.js';
+import { getMailTransportName } from './utils/mailTransports.js';
 
 // Loading environment variables from .env file
 dotenv.config({
     path: './env'
 });
 
+// Failing right away when the server couldn't send any email
+getMailTransportName();
+
 // Setting the port from environment variables or default to 8000
 const port = process.env.PORT || 8000;
 
@@ -25,6 +36,28 @@ connectDB()
         app.listen(port, () => {
             console.log(`Server is running at port: ${port}`);
         });
+
+        // Removing the chunks of abandoned uploads every hour
+        setInterval(removeStaleUploads, 60 * 60 * 1000).unref();
+
+        // Sending the queued emails whose next attempt is due
+        setInterval(processOutbox, 15 * 1000).unref();
+
+        // Purging the deactivated accounts whose grace period is over
+        setInterval(purgeDeactivatedAccounts, 60 * 60 * 1000).unref();
+
+        // Building the pending data exports and removing the expired archives
+        setInterval(processDataExports, 60 * 1000).unref();
+        setInterval(removeExpiredExports, 60 * 60 * 1000).unref();
+
+        // Making the HLS renditions of the videos still processing (retries, or ones the server didn't get to)
+        setInterval(processVideos, 60 * 1000).unref();
+
+        // Publishing the scheduled videos whose time has come
+        setInterval(publishScheduledVideos, 60 * 1000).unref();
+
+        // Adding the views and watch time reported by the players to the counters
+        setInterval(rollupViews, 60 * 1000).unref();
     })
     .catch((err) => {
         // Handling errors during database connection
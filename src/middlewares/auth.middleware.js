@@ -2,6 +2,7 @@ import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from 'jsonwebtoken';
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
 
 export const verifyJWT = asyncHandler(async (req, _, next) => {
     try {
@@ -18,15 +19,30 @@ export const verifyJWT = asyncHandler(async (req, _, next) => {
 
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
 
+        // the access token dies with its session (logout, revoked device, password change)
+        const session = decodedToken?.sessionId
+            ? await Session.exists({ _id: decodedToken.sessionId, user: decodedToken._id })
+            : null
+
+        if (!session) {
+            throw new ApiError(401, "Session expired or revoked, please log in again.")
+        }
+
         const user = await User.findById(decodedToken?._id).select("-password -refreshToken")
         if (!user) {
             throw new ApiError(401, "Authentication failed.")
         }
+
+        if (user.isSuspended()) {
+            throw new ApiError(403, `Your account is suspended until ${user.suspendedUntil.toISOString()}.`)
+        }
+
         //  console.log("req.user in auth", req.user)
         req.user = user
+        req.sessionId = session._id
         next()
 
     } catch (error) {
-        throw new ApiError(401, error?.message || "Authentication failed.")
+        throw new ApiError(error?.statusCode || 401, error?.message || "Authentication failed.")
     }
 })
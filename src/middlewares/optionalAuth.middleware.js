@@ -2,6 +2,7 @@ import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from 'jsonwebtoken';
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
 
 export const optionalAuth = asyncHandler(async (req, _, next) => {
     try {
@@ -20,6 +21,15 @@ export const optionalAuth = asyncHandler(async (req, _, next) => {
             return next()
         }
 
+        const session = decodedToken?.sessionId
+            ? await Session.exists({ _id: decodedToken.sessionId, user: decodedToken._id })
+            : null
+
+        if (!session) {
+            console.warn("Session expired or revoked.");
+            return next()
+        }
+
         const user = await User.findById(decodedToken?._id).select("-password -refreshToken")
         if (!user) {
             console.error("Authentication failed.")
@@ -27,6 +37,7 @@ export const optionalAuth = asyncHandler(async (req, _, next) => {
         }
 
         req.user = user
+        req.sessionId = session._id
         next()
 
     } catch (error) {
@@ -0,0 +1,156 @@
+import jwt from 'jsonwebtoken';
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getRateLimitStore } from "../utils/rateLimitStore.js";
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+
+const normalizeKey = (value) => value ? String(value).trim().toLowerCase() : null
+
+// email of the short lived tokens of utils/jwt.js, only used as a key so it doesn't need to be verified here
+const tokenEmail = (req, cookieName) => {
+    const token = req.cookies?.[cookieName] || req.headers.authorization?.split(' ')[1]
+    return normalizeKey(jwt.decode(token || "")?.data)
+}
+
+// Rate limits a route per policy:
+//  keys(req)  -> { ip, account, email }, every key present gets its own counter
+//  limits     -> maximum requests per window for each kind of key
+//  lockout    -> optional, the keys get locked after `threshold` failed attempts (4xx responses) in a row,
+//                for `baseMs`, doubling with every further `threshold` failures up to `maxMs`
+const rateLimit = ({ name, windowMs, limits, keys, lockout }) => asyncHandler(async (req, res, next) => {
+    const store = getRateLimitStore()
+    const now = Date.now()
+
+    const requestKeys = Object.entries(keys(req))
+        .filter(([kind, value]) => value && limits[kind])
+        .map(([kind, value]) => ({ kind, key: `${name}:${kind}:${value}` }))
+
+    const tooManyRequests = (resetAt, message) => {
+        const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - now) / 1000))
+        res.set("Retry-After", String(retryAfter))
+        throw new ApiError(429, `${message} Please try again in ${retryAfter} seconds.`)
+    }
+
+    if (lockout) {
+        for (const { key } of requestKeys) {
+            const lock = await store.get(`lock:${key}`)
+
+            if (lock) {
+                tooManyRequests(lock.resetAt, "Too many failed attempts.")
+            }
+        }
+    }
+
+    const counters = await Promise.all(
+        requestKeys.map(async ({ kind, key }) => ({
+            limit: limits[kind],
+            ...(await store.increment(`hits:${key}`, windowMs))
+        }))
+    )
+
+    // the headers describe the most restrictive of the counters
+    const mostRestrictive = counters.reduce((restrictive, counter) => (
+        !restrictive || counter.limit - counter.count < restrictive.limit - restrictive.count ? counter : restrictive
+    ), null)
+
+    if (mostRestrictive) {
+        res.set({
+            "RateLimit-Limit": String(mostRestrictive.limit),
+            "RateLimit-Remaining": String(Math.max(0, mostRestrictive.limit - mostRestrictive.count)),
+            "RateLimit-Reset": String(Math.max(0, Math.ceil((mostRestrictive.resetAt.getTime() - now) / 1000)))
+        })
+
+        if (mostRestrictive.count > mostRestrictive.limit) {
+            tooManyRequests(mostRestrictive.resetAt, "Too many requests.")
+        }
+    }
+
+    if (lockout) {
+        // the outcome is only known once the handler has responded
+        res.on("finish", () => {
+            recordOutcome(store, requestKeys, res.statusCode, lockout)
+                .catch((error) => console.error(`Error recording the ${name} rate limit outcome:`, error))
+        })
+    }
+
+    next()
+})
+
+const recordOutcome = async (store, requestKeys, statusCode, { threshold, baseMs, maxMs, failuresWindowMs = 24 * HOUR }) => {
+    if (statusCode < 400) {
+        await Promise.all(requestKeys.map(({ key }) => store.reset(`fails:${key}`)))
+        return
+    }
+
+    // rate limited requests and server errors say nothing about the guess
+    if (statusCode === 429 || statusCode >= 500) return;
+
+    await Promise.all(requestKeys.map(async ({ key }) => {
+        const failures = await store.increment(`fails:${key}`, failuresWindowMs)
+
+        if (failures.count % threshold === 0) {
+            const lockMs = Math.min(baseMs * 2 ** (failures.count / threshold - 1), maxMs)
+            await store.set(`lock:${key}`, failures.count, new Date(Date.now() + lockMs))
+        }
+    }))
+}
+
+
+// password guesses
+const loginRateLimit = rateLimit({
+    name: "login",
+    windowMs: 15 * MINUTE,
+    limits: { ip: 50, account: 20 },
+    keys: (req) => ({
+        ip: req.ip,
+        account: normalizeKey(req.body?.usernameOrEmail)
+    }),
+    lockout: { threshold: 5, baseMs: MINUTE, maxMs: HOUR }
+})
+
+// guesses of the second factor, the account is the one of the login challenge token (or the logged in user)
+const twoFactorRateLimit = rateLimit({
+    name: "two-factor",
+    windowMs: 15 * MINUTE,
+    limits: { ip: 30, account: 10 },
+    keys: (req) => ({
+        ip: req.ip,
+        account: normalizeKey(req.user?._id || jwt.decode(req.body?.challengeToken || "")?.data?.userId)
+    }),
+    lockout: { threshold: 5, baseMs: 5 * MINUTE, maxMs: 6 * HOUR }
+})
+
+// every request sends an email, so they are limited per recipient as well
+const otpSendRateLimit = rateLimit({
+    name: "otp-send",
+    windowMs: HOUR,
+    limits: { ip: 20, account: 5, email: 5 },
+    keys: (req) => ({
+        ip: req.ip,
+        account: normalizeKey(req.user?._id || req.body?.usernameOrEmail),
+        email: normalizeKey(req.body?.email || req.body?.newEmail)
+    })
+})
+
+// guesses of the 6 digit OTPs, identified by the email of the token issued when the OTP was sent
+const otpVerifyRateLimit = (tokenCookieName) => rateLimit({
+    name: "otp-verify",
+    windowMs: 15 * MINUTE,
+    limits: { ip: 30, account: 10, email: 10 },
+    keys: (req) => ({
+        ip: req.ip,
+        account: normalizeKey(req.user?._id),
+        email: tokenCookieName ? tokenEmail(req, tokenCookieName) : null
+    }),
+    lockout: { threshold: 5, baseMs: 5 * MINUTE, maxMs: 6 * HOUR }
+})
+
+export {
+    rateLimit,
+    loginRateLimit,
+    twoFactorRateLimit,
+    otpSendRateLimit,
+    otpVerifyRateLimit
+}
\ No newline at end of file
@@ -0,0 +1,10 @@
+import { ApiError } from "../utils/ApiError.js";
+
+// to be used after verifyJWT, allows the request only for the given roles
+export const verifyRole = (...roles) => (req, _, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return next(new ApiError(403, "Sorry! You don't have the authority to access this resource."))
+    }
+
+    next()
+}
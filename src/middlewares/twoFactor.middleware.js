@@ -0,0 +1,25 @@
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { User } from "../models/user.model.js";
+
+// sensitive actions need a second factor entered for this very request when the user has 2FA enabled
+// the code is read from the "twoFactorCode" body field or the "X-Two-Factor-Code" header
+export const requireSecondFactor = asyncHandler(async (req, _, next) => {
+    const user = await User.findById(req.user._id).select("+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep")
+
+    if (!user?.isTwoFactorEnabled) {
+        return next()
+    }
+
+    const code = req.body?.twoFactorCode || req.headers["x-two-factor-code"]
+
+    if (!code) {
+        throw new ApiError(403, "This action requires your two-factor authentication code.")
+    }
+
+    if (!(await user.verifySecondFactor(code))) {
+        throw new ApiError(403, "Invalid two-factor authentication code.")
+    }
+
+    next()
+})
\ No newline at end of file
@@ -0,0 +1,24 @@
+import mongoose, { Schema } from "mongoose";
+
+const blockSchema = new Schema(
+    {
+        blocker: {
+            type: Schema.Types.ObjectId, // one who is blocking
+            ref: "User",
+            required: true
+        },
+        blocked: {
+            type: Schema.Types.ObjectId, // one who can't interact with the blocker anymore
+            ref: "User",
+            required: true,
+            index: true
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true })
+
+export const Block = mongoose.model("Block", blockSchema)
\ No newline at end of file
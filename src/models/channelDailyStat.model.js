@@ -0,0 +1,31 @@
+import mongoose, { Schema } from "mongoose";
+
+// subscriber changes of a channel for one day (UTC), added by utils/analytics.js as they happen
+const channelDailyStatSchema = new Schema(
+    {
+        channel: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        date: {
+            type: Date, // midnight UTC of the day
+            required: true
+        },
+        subscribersGained: {
+            type: Number, // approved subscriptions, a request counts once approved
+            default: 0
+        },
+        subscribersLost: {
+            type: Number,
+            default: 0
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+channelDailyStatSchema.index({ channel: 1, date: 1 }, { unique: true })
+
+export const ChannelDailyStat = mongoose.model("ChannelDailyStat", channelDailyStatSchema)
\ No newline at end of file
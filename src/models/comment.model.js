@@ -9,15 +9,49 @@ const commentSchema = new Schema(
         },
         video: {
             type: Schema.Types.ObjectId,
-            ref: "Video"
+            ref: "Video",
+            index: true
         },
         tweet: {
             type: Schema.Types.ObjectId,
-            ref: "Tweet"
+            ref: "Tweet",
+            index: true
         },
         owner: {
             type: Schema.Types.ObjectId,
             ref: "User"
+        },
+        parentComment: {
+            type: Schema.Types.ObjectId,
+            ref: "Comment",
+            default: null
+        },
+        hashtags: {
+            type: [String], // lowercase, without the "#"
+            index: true
+        },
+        mentions: [
+            {
+                user: {
+                    type: Schema.Types.ObjectId,
+                    ref: "User"
+                },
+                username: {
+                    type: String
+                },
+                _id: false
+            }
+        ],
+        isDeleted: {
+            type: Boolean, // true when a deleted comment is kept as a "[deleted]" placeholder for its replies
+            default: false
+        },
+        isHidden: {
+            type: Boolean, // hidden by a moderator, or because the owner deactivated the account
+            default: false
+        },
+        hiddenByDeactivation: {
+            type: Boolean // shown again if the owner restores the account
         }
     },
     {
@@ -25,6 +59,9 @@ const commentSchema = new Schema(
     }
 )
 
+// the replies of a comment, oldest first
+commentSchema.index({ parentComment: 1, createdAt: 1 })
+
 commentSchema.plugin(mongooseAggregatePaginate);
 
 export const Comment = mongoose.model("Comment", commentSchema);
\ No newline at end of file
@@ -0,0 +1,50 @@
+import mongoose, { Schema } from "mongoose";
+
+// a personal data archive requested by a user, built in the background by utils/dataExport.js
+const dataExportSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+        status: {
+            type: String,
+            enum: ["pending", "processing", "ready", "failed"],
+            default: "pending"
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        startedAt: {
+            type: Date // of the current attempt, an attempt running for too long is considered abandoned
+        },
+        completedAt: {
+            type: Date
+        },
+        fileName: {
+            type: String // name of the archive in the exports directory
+        },
+        fileSize: {
+            type: Number // in bytes
+        },
+        missingFiles: {
+            type: [String] // urls of the media that couldn't be added to the archive
+        },
+        failureReason: {
+            type: String
+        },
+        expiresAt: {
+            type: Date // set once ready, the archive is removed afterwards
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+dataExportSchema.index({ status: 1, createdAt: 1 })
+
+export const DataExport = mongoose.model("DataExport", dataExportSchema)
\ No newline at end of file
@@ -0,0 +1,51 @@
+import mongoose, { Schema } from "mongoose";
+
+// what the purge of a deleted account removed, kept after the user itself is gone
+const deletionReportSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId, // id of the deleted user, the document doesn't exist anymore
+            required: true,
+            index: true
+        },
+        username: {
+            type: String
+        },
+        deactivatedAt: {
+            type: Date
+        },
+        purgeStartedAt: {
+            type: Date
+        },
+        purgedAt: {
+            type: Date
+        },
+        status: {
+            type: String,
+            enum: ["completed", "failed"],
+            required: true
+        },
+        error: {
+            type: String
+        },
+        removed: {
+            type: Map, // collection -> number of removed (or updated) documents
+            of: Number,
+            default: {}
+        },
+        media: {
+            removed: {
+                type: Number,
+                default: 0
+            },
+            failed: {
+                type: [String] // urls of the files the storage couldn't remove
+            }
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+export const DeletionReport = mongoose.model("DeletionReport", deletionReportSchema)
\ No newline at end of file
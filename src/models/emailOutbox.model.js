@@ -0,0 +1,77 @@
+import mongoose, { Schema } from "mongoose";
+import { EMAIL_MAX_ATTEMPTS, EMAIL_OUTBOX_RETENTION_DAYS } from "../constants.js";
+
+// every outbound email is stored here first and sent by the outbox worker (utils/emailOutbox.js)
+const emailOutboxSchema = new Schema(
+    {
+        to: {
+            type: String,
+            required: true,
+            lowercase: true,
+            trim: true
+        },
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        },
+        template: {
+            type: String, // one of the templates of src/templates/mail
+            required: true
+        },
+        locale: {
+            type: String
+        },
+        variables: {
+            type: Schema.Types.Mixed,
+            default: {}
+        },
+        dedupeKey: {
+            type: String // at most one email per key, requesting it again reuses the same email
+        },
+        status: {
+            type: String,
+            enum: ["pending", "sending", "sent", "dead"],
+            default: "pending"
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        maxAttempts: {
+            type: Number,
+            default: EMAIL_MAX_ATTEMPTS
+        },
+        nextAttemptAt: {
+            type: Date,
+            default: Date.now
+        },
+        lockedUntil: {
+            type: Date // while "sending", after it the email is considered abandoned and is claimed again
+        },
+        claimId: {
+            type: String // identifies the attempt in progress, so that a stale attempt can't overwrite a newer state
+        },
+        lastError: {
+            type: String
+        },
+        messageId: {
+            type: String // id given by the mail transport
+        },
+        sentAt: {
+            type: Date
+        },
+        expiresAt: {
+            type: Date,
+            default: () => new Date(Date.now() + EMAIL_OUTBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+            expires: 0
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+emailOutboxSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true })
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 })
+
+export const EmailOutbox = mongoose.model("EmailOutbox", emailOutboxSchema)
\ No newline at end of file
@@ -4,7 +4,8 @@ const likeSchema = new Schema(
     {
         video: {
             type: Schema.Types.ObjectId,
-            ref: "Video"
+            ref: "Video",
+            index: true
         },
         comment: {
             type: Schema.Types.ObjectId,
@@ -12,7 +13,8 @@ const likeSchema = new Schema(
         },
         tweet: {
             type: Schema.Types.ObjectId,
-            ref: "Tweet"
+            ref: "Tweet",
+            index: true
         },
         likedBy: {
             type: Schema.Types.ObjectId,
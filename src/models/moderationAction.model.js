@@ -0,0 +1,49 @@
+import mongoose, { Schema } from "mongoose";
+
+// audit trail of every decision taken on reported content
+const moderationActionSchema = new Schema(
+    {
+        contentType: {
+            type: String,
+            enum: ["video", "tweet", "comment"],
+            required: true
+        },
+        contentId: {
+            type: Schema.Types.ObjectId,
+            required: true,
+            index: true
+        },
+        contentOwner: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        },
+        moderator: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        action: {
+            type: String,
+            enum: ["dismiss", "hide", "delete", "warn", "suspend"],
+            required: true
+        },
+        reason: {
+            type: String,
+            default: ""
+        },
+        suspendedUntil: {
+            type: Date
+        },
+        reports: [
+            {
+                type: Schema.Types.ObjectId,
+                ref: "Report"
+            }
+        ]
+    },
+    {
+        timestamps: true
+    }
+)
+
+export const ModerationAction = mongoose.model("ModerationAction", moderationActionSchema)
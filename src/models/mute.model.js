@@ -0,0 +1,23 @@
+import mongoose, { Schema } from "mongoose";
+
+const muteSchema = new Schema(
+    {
+        muter: {
+            type: Schema.Types.ObjectId, // one who doesn't want to see the muted user's content anymore
+            ref: "User",
+            required: true
+        },
+        muted: {
+            type: Schema.Types.ObjectId, // unaware of it, nothing changes for them
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+muteSchema.index({ muter: 1, muted: 1 }, { unique: true })
+
+export const Mute = mongoose.model("Mute", muteSchema)
\ No newline at end of file
@@ -0,0 +1,55 @@
+import mongoose, { Schema } from "mongoose";
+
+const notificationSchema = new Schema(
+    {
+        recipient: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        actor: {
+            type: Schema.Types.ObjectId, // user who triggered the notification
+            ref: "User",
+            required: true
+        },
+        type: {
+            type: String,
+            enum: [
+                "subscription",
+                "subscription_request",
+                "subscription_approved",
+                "video_like",
+                "tweet_like",
+                "comment_like",
+                "video_comment",
+                "tweet_comment",
+                "comment_reply",
+                "mention"
+            ],
+            required: true
+        },
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video"
+        },
+        tweet: {
+            type: Schema.Types.ObjectId,
+            ref: "Tweet"
+        },
+        comment: {
+            type: Schema.Types.ObjectId,
+            ref: "Comment"
+        },
+        isRead: {
+            type: Boolean,
+            default: false
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+notificationSchema.index({ recipient: 1, createdAt: -1 })
+
+export const Notification = mongoose.model("Notification", notificationSchema)
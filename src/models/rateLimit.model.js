@@ -0,0 +1,23 @@
+import mongoose, { Schema } from "mongoose";
+
+// counters of the shared rate limit store (see utils/rateLimitStore.js)
+const rateLimitSchema = new Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        count: {
+            type: Number,
+            default: 0
+        },
+        resetAt: {
+            type: Date,
+            required: true,
+            expires: 0
+        }
+    }
+)
+
+export const RateLimit = mongoose.model("RateLimit", rateLimitSchema)
\ No newline at end of file
@@ -32,6 +32,19 @@ const reportSchema = new Schema(
                 "Others"
             ],
             required: true
+        },
+        status: {
+            type: String,
+            enum: ["pending", "dismissed", "resolved"],
+            default: "pending",
+            index: true
+        },
+        resolvedBy: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        },
+        resolvedAt: {
+            type: Date
         }
     },
     {timestamps: true}
@@ -10,7 +10,8 @@ const savedTweetSchema = new Schema(
         ],
         savedBy: {
             type: Schema.Types.ObjectId,
-            ref: "User"
+            ref: "User",
+            index: true
         }
     },
     {
@@ -0,0 +1,50 @@
+import mongoose, { Schema } from "mongoose";
+import crypto from "crypto";
+
+// one session per logged in device, the session id is part of both the access and the refresh token
+const sessionSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+        refreshTokenHash: {
+            type: String, // sha256 of the current refresh token, rotated on every refresh
+            required: true
+        },
+        userAgent: {
+            type: String
+        },
+        ip: {
+            type: String
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now
+        },
+        expiresAt: {
+            type: Date, // expiry of the current refresh token
+            required: true,
+            expires: 0
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+sessionSchema.statics.hashToken = function (token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex")
+}
+
+// logs the user out everywhere, except from the given session if any
+sessionSchema.statics.revokeAll = async function (userId, exceptSessionId = null) {
+    return await this.deleteMany({
+        user: userId,
+        ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
+    })
+}
+
+export const Session = mongoose.model("Session", sessionSchema)
\ No newline at end of file
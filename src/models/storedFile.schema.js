@@ -0,0 +1,23 @@
+import { Schema } from "mongoose";
+
+// where a media file is stored, so it can be deleted exactly (see utils/storage.js)
+export const storedFileSchema = new Schema(
+    {
+        url: {
+            type: String
+        },
+        provider: {
+            type: String,
+            enum: ["cloudinary", "local"]
+        },
+        publicId: {
+            type: String
+        },
+        resourceType: {
+            type: String
+        }
+    },
+    {
+        _id: false
+    }
+)
\ No newline at end of file
@@ -9,6 +9,16 @@ const subscriptionSchema = new Schema({
         type: mongoose.Schema.Types.ObjectId, // one to whom the subscriber is subscribing
         ref: "User"
     },
+    // subscribing to a private account makes a request the channel has to approve,
+    // subscriptions without a status were made before private accounts and count as approved
+    status: {
+        type: String,
+        enum: ["pending", "approved"],
+        default: "approved"
+    },
 })
 
+// the subscribers of a channel, and whether a user is subscribed to it
+subscriptionSchema.index({ channel: 1, subscriber: 1 })
+
 export const Subscription = mongoose.model("Subscription", subscriptionSchema)
\ No newline at end of file
@@ -1,5 +1,6 @@
 import mongoose, { Schema } from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { storedFileSchema } from "./storedFile.schema.js";
 
 const tweetSchema = new Schema(
     {
@@ -8,12 +9,36 @@ const tweetSchema = new Schema(
         },
         images: [
             {
-                type: String, // cloudinary url
+                type: String, // file url
             }
         ],
+        imagesStorage: [storedFileSchema], // one entry per image, matched by url
         owner: {
             type: Schema.Types.ObjectId,
             ref: "User"
+        },
+        hashtags: {
+            type: [String], // lowercase, without the "#"
+            index: true
+        },
+        mentions: [
+            {
+                user: {
+                    type: Schema.Types.ObjectId,
+                    ref: "User"
+                },
+                username: {
+                    type: String
+                },
+                _id: false
+            }
+        ],
+        isHidden: {
+            type: Boolean, // hidden by a moderator, or because the owner deactivated the account
+            default: false
+        },
+        hiddenByDeactivation: {
+            type: Boolean // shown again if the owner restores the account
         }
     },
     {
@@ -21,6 +46,8 @@ const tweetSchema = new Schema(
     }
 )
 
+tweetSchema.index({ content: "text" }, { name: "tweet_text_search" })
+
 tweetSchema.plugin(mongooseAggregatePaginate)
 
 export const Tweet = mongoose.model("Tweet", tweetSchema)
\ No newline at end of file
@@ -0,0 +1,36 @@
+import mongoose, { Schema } from "mongoose";
+
+// counters of a tweet for one day (UTC), added by utils/analytics.js as the likes and comments happen
+const tweetDailyStatSchema = new Schema(
+    {
+        tweet: {
+            type: Schema.Types.ObjectId,
+            ref: "Tweet",
+            required: true
+        },
+        owner: {
+            type: Schema.Types.ObjectId, // of the tweet, to sum up a whole channel
+            ref: "User"
+        },
+        date: {
+            type: Date, // midnight UTC of the day
+            required: true
+        },
+        likes: {
+            type: Number, // net of the day, the unlikes are taken off
+            default: 0
+        },
+        comments: {
+            type: Number,
+            default: 0
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+tweetDailyStatSchema.index({ tweet: 1, date: 1 }, { unique: true })
+tweetDailyStatSchema.index({ owner: 1, date: 1 })
+
+export const TweetDailyStat = mongoose.model("TweetDailyStat", tweetDailyStatSchema)
\ No newline at end of file
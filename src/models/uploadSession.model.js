@@ -0,0 +1,68 @@
+import mongoose, { Schema } from "mongoose";
+import { UPLOAD_SESSION_EXPIRY_HOURS } from "../constants.js";
+
+const uploadSessionSchema = new Schema(
+    {
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+        fileName: {
+            type: String,
+            required: true
+        },
+        fileSize: {
+            type: Number, // in bytes
+            required: true
+        },
+        mimeType: {
+            type: String,
+            required: true
+        },
+        checksum: {
+            type: String // optional sha256 (hex) of the whole file, verified after assembly
+        },
+        chunkSize: {
+            type: Number,
+            required: true
+        },
+        totalChunks: {
+            type: Number,
+            required: true
+        },
+        receivedChunks: {
+            type: Number, // chunks are accepted in order, so this is also the index of the next expected chunk
+            default: 0
+        },
+        title: {
+            type: String
+        },
+        description: {
+            type: String
+        },
+        status: {
+            type: String,
+            enum: ["uploading", "assembling", "completed", "failed", "aborted"],
+            default: "uploading"
+        },
+        failureReason: {
+            type: String
+        },
+        video: {
+            type: Schema.Types.ObjectId, // created only once the file is assembled and stored
+            ref: "Video"
+        },
+        expiresAt: {
+            type: Date,
+            default: () => new Date(Date.now() + UPLOAD_SESSION_EXPIRY_HOURS * 60 * 60 * 1000),
+            expires: 0
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+export const UploadSession = mongoose.model("UploadSession", uploadSessionSchema)
\ No newline at end of file
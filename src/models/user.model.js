@@ -1,6 +1,11 @@
 import mongoose, { Schema } from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import { WATCH_HISTORY_LIMIT } from "../constants.js";
+import { storedFileSchema } from "./storedFile.schema.js";
+import { verifyTotp } from "../utils/totp.js";
+import { decryptString } from "../utils/crypto.js";
 
 
 const userSchema = new Schema(
@@ -31,24 +36,74 @@ const userSchema = new Schema(
             default: "Welcome to my profile! Excited to connect and share with everyone.",
         },
         avatar: {
-            type: String, // cloudinary url
+            type: String, // file url
+        },
+        avatarStorage: {
+            type: storedFileSchema
         },
         coverImage: {
-            type: String, // cloudinary url
+            type: String, // file url
+        },
+        coverImageStorage: {
+            type: storedFileSchema
         },
         watchHistory: [
             {
-                type: mongoose.Schema.Types.ObjectId,
-                ref: "Video"
+                video: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "Video"
+                },
+                watchedAt: {
+                    type: Date,
+                    default: Date.now
+                },
+                position: {
+                    type: Number, // resume position in seconds
+                    default: 0
+                },
+                _id: false
             }
         ],
+        isWatchHistoryPaused: {
+            type: Boolean,
+            default: false
+        },
+        locale: {
+            type: String, // language of the mails, one of the directories of src/templates/mail
+            default: "en"
+        },
+        // the content, playlists and subscriptions of a private account are only visible to its approved subscribers
+        isPrivate: {
+            type: Boolean,
+            default: false
+        },
+        role: {
+            type: String,
+            enum: ["user", "moderator", "admin"],
+            default: "user"
+        },
+        warningsCount: {
+            type: Number,
+            default: 0
+        },
+        suspendedUntil: {
+            type: Date
+        },
+        // deleted accounts are deactivated first, see utils/accountDeletion.js
+        deactivatedAt: {
+            type: Date
+        },
+        scheduledDeletionAt: {
+            type: Date,
+            index: true
+        },
+        purgeStartedAt: {
+            type: Date
+        },
         password: {
             type: String,
             required: [true, "Password is required!"]
         },
-        refreshToken: {
-            type: String
-        },
         forgotPasswordOTP: {
             type: Number
         },
@@ -61,10 +116,37 @@ const userSchema = new Schema(
         updateEmailOTPExpiry: {
             type: Date
         },
+        // two-factor authentication, the secrets are never selected unless asked for
+        isTwoFactorEnabled: {
+            type: Boolean,
+            default: false
+        },
+        twoFactorSecret: {
+            type: String, // base32 TOTP secret, encrypted ("iv:encryptedData")
+            select: false
+        },
+        twoFactorPendingSecret: {
+            type: String, // secret being enrolled, until the first code confirms it, encrypted like twoFactorSecret
+            select: false
+        },
+        twoFactorRecoveryCodes: {
+            type: [String], // sha256 hashes of the unused recovery codes
+            select: false
+        },
+        twoFactorLastUsedStep: {
+            type: Number, // a TOTP code is accepted only once
+            select: false
+        },
     },
     { timestamps: true }
 )
 
+// used by the search, names weigh more than the bio
+userSchema.index(
+    { fullName: "text", username: "text", bio: "text" },
+    { weights: { fullName: 5, username: 5, bio: 1 }, name: "user_text_search" }
+)
+
 // encrypting password just before saving (using pre middleware) if password is getting modified
 userSchema.pre("save", async function (next) {
     if (!this.isModified("password")) return next(); // if password hasn't changed , passing the task.
@@ -81,10 +163,52 @@ userSchema.methods.isPasswordCorrect = async function (password) {
     return await bcrypt.compare(password, this.password)
 }
 
-userSchema.methods.generateAccessToken = function () {
+// accepts a current TOTP code or an unused recovery code, both only once
+// the user has to be fetched with "+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep"
+userSchema.methods.verifySecondFactor = async function (code) {
+    if (!this.isTwoFactorEnabled || !code) return false;
+
+    // the secrets enabled before they were encrypted are still in plain text, base32 has no ":"
+    const secret = this.twoFactorSecret?.includes(":") ? decryptString(this.twoFactorSecret) : this.twoFactorSecret
+    const step = verifyTotp(secret, code)
+
+    if (step !== null) {
+        const updated = await this.constructor.updateOne(
+            {
+                _id: this._id,
+                $or: [
+                    { twoFactorLastUsedStep: { $exists: false } },
+                    { twoFactorLastUsedStep: { $lt: step } }
+                ]
+            },
+            { $set: { twoFactorLastUsedStep: step } }
+        )
+        return updated.modifiedCount === 1
+    }
+
+    const codeHash = crypto.createHash("sha256").update(String(code).trim().toLowerCase()).digest("hex")
+
+    const consumed = await this.constructor.updateOne(
+        { _id: this._id, twoFactorRecoveryCodes: codeHash },
+        { $pull: { twoFactorRecoveryCodes: codeHash } }
+    )
+
+    return consumed.modifiedCount === 1
+}
+
+userSchema.methods.isDeactivated = function () {
+    return Boolean(this.deactivatedAt)
+}
+
+userSchema.methods.isSuspended = function () {
+    return Boolean(this.suspendedUntil && this.suspendedUntil > Date.now())
+}
+
+userSchema.methods.generateAccessToken = function (sessionId) {
     return jwt.sign(
         {
             _id: this._id,
+            sessionId,
             email: this.email,
             username: this.username,
             fullName: this.fullName
@@ -96,10 +220,13 @@ userSchema.methods.generateAccessToken = function () {
     )
 }
 
-userSchema.methods.generateRefreshToken = function () {
+// the random jti makes every rotated refresh token unique, even when issued within the same second
+userSchema.methods.generateRefreshToken = function (sessionId) {
     return jwt.sign(
         {
             _id: this._id,
+            sessionId,
+            jti: crypto.randomUUID()
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
@@ -108,5 +235,41 @@ userSchema.methods.generateRefreshToken = function () {
     )
 }
 
+// moves the video to the front of the watch history (newest first), keeping a single entry per video
+userSchema.statics.recordWatch = async function (userId, videoId, position) {
+    const user = await this.findById(userId).select("watchHistory isWatchHistoryPaused")
+
+    if (!user || user.isWatchHistoryPaused) return null;
+
+    const previousEntry = user.watchHistory.find((entry) => entry.video?.equals(videoId))
+
+    // keeping the last known resume position if the client didn't send a new one
+    const entry = {
+        video: new mongoose.Types.ObjectId(String(videoId)),
+        watchedAt: new Date(),
+        position: position ?? previousEntry?.position ?? 0
+    }
+
+    await this.updateOne(
+        { _id: userId },
+        { $pull: { watchHistory: { video: entry.video } } }
+    )
+
+    await this.updateOne(
+        { _id: userId },
+        {
+            $push: {
+                watchHistory: {
+                    $each: [entry],
+                    $position: 0,
+                    $slice: WATCH_HISTORY_LIMIT
+                }
+            }
+        }
+    )
+
+    return entry
+}
+
 
 export const User = mongoose.model("User", userSchema)
\ No newline at end of file
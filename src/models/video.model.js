@@ -1,16 +1,32 @@
 import mongoose, { Schema } from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { storedFileSchema } from "./storedFile.schema.js";
 
 const videoSchema = new Schema(
     {
         videoFile: {
-            type: String, // cloudinary url
+            type: String, // file url
             required: true
         },
+        videoFileStorage: {
+            type: storedFileSchema
+        },
         thumbnail: {
-            type: String, // cloudinary url
-            required: true
+            type: String // file url, without an uploaded one the best candidate is set once the video is processed
+        },
+        thumbnailStorage: {
+            type: storedFileSchema
         },
+        // frames of the video the owner can pick as thumbnail, extracted by utils/videoProcessing.js
+        thumbnailCandidates: [
+            {
+                timestamp: Number, // in seconds
+                url: String,
+                storage: storedFileSchema,
+                score: Number, // the best one is the default thumbnail
+                _id: false
+            }
+        ],
         title: {
             type: String,
             required: true
@@ -19,6 +35,19 @@ const videoSchema = new Schema(
             type: String,
             required: true
         },
+        // set through the chapters endpoint, otherwise the chapters are parsed from the description (utils/videoChapters.js)
+        chapters: [
+            {
+                start: Number, // in seconds, the chapter runs until the next one starts
+                title: String,
+                _id: false
+            }
+        ],
+        chaptersSource: {
+            type: String,
+            enum: ["description", "manual"],
+            default: "description"
+        },
         duration: {
             type: Number,
             required: true
@@ -28,17 +57,90 @@ const videoSchema = new Schema(
             default: 0
         },
         isPublished: {
-            type: Boolean,
+            type: Boolean, // true for the public videos only, see utils/videoVisibility.js
             default: true
         },
+        visibility: {
+            type: String, // missing on the videos from before the visibility states
+            enum: ["draft", "private", "unlisted", "public"]
+        },
+        publishAt: {
+            type: Date, // the scheduled video becomes public at this time
+            index: { sparse: true }
+        },
+        // of the HLS renditions made by utils/videoProcessing.js, only ready videos are listed,
+        // the videos uploaded before the renditions existed are played from their original file
+        status: {
+            type: String,
+            enum: ["processing", "ready", "failed"],
+            default: "ready"
+        },
+        processingAttempts: {
+            type: Number,
+            default: 0
+        },
+        processingStartedAt: {
+            type: Date // of the current attempt, an attempt running for too long is considered abandoned
+        },
+        processingError: {
+            type: String
+        },
+        hls: {
+            masterPlaylist: {
+                type: String // url of the playlist the players load, it lists the renditions
+            },
+            renditions: [
+                {
+                    name: String,
+                    width: Number,
+                    height: Number,
+                    bandwidth: Number, // in bits per second
+                    playlist: String, // url
+                    _id: false
+                }
+            ],
+            files: {
+                type: [storedFileSchema] // every stored playlist and segment, deleted along with the video
+            }
+        },
         owner: {
             type: mongoose.Schema.Types.ObjectId,
             ref: "User"
+        },
+        hashtags: {
+            type: [String], // lowercase, without the "#"
+            index: true
+        },
+        mentions: [
+            {
+                user: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "User"
+                },
+                username: {
+                    type: String
+                },
+                _id: false
+            }
+        ],
+        isHidden: {
+            type: Boolean, // hidden by a moderator, or because the owner deactivated the account
+            default: false
+        },
+        hiddenByDeactivation: {
+            type: Boolean // shown again if the owner restores the account
         }
     }, 
     {timestamps: true}
 )
 
+// used by the search, a match in the title weighs more than one in the description
+videoSchema.index(
+    { title: "text", description: "text" },
+    { weights: { title: 5, description: 1 }, name: "video_text_search" }
+)
+
+videoSchema.index({ status: 1, createdAt: 1 })
 
 videoSchema.plugin(mongooseAggregatePaginate)
 
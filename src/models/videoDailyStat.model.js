@@ -0,0 +1,49 @@
+import mongoose, { Schema } from "mongoose";
+
+// counters of a video for one day (UTC): the views, unique viewers and watch time are added by the view rollup
+// of utils/viewTracking.js, the likes and comments by utils/analytics.js as they happen
+const videoDailyStatSchema = new Schema(
+    {
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true
+        },
+        owner: {
+            type: Schema.Types.ObjectId, // of the video, to sum up a whole channel
+            ref: "User"
+        },
+        date: {
+            type: Date, // midnight UTC of the day
+            required: true
+        },
+        views: {
+            type: Number,
+            default: 0
+        },
+        uniqueViewers: {
+            type: Number,
+            default: 0
+        },
+        watchSeconds: {
+            type: Number,
+            default: 0
+        },
+        likes: {
+            type: Number, // net of the day, the unlikes are taken off
+            default: 0
+        },
+        comments: {
+            type: Number,
+            default: 0
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+videoDailyStatSchema.index({ video: 1, date: 1 }, { unique: true })
+videoDailyStatSchema.index({ owner: 1, date: 1 })
+
+export const VideoDailyStat = mongoose.model("VideoDailyStat", videoDailyStatSchema)
\ No newline at end of file
@@ -0,0 +1,66 @@
+import mongoose, { Schema } from "mongoose";
+import { VIEW_EVENT_RETENTION_DAYS } from "../constants.js";
+
+// a viewer watching a video, reported by the player and rolled up into the view counts by utils/viewTracking.js
+const viewEventSchema = new Schema(
+    {
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true
+        },
+        viewer: {
+            type: Schema.Types.ObjectId, // missing for the anonymous viewers
+            ref: "User"
+        },
+        session: {
+            type: Schema.Types.ObjectId,
+            ref: "Session"
+        },
+        viewerKey: {
+            type: String, // the user, or a hash of the ip address and user agent of an anonymous viewer
+            required: true
+        },
+        windowStart: {
+            type: Date, // of the dedupe window, a viewer has one event per video and window
+            required: true
+        },
+        watchedSeconds: {
+            type: Number,
+            default: 0
+        },
+        qualifiedAt: {
+            type: Date // when the minimum watch time was reached, the event counts as a view from then on
+        },
+        countedAt: {
+            type: Date // when its view was added to the counters
+        },
+        rolledUpSeconds: {
+            type: Number, // watch time already added to the counters
+            default: 0
+        },
+        needsRollup: {
+            type: Boolean // set by every report, cleared once the rollup added the event to the counters
+        },
+        rollupId: {
+            type: String // rollup run currently adding the event to the counters
+        },
+        rollupStartedAt: {
+            type: Date
+        },
+        expiresAt: {
+            type: Date,
+            default: () => new Date(Date.now() + VIEW_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+            expires: 0
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+viewEventSchema.index({ video: 1, viewerKey: 1, windowStart: 1 }, { unique: true })
+viewEventSchema.index({ needsRollup: 1 }, { partialFilterExpression: { needsRollup: true } })
+viewEventSchema.index({ rollupId: 1 })
+
+export const ViewEvent = mongoose.model("ViewEvent", viewEventSchema)
\ No newline at end of file
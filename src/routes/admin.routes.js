@@ -0,0 +1,29 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { verifyRole } from "../middlewares/role.middleware.js";
+import {
+    getReportQueue,
+    getContentReports,
+    resolveReport,
+    getModerationActions,
+    getDeletionReports,
+    updateUserRole
+} from "../controllers/admin.controller.js";
+
+const router = Router();
+
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+router.route("/reports").get(verifyRole("moderator", "admin"), getReportQueue)
+
+router.route("/reports/:contentId").get(verifyRole("moderator", "admin"), getContentReports)
+
+router.route("/reports/:contentId/resolve").post(verifyRole("moderator", "admin"), resolveReport)
+
+router.route("/actions").get(verifyRole("moderator", "admin"), getModerationActions)
+
+router.route("/deletion-reports").get(verifyRole("admin"), getDeletionReports)
+
+router.route("/users/:userId/role").patch(verifyRole("admin"), updateUserRole)
+
+export default router
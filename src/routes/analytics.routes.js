@@ -0,0 +1,13 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { getChannelAnalytics, getVideoAnalytics } from "../controllers/analytics.controller.js";
+
+const router = Router();
+
+router.use(verifyJWT);
+
+// the analytics of the current user's channel and of one of their videos, over ?range=7d|28d|90d|365d
+router.route("/channel").get(getChannelAnalytics)
+router.route("/videos/:videoId").get(getVideoAnalytics)
+
+export default router
\ No newline at end of file
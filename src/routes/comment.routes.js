@@ -1,12 +1,15 @@
 import { Router } from "express";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { optionalAuth } from "../middlewares/optionalAuth.middleware.js";
 import {
     addVideoComment,
     addTweetComment,
     getVideoComments,
     getTweetComments,
     deleteComment,
-    updateComment
+    updateComment,
+    addCommentReply,
+    getCommentReplies
 } from "../controllers/comment.controller.js";
 
 const router = Router();
@@ -26,4 +29,9 @@ router
     .patch(verifyJWT, updateComment)
     .delete(verifyJWT, deleteComment)
 
+router
+    .route("/:commentId/replies")
+    .get(optionalAuth, getCommentReplies)
+    .post(verifyJWT, addCommentReply)
+
 export default router
\ No newline at end of file
@@ -0,0 +1,11 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { getFeed } from "../controllers/feed.controller.js";
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router.route("/").get(getFeed)
+
+export default router
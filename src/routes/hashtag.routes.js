@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { getHashtagContents, getTrendingHashtags } from "../controllers/hashtag.controller.js";
+import { optionalAuth } from "../middlewares/optionalAuth.middleware.js";
+
+const router = Router();
+
+router.route("/trending").get(getTrendingHashtags)
+router.route("/:tag").get(optionalAuth, getHashtagContents)
+
+export default router
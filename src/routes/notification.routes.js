@@ -0,0 +1,25 @@
+import { Router } from "express";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+    getNotifications,
+    getUnreadNotificationsCount,
+    markNotificationAsRead,
+    markAllNotificationsAsRead,
+    streamNotifications
+} from "../controllers/notification.controller.js";
+
+const router = Router();
+
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+router.route("/").get(getNotifications)
+
+router.route("/unread-count").get(getUnreadNotificationsCount)
+
+router.route("/stream").get(streamNotifications)
+
+router.route("/read-all").patch(markAllNotificationsAsRead)
+
+router.route("/:notificationId/read").patch(markNotificationAsRead)
+
+export default router
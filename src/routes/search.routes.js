@@ -0,0 +1,9 @@
+import { Router } from "express";
+import { search } from "../controllers/search.controller.js";
+import { optionalAuth } from "../middlewares/optionalAuth.middleware.js";
+
+const router = Router();
+
+router.route("/").get(optionalAuth, search)
+
+export default router
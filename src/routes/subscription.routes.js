@@ -3,7 +3,10 @@ import { verifyJWT } from "../middlewares/auth.middleware.js";
 import {
     toggleSubscription,
     getUserChannelSubscribers,
-    getSubscribedChannels
+    getSubscribedChannels,
+    getSubscriptionRequests,
+    approveSubscriptionRequest,
+    rejectSubscriptionRequest
 } from "../controllers/subscription.controller.js";
 
 const router = Router();
@@ -19,4 +22,11 @@ router
     .route("/user/:username")
     .get(getSubscribedChannels);
 
+// subscription requests to the current user's private account
+router.route("/requests").get(getSubscriptionRequests)
+
+router.route("/requests/:subscriberUsername/approve").post(approveSubscriptionRequest)
+
+router.route("/requests/:subscriberUsername/reject").post(rejectSubscriptionRequest)
+
 export default router
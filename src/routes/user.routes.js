@@ -6,7 +6,12 @@ import {
     getCurrentUser,
     getUserChannelProfile,
     getWatchHistory,
+    updateWatchProgress,
+    removeFromWatchHistory,
+    clearWatchHistory,
+    toggleWatchHistoryPause,
     loginUser,
+    loginWithTwoFactor,
     logoutUser,
     refreshAccessToken,
     registerUser,
@@ -27,13 +32,32 @@ import {
     updateEmail,
     verifyUpdateEmailOTP
 } from "../controllers/user.controller.js";
+import { getSessions, revokeSession, revokeOtherSessions } from "../controllers/session.controller.js";
+import { getEmailStatus, resendEmail } from "../controllers/email.controller.js";
+import { requestDataExport, getDataExports, downloadDataExport } from "../controllers/dataExport.controller.js";
+import {
+    blockUser,
+    unblockUser,
+    getBlockedUsers,
+    muteUser,
+    unmuteUser,
+    getMutedUsers
+} from "../controllers/userRelation.controller.js";
 import { optionalAuth } from "../middlewares/optionalAuth.middleware.js";
+import {
+    enrollTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+} from "../controllers/twoFactor.controller.js";
+import { requireSecondFactor } from "../middlewares/twoFactor.middleware.js";
+import { loginRateLimit, otpSendRateLimit, otpVerifyRateLimit, twoFactorRateLimit } from "../middlewares/rateLimit.middleware.js";
 
 const router = Router()
 
-router.route("/register-email").post(emailRegistration)
+router.route("/register-email").post(otpSendRateLimit, emailRegistration)
 
-router.route("/verify-email").post(verifyEmail)
+router.route("/verify-email").post(otpVerifyRateLimit("emailToken"), verifyEmail)
 
 router.route("/register").post(
     upload.fields([
@@ -49,14 +73,21 @@ router.route("/register").post(
     registerUser
 )
 
-router.route("/login").post(loginUser)
+router.route("/login").post(loginRateLimit, loginUser)
+
+router.route("/login/2fa").post(twoFactorRateLimit, loginWithTwoFactor)
 
-router.route("/send-forgot-password-otp").post(sendForgotPasswordOTP)
+router.route("/send-forgot-password-otp").post(otpSendRateLimit, sendForgotPasswordOTP)
 
-router.route("/verify-forgot-password-otp").post(verifyForgotPasswordOTP)
+router.route("/verify-forgot-password-otp").post(otpVerifyRateLimit("forgotPassToken"), verifyForgotPasswordOTP)
 
 router.route("/forgot-password").post(forgotPassword)
 
+// delivery of the OTP emails (verification, password-reset, email-change)
+router.route("/emails/:template").get(optionalAuth, getEmailStatus)
+
+router.route("/emails/:template/resend").post(optionalAuth, otpSendRateLimit, resendEmail)
+
 
 // secured routes
 router.route("/logout").post(verifyJWT, logoutUser)
@@ -69,9 +100,9 @@ router.route("/current-user").get(verifyJWT, getCurrentUser)
 
 router.route("/update-profile").patch(verifyJWT, updateAccountDetails)
 
-router.route("/update-email").post(verifyJWT, updateEmail)
+router.route("/update-email").post(verifyJWT, otpSendRateLimit, requireSecondFactor, updateEmail)
 
-router.route("/verify-update-email").post(verifyJWT, verifyUpdateEmailOTP)
+router.route("/verify-update-email").post(verifyJWT, otpVerifyRateLimit(), verifyUpdateEmailOTP)
 
 router.route("/update-avatar").patch(
     verifyJWT,
@@ -85,11 +116,55 @@ router.route("/update-cover").patch(
     updateUserCoverImage
 )
 
+// two-factor authentication
+router.route("/2fa/enroll").post(verifyJWT, enrollTwoFactor)
+
+router.route("/2fa/confirm").post(verifyJWT, twoFactorRateLimit, confirmTwoFactor)
+
+router.route("/2fa/disable").post(verifyJWT, twoFactorRateLimit, disableTwoFactor)
+
+router.route("/2fa/recovery-codes").post(verifyJWT, twoFactorRateLimit, regenerateRecoveryCodes)
+
+// personal data exports, has to be declared before "/:usernameOrId"
+router.route("/export")
+    .get(verifyJWT, getDataExports)
+    .post(verifyJWT, requestDataExport)
+
+router.route("/export/download/:token").get(downloadDataExport)
+
+// blocked and muted users, has to be declared before "/:usernameOrId"
+router.route("/blocks").get(verifyJWT, getBlockedUsers)
+
+router.route("/blocks/:username")
+    .post(verifyJWT, blockUser)
+    .delete(verifyJWT, unblockUser)
+
+router.route("/mutes").get(verifyJWT, getMutedUsers)
+
+router.route("/mutes/:username")
+    .post(verifyJWT, muteUser)
+    .delete(verifyJWT, unmuteUser)
+
+// logged in devices, has to be declared before "/:usernameOrId"
+router.route("/sessions")
+    .get(verifyJWT, getSessions)
+    .delete(verifyJWT, revokeOtherSessions)
+
+router.route("/sessions/:sessionId").delete(verifyJWT, revokeSession)
+
 router.route("/:usernameOrId").get(optionalAuth, getUserChannelProfile)
 
-router.route("/v/watch-history").get(verifyJWT, getWatchHistory)
+router.route("/v/watch-history")
+    .get(verifyJWT, getWatchHistory)
+    .delete(verifyJWT, clearWatchHistory)
+
+router.route("/v/watch-history/toggle-pause").patch(verifyJWT, toggleWatchHistoryPause)
+
+router.route("/v/watch-history/:videoId")
+    .patch(verifyJWT, updateWatchProgress)
+    .delete(verifyJWT, removeFromWatchHistory)
 
-router.route("/delete-user").delete(verifyJWT, deleteAccount)
+router.route("/delete-user").delete(verifyJWT, twoFactorRateLimit, requireSecondFactor, deleteAccount)
 
 router.route("/remove-avatar").delete(verifyJWT, removeUserAvatar)
 
@@ -1,4 +1,4 @@
-import { Router } from "express";
+import express, { Router } from "express";
 import { upload } from "../middlewares/multer.middleware.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
 import { optionalAuth } from "../middlewares/optionalAuth.middleware.js";
@@ -7,10 +7,24 @@ import {
     updateVideo,
     deleteVideo,
     togglePublishStatus,
+    updateVideoVisibility,
+    updateVideoChapters,
+    resetVideoChapters,
+    getThumbnailCandidates,
+    selectThumbnail,
     getVideoById,
+    recordVideoView,
     getAllVideos,
     getVideosByChannel
 } from "../controllers/video.controller.js";
+import {
+    initVideoUpload,
+    getVideoUpload,
+    uploadVideoChunk,
+    completeVideoUpload,
+    abortVideoUpload
+} from "../controllers/videoUpload.controller.js";
+import { UPLOAD_MAX_CHUNK_SIZE } from "../constants.js";
 
 const router = Router()
 
@@ -34,9 +48,38 @@ router
         publishAVideo
     );
 
+// resumable uploads: init, then the chunks in order, then complete with the thumbnail
+router.route("/uploads").post(verifyJWT, initVideoUpload)
+
+router
+    .route("/uploads/:uploadId")
+    .get(verifyJWT, getVideoUpload)
+    .delete(verifyJWT, abortVideoUpload)
+
+router
+    .route("/uploads/:uploadId/chunks/:index")
+    .put(
+        verifyJWT,
+        express.raw({ type: "application/octet-stream", limit: UPLOAD_MAX_CHUNK_SIZE }),
+        uploadVideoChunk
+    )
+
+router
+    .route("/uploads/:uploadId/complete")
+    .post(
+        verifyJWT,
+        upload.fields([
+            {
+                name: "thumbnail",
+                maxCount: 1,
+            },
+        ]),
+        completeVideoUpload
+    )
+
 router
     .route("/search/all")
-    .get(getAllVideos)
+    .get(optionalAuth, getAllVideos)
 
 router
     .route("/:videoId")
@@ -51,6 +94,22 @@ router
 
 router.route("/toggle/publish/:videoId").patch(verifyJWT, togglePublishStatus);
 
+// the player reports the watch time, views are counted from it
+router.route("/:videoId/views").post(optionalAuth, recordVideoView)
+
+router.route("/:videoId/visibility").patch(verifyJWT, updateVideoVisibility)
+
+// chapters set explicitly, without them they are parsed from the description
+router
+    .route("/:videoId/chapters")
+    .put(verifyJWT, updateVideoChapters)
+    .delete(verifyJWT, resetVideoChapters)
+
+router
+    .route("/:videoId/thumbnail")
+    .get(verifyJWT, getThumbnailCandidates)
+    .patch(verifyJWT, selectThumbnail)
+
 router.route("/user/:usernameOrId").get(optionalAuth, getVideosByChannel)
 
 
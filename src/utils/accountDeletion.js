@@ -0,0 +1,279 @@
+import { User } from '../models/user.model.js'
+import { Video } from '../models/video.model.js'
+import { Tweet } from '../models/tweet.model.js'
+import { Comment } from '../models/comment.model.js'
+import { Like } from '../models/like.model.js'
+import { Subscription } from '../models/subscription.model.js'
+import { Playlist } from '../models/playlist.model.js'
+import { SavedTweet } from '../models/savedTweet.model.js'
+import { Report } from '../models/report.model.js'
+import { Notification } from '../models/notification.model.js'
+import { Session } from '../models/session.model.js'
+import { UploadSession } from '../models/uploadSession.model.js'
+import { EmailOutbox } from '../models/emailOutbox.model.js'
+import { Block } from '../models/block.model.js'
+import { Mute } from '../models/mute.model.js'
+import { ViewEvent } from '../models/viewEvent.model.js'
+import { VideoDailyStat } from '../models/videoDailyStat.model.js'
+import { TweetDailyStat } from '../models/tweetDailyStat.model.js'
+import { ChannelDailyStat } from '../models/channelDailyStat.model.js'
+import { DeletionReport } from '../models/deletionReport.model.js'
+import { ApiError } from './ApiError.js'
+import { deleteFile } from './storage.js'
+import { removeChunks } from './chunkedUpload.js'
+import { removeExports } from './dataExport.js'
+import { isCandidateThumbnail } from './videoProcessing.js'
+import { recordSubscriberChange } from './analytics.js'
+import { ACCOUNT_DELETION_GRACE_DAYS } from '../constants.js'
+
+// Deleting an account is done in two steps:
+//  1. deactivateAccount: the user is logged out and their videos, tweets and comments are hidden at once
+//  2. purgeDeactivatedAccounts: once the grace period is over, everything related to the user is removed
+// Logging in during the grace period restores the account (restoreAccount).
+
+// a purge that didn't finish within this time is considered abandoned and started again
+const PURGE_LOCK_MS = 60 * 60 * 1000
+
+const contentModels = [Video, Tweet, Comment]
+
+const getGracePeriodDays = () => {
+    const days = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS)
+    return Number.isFinite(days) && days >= 0 ? days : ACCOUNT_DELETION_GRACE_DAYS
+}
+
+const deactivateAccount = async (user) => {
+    const deactivatedAt = new Date()
+    const scheduledDeletionAt = new Date(deactivatedAt.getTime() + getGracePeriodDays() * 24 * 60 * 60 * 1000)
+
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { deactivatedAt, scheduledDeletionAt }, $unset: { purgeStartedAt: 1 } }
+    )
+
+    // content already hidden by a moderator is left as it is, so that restoring the account doesn't show it again
+    await Promise.all(contentModels.map((model) => model.updateMany(
+        { owner: user._id, isHidden: { $ne: true } },
+        { $set: { isHidden: true, hiddenByDeactivation: true } }
+    )))
+
+    await Session.revokeAll(user._id)
+
+    return { deactivatedAt, scheduledDeletionAt }
+}
+
+// resolves to true if the account was deactivated and is active again, throws when the purge already started
+const restoreAccount = async (user) => {
+    if (!user.isDeactivated()) return false;
+
+    const restored = await User.updateOne(
+        { _id: user._id, deactivatedAt: { $exists: true }, purgeStartedAt: { $exists: false } },
+        { $unset: { deactivatedAt: 1, scheduledDeletionAt: 1 } }
+    )
+
+    if (restored.modifiedCount !== 1) {
+        throw new ApiError(410, "This account is being deleted and can't be restored anymore.")
+    }
+
+    await Promise.all(contentModels.map((model) => model.updateMany(
+        { owner: user._id, hiddenByDeactivation: true },
+        { $set: { isHidden: false }, $unset: { hiddenByDeactivation: 1 } }
+    )))
+
+    return true
+}
+
+// atomically takes the next account whose grace period is over (or whose purge was abandoned)
+const claimAccountToPurge = async () => {
+    const now = new Date()
+
+    return await User.findOneAndUpdate(
+        {
+            deactivatedAt: { $exists: true },
+            scheduledDeletionAt: { $lte: now },
+            $or: [
+                { purgeStartedAt: { $exists: false } },
+                { purgeStartedAt: { $lte: new Date(now.getTime() - PURGE_LOCK_MS) } }
+            ]
+        },
+        { $set: { purgeStartedAt: now } },
+        { new: true, sort: { scheduledDeletionAt: 1 } }
+    )
+}
+
+// every stored file of the user and of their content, as passed to deleteFile
+const mediaOf = (user, videos, tweets) => [
+    user.avatar && (user.avatarStorage || user.avatar),
+    user.coverImage && (user.coverImageStorage || user.coverImage),
+    ...videos.flatMap((video) => [
+        video.videoFile && (video.videoFileStorage || video.videoFile),
+        video.thumbnail && !isCandidateThumbnail(video) && (video.thumbnailStorage || video.thumbnail),
+        ...(video.hls?.files || []),
+        ...(video.thumbnailCandidates || []).map((candidate) => candidate.storage || candidate.url)
+    ]),
+    ...tweets.flatMap((tweet) => tweet.images.map((imgUrl) => (
+        tweet.imagesStorage?.find((image) => image.url === imgUrl) || imgUrl
+    )))
+].filter(Boolean)
+
+// removes the user and everything related to them, resolves to the counts of the report
+const purgeAccount = async (user) => {
+    const removed = {}
+    const media = { removed: 0, failed: [] }
+
+    const count = (name, result) => {
+        removed[name] = (removed[name] || 0) + (result.deletedCount ?? result.modifiedCount ?? 0)
+    }
+
+    const videos = await Video.find({ owner: user._id }).select("videoFile videoFileStorage thumbnail thumbnailStorage thumbnailCandidates hls.files")
+    const tweets = await Tweet.find({ owner: user._id }).select("images imagesStorage")
+
+    const videoIds = videos.map((video) => video._id)
+    const tweetIds = tweets.map((tweet) => tweet._id)
+
+    // every comment under the user's content goes with it, whoever wrote it
+    const commentsOnContent = await Comment.find({
+        $or: [{ video: { $in: videoIds } }, { tweet: { $in: tweetIds } }]
+    }).distinct("_id")
+
+    // the user's comments elsewhere, the ones other users replied to are kept as "[deleted]" placeholders
+    const ownComments = await Comment.find({
+        owner: user._id,
+        _id: { $nin: commentsOnContent }
+    }).distinct("_id")
+
+    const repliedComments = await Comment.find({
+        parentComment: { $in: ownComments },
+        owner: { $ne: user._id }
+    }).distinct("parentComment")
+
+    const removedComments = [
+        ...commentsOnContent,
+        ...ownComments.filter((commentId) => !repliedComments.some((repliedId) => repliedId.equals(commentId)))
+    ]
+
+    const relatedToContent = [
+        { video: { $in: videoIds } },
+        { tweet: { $in: tweetIds } },
+        { comment: { $in: [...removedComments, ...ownComments] } }
+    ]
+
+    count("likes", await Like.deleteMany({ $or: [{ likedBy: user._id }, ...relatedToContent] }))
+
+    count("comments", await Comment.deleteMany({ _id: { $in: removedComments } }))
+
+    count("commentsAnonymized", await Comment.updateMany(
+        { _id: { $in: repliedComments } },
+        {
+            $set: { content: "[deleted]", isDeleted: true, isHidden: false },
+            $unset: { owner: 1, hiddenByDeactivation: 1 }
+        }
+    ))
+
+    // the channels the user was subscribed to lose a subscriber
+    const channelIds = await Subscription.find({ subscriber: user._id, status: { $ne: "pending" } }).distinct("channel")
+    await Promise.all(channelIds.map((channelId) => recordSubscriberChange(channelId, { subscribersLost: 1 })))
+
+    count("subscriptions", await Subscription.deleteMany({
+        $or: [{ subscriber: user._id }, { channel: user._id }]
+    }))
+
+    count("blocks", await Block.deleteMany({ $or: [{ blocker: user._id }, { blocked: user._id }] }))
+    count("mutes", await Mute.deleteMany({ $or: [{ muter: user._id }, { muted: user._id }] }))
+
+    count("playlists", await Playlist.deleteMany({ owner: user._id }))
+
+    // other users' playlists and saved tweets only lose the removed items
+    count("playlistsUpdated", await Playlist.updateMany(
+        { videos: { $in: videoIds } },
+        { $pull: { videos: { $in: videoIds } } }
+    ))
+
+    count("savedTweets", await SavedTweet.deleteMany({ savedBy: user._id }))
+
+    count("savedTweetsUpdated", await SavedTweet.updateMany(
+        { tweets: { $in: tweetIds } },
+        { $pull: { tweets: { $in: tweetIds } } }
+    ))
+
+    count("viewEvents", await ViewEvent.deleteMany({ $or: [{ viewer: user._id }, { video: { $in: videoIds } }] }))
+    count("videoDailyStats", await VideoDailyStat.deleteMany({ video: { $in: videoIds } }))
+    count("tweetDailyStats", await TweetDailyStat.deleteMany({ tweet: { $in: tweetIds } }))
+    count("channelDailyStats", await ChannelDailyStat.deleteMany({ channel: user._id }))
+
+    count("watchHistoriesUpdated", await User.updateMany(
+        { "watchHistory.video": { $in: videoIds } },
+        { $pull: { watchHistory: { video: { $in: videoIds } } } }
+    ))
+
+    count("reports", await Report.deleteMany({ $or: [{ reportBy: user._id }, ...relatedToContent] }))
+
+    count("notifications", await Notification.deleteMany({
+        $or: [{ recipient: user._id }, { actor: user._id }, ...relatedToContent]
+    }))
+
+    const uploadSessions = await UploadSession.find({ owner: user._id }).distinct("_id")
+    await Promise.all(uploadSessions.map((uploadId) => removeChunks(uploadId)))
+    count("uploadSessions", await UploadSession.deleteMany({ _id: { $in: uploadSessions } }))
+
+    count("sessions", await Session.deleteMany({ user: user._id }))
+
+    count("dataExports", await removeExports({ user: user._id }))
+
+    count("emails", await EmailOutbox.deleteMany({ $or: [{ user: user._id }, { to: user.email }] }))
+
+    // the files are removed before the documents pointing at them, so that a retried purge still finds them
+    for (const file of mediaOf(user, videos, tweets)) {
+        const result = await deleteFile(file)
+
+        if (result) {
+            media.removed += 1
+        } else {
+            media.failed.push(typeof file === "string" ? file : file.url)
+        }
+    }
+
+    count("videos", await Video.deleteMany({ _id: { $in: videoIds } }))
+    count("tweets", await Tweet.deleteMany({ _id: { $in: tweetIds } }))
+
+    // moderation actions stay, they are the audit trail of the staff
+    count("users", await User.deleteOne({ _id: user._id }))
+
+    return { removed, media }
+}
+
+// the purge worker, purges the accounts whose grace period is over and records a report for each of them
+const purgeDeactivatedAccounts = async () => {
+    try {
+        let user
+
+        while ((user = await claimAccountToPurge())) {
+            const report = {
+                user: user._id,
+                username: user.username,
+                deactivatedAt: user.deactivatedAt,
+                purgeStartedAt: user.purgeStartedAt
+            }
+
+            try {
+                const { removed, media } = await purgeAccount(user)
+
+                await DeletionReport.create({ ...report, status: "completed", removed, media, purgedAt: new Date() })
+            } catch (error) {
+                console.error(`Error purging the account ${user._id}:`, error);
+
+                // the account stays claimed until the purge lock expires, then it is retried
+                await DeletionReport.create({ ...report, status: "failed", error: error?.message || String(error) })
+                break
+            }
+        }
+    } catch (error) {
+        console.error("Error purging the deactivated accounts:", error);
+    }
+}
+
+export {
+    deactivateAccount,
+    restoreAccount,
+    purgeAccount,
+    purgeDeactivatedAccounts
+}
\ No newline at end of file
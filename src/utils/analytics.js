@@ -0,0 +1,111 @@
+import { VideoDailyStat } from '../models/videoDailyStat.model.js'
+import { TweetDailyStat } from '../models/tweetDailyStat.model.js'
+import { ChannelDailyStat } from '../models/channelDailyStat.model.js'
+import { ApiError } from './ApiError.js'
+import { ANALYTICS_DEFAULT_RANGE, ANALYTICS_RANGES } from '../constants.js'
+
+// Creator analytics are read from daily counters (UTC days) instead of scanning the likes, comments and views:
+// - VideoDailyStat: the views, unique viewers and watch time added by the view rollup, the likes and comments
+// - TweetDailyStat: the likes and comments
+// - ChannelDailyStat: the subscribers gained and lost
+// The likes, comments and subscriptions are added to the counters as they happen. Recording them never fails
+// the request, a lost update only makes the analytics slightly off.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// midnight UTC of the day of the given date
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+
+const incrementToday = async (Model, filter, counters, setOnInsert = {}) => {
+    await Model.updateOne(
+        { ...filter, date: startOfDay(new Date()) },
+        { $inc: counters, $setOnInsert: setOnInsert },
+        { upsert: true }
+    )
+}
+
+// counters of the video (a document with its owner), like { likes: 1 }
+const recordVideoActivity = async (video, counters) => {
+    if (!video) return;
+
+    try {
+        await incrementToday(VideoDailyStat, { video: video._id }, counters, { owner: video.owner })
+    } catch (error) {
+        console.error(`Error recording the activity of the video ${video._id}:`, error);
+    }
+}
+
+// counters of the tweet (a document with its owner), like { comments: 1 }
+const recordTweetActivity = async (tweet, counters) => {
+    if (!tweet) return;
+
+    try {
+        await incrementToday(TweetDailyStat, { tweet: tweet._id }, counters, { owner: tweet.owner })
+    } catch (error) {
+        console.error(`Error recording the activity of the tweet ${tweet._id}:`, error);
+    }
+}
+
+// counters of the channel, like { subscribersGained: 1 }
+const recordSubscriberChange = async (channelId, counters) => {
+    if (!channelId) return;
+
+    try {
+        await incrementToday(ChannelDailyStat, { channel: channelId }, counters)
+    } catch (error) {
+        console.error(`Error recording the subscribers of the channel ${channelId}:`, error);
+    }
+}
+
+// removes the daily counters of the given tweets, the ones of videos go with their view data
+const removeTweetStats = async (tweetIds) => await TweetDailyStat.deleteMany({ tweet: { $in: tweetIds } })
+
+// the days of the range selected by the query, today included
+const getAnalyticsRange = ({ range = ANALYTICS_DEFAULT_RANGE }) => {
+    const days = Object.hasOwn(ANALYTICS_RANGES, range) ? ANALYTICS_RANGES[range] : null
+
+    if (!days) {
+        throw new ApiError(400, `Invalid range. Allowed values: ${Object.keys(ANALYTICS_RANGES).join(", ")}.`)
+    }
+
+    const to = new Date(startOfDay(new Date()).getTime() + DAY_MS)
+    const from = new Date(to.getTime() - days * DAY_MS)
+
+    return { range, days, from, to }
+}
+
+// one entry per day of the range, the days without activity are zeros
+const toTimeSeries = ({ from, days }, rows, fields) => {
+    const rowsByDate = new Map()
+
+    for (const row of rows) {
+        const key = row.date.toISOString()
+        rowsByDate.set(key, { ...rowsByDate.get(key), ...row })
+    }
+
+    return Array.from({ length: days }, (_, index) => {
+        const date = new Date(from.getTime() + index * DAY_MS)
+        const row = rowsByDate.get(date.toISOString()) || {}
+
+        return {
+            date,
+            ...Object.fromEntries(fields.map((field) => [field, row[field] || 0]))
+        }
+    })
+}
+
+const sumFields = (timeSeries, fields) => Object.fromEntries(fields.map((field) => [
+    field,
+    timeSeries.reduce((sum, day) => sum + day[field], 0)
+]))
+
+export {
+    startOfDay,
+    recordVideoActivity,
+    recordTweetActivity,
+    recordSubscriberChange,
+    removeTweetStats,
+    getAnalyticsRange,
+    toTimeSeries,
+    sumFields
+}
\ No newline at end of file
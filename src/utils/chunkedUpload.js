@@ -0,0 +1,101 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { once } from 'events'
+import { UPLOAD_SESSION_EXPIRY_HOURS } from '../constants.js'
+
+// kept outside of "public", the chunks of unfinished (and maybe private) videos are never served
+const uploadsDir = () => path.resolve(process.env.UPLOADS_DIR || "./uploads")
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex")
+
+const sessionDir = (uploadId) => path.join(uploadsDir(), String(uploadId))
+
+const chunkPath = (uploadId, index) => path.join(sessionDir(uploadId), `${index}.chunk`)
+
+// every chunk is kept in its own file, so a retried chunk simply overwrites the previous attempt
+const writeChunk = async (uploadId, index, data) => {
+    await fs.promises.mkdir(sessionDir(uploadId), { recursive: true })
+    await fs.promises.writeFile(chunkPath(uploadId, index), data)
+}
+
+// concatenates the chunks in order into a single file, returning its path, size and sha256
+const assembleChunks = async (uploadId, totalChunks, fileName) => {
+    const filePath = path.join(sessionDir(uploadId), `assembled${path.extname(fileName)}`)
+    const output = fs.createWriteStream(filePath)
+    const hash = crypto.createHash("sha256")
+    let size = 0
+
+    try {
+        for (let index = 0; index < totalChunks; index++) {
+            for await (const data of fs.createReadStream(chunkPath(uploadId, index))) {
+                hash.update(data)
+                size += data.length
+
+                if (!output.write(data)) {
+                    await once(output, "drain")
+                }
+            }
+        }
+
+        output.end()
+        await once(output, "finish")
+    } catch (error) {
+        output.destroy()
+        await fs.promises.rm(filePath, { force: true })
+        throw error
+    }
+
+    return {
+        filePath,
+        size,
+        checksum: hash.digest("hex")
+    }
+}
+
+const removeChunks = async (uploadId) => {
+    try {
+        await fs.promises.rm(sessionDir(uploadId), { recursive: true, force: true })
+    } catch (error) {
+        console.log("Error removing upload chunks || ", error)
+    }
+}
+
+// removes the chunks of the sessions nobody touched since the session expiry, the session documents expire by themselves
+const removeStaleUploads = async () => {
+    const expiredBefore = Date.now() - UPLOAD_SESSION_EXPIRY_HOURS * 60 * 60 * 1000
+
+    let uploadIds = [];
+
+    try {
+        uploadIds = await fs.promises.readdir(uploadsDir())
+    } catch (error) {
+        if (error?.code !== "ENOENT") {
+            console.error("Error listing the uploads:", error);
+        }
+        return; // nothing was uploaded yet
+    }
+
+    for (const uploadId of uploadIds) {
+        try {
+            const stats = await fs.promises.stat(sessionDir(uploadId))
+
+            if (stats.mtimeMs < expiredBefore) {
+                await removeChunks(uploadId)
+            }
+        } catch (error) {
+            // the upload was completed or aborted in the meantime
+            if (error?.code !== "ENOENT") {
+                console.error(`Error removing the stale upload ${uploadId}:`, error);
+            }
+        }
+    }
+}
+
+export {
+    sha256,
+    writeChunk,
+    assembleChunks,
+    removeChunks,
+    removeStaleUploads
+}
\ No newline at end of file
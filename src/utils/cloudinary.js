@@ -1,5 +1,7 @@
-import { v2 as cloudinary } from 'cloudinary'
 import fs from 'fs'
+import { Readable } from 'stream'
+import { pipeline } from 'stream/promises'
+import { v2 as cloudinary } from 'cloudinary'
 
 // Configuration
 cloudinary.config({
@@ -8,44 +10,64 @@ cloudinary.config({
     api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
+// cloudinary refuses the single request uploads over 100 MB, the videos are sent in parts of this size
+const LARGE_UPLOAD_CHUNK_SIZE = 20 * 1024 * 1024
+
+const uploadLarge = (localFilePath, options) => new Promise((resolve, reject) => {
+    cloudinary.uploader.upload_large(localFilePath, { ...options, chunk_size: LARGE_UPLOAD_CHUNK_SIZE }, (error, result) => {
+        if (error) return reject(error);
+        resolve(result)
+    })
+})
+
+// cloudinary driver of the storage layer (utils/storage.js), the local file is removed by the storage layer
 const uploadOnCloudinary = async (localFilePath, resourceType = 'auto') => {
-    try {
-        if (!localFilePath) return null;
-        const uploadResult = await cloudinary.uploader.upload(localFilePath, {
-            resource_type: resourceType
-        })
-        // console.log("File has been uploaded successfully on cloudinary.", uploadResult.url);
-        fs.unlinkSync(localFilePath)
-        return uploadResult
-    } catch (error) {
-        fs.unlinkSync(localFilePath) // remove the locally saved temporary file as the upload operation got failed.
-        console.log("File upload Error on Cloudinary || ", error)
-        return null
+    const options = { resource_type: resourceType }
+
+    const uploadResult = resourceType === 'video'
+        ? await uploadLarge(localFilePath, options)
+        : await cloudinary.uploader.upload(localFilePath, options)
+
+    return {
+        url: uploadResult.url,
+        publicId: uploadResult.public_id,
+        resourceType: uploadResult.resource_type,
+        duration: uploadResult.duration
     }
 }
 
-const deleteFromCloudinary = async (cloudinaryUrl) => {
+const deleteFromCloudinary = async (publicId, resourceType = 'image') => {
+    const deleteResult = await cloudinary.uploader.destroy(publicId, {
+        resource_type: resourceType
+    });
+    console.log("File has been deleted successfully from Cloudinary.", deleteResult);
+    return deleteResult;
+}
 
-    if (!cloudinaryUrl.includes('cloudinary.com')) {
-        console.log('Invalid Cloudinary URL.');
-        return null;
+// the files are public, so they are simply fetched from their url
+const downloadFromCloudinary = async ({ url }, destinationPath) => {
+    const response = await fetch(url)
+
+    if (!response.ok) {
+        throw new Error(`Cloudinary responded with ${response.status} for ${url}`)
     }
 
+    await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(destinationPath))
+}
+
+// files stored before the storage metadata existed only have their url, the public id is its last path segment
+const cloudinaryFileFromUrl = (cloudinaryUrl) => {
+    if (!cloudinaryUrl.includes('cloudinary.com')) return null;
+
     const arr = cloudinaryUrl.split('/')
     const publicId = arr[arr.length - 1].split('.')[0];
-    
-    // console.log(publicId)
-    
+
     if (!publicId) return null;
-    
-    try {
-        const deleteResult = await cloudinary.uploader.destroy(publicId);
-        console.log("File has been deleted successfully from Cloudinary.", deleteResult);
-        return deleteResult;
-    } catch (error) {
-        console.log("Error deleting file from Cloudinary || ", error);
-        return null;
+
+    return {
+        publicId,
+        resourceType: cloudinaryUrl.includes('/video/upload/') ? 'video' : 'image'
     }
 }
 
-export { uploadOnCloudinary, deleteFromCloudinary }
\ No newline at end of file
+export { uploadOnCloudinary, deleteFromCloudinary, downloadFromCloudinary, cloudinaryFileFromUrl }
\ No newline at end of file
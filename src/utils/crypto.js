@@ -1,13 +1,21 @@
-import { randomBytes, createCipheriv, createDecipheriv } from 'crypto';
+import { randomBytes, createCipheriv, createDecipheriv, createHash } from 'crypto';
 
 // Configuration
 const algorithm = 'aes-256-cbc';
-const key = randomBytes(32); // Generate a secure key
-const iv = randomBytes(16);  // Initialization vector
 
-// Encryption
+// the key has to survive restarts, the data encrypted with it is stored
+const getKey = () => {
+    if (!process.env.ENCRYPTION_KEY) {
+        throw new Error("ENCRYPTION_KEY is not set.");
+    }
+
+    return createHash('sha256').update(process.env.ENCRYPTION_KEY).digest(); // 32 bytes
+}
+
+// Encryption, with a new initialization vector each time
 function encrypt(text) {
-    const cipher = createCipheriv(algorithm, key, iv);
+    const iv = randomBytes(16);
+    const cipher = createCipheriv(algorithm, getKey(), iv);
     let encrypted = cipher.update(text, 'utf-8', 'hex');
     encrypted += cipher.final('hex');
     return { iv: iv.toString('hex'), encryptedData: encrypted };
@@ -15,13 +23,26 @@ function encrypt(text) {
 
 // Decryption
 function decrypt(encryptedData, iv) {
-    const decipher = createDecipheriv(algorithm, key, Buffer.from(iv, 'hex'));
+    const decipher = createDecipheriv(algorithm, getKey(), Buffer.from(iv, 'hex'));
     let decrypted = decipher.update(encryptedData, 'hex', 'utf-8');
     decrypted += decipher.final('utf-8');
     return decrypted;
 }
 
+// "iv:encryptedData", to store in a single string field
+function encryptToString(text) {
+    const { iv, encryptedData } = encrypt(text);
+    return `${iv}:${encryptedData}`;
+}
+
+function decryptString(value) {
+    const [iv, encryptedData] = value.split(':');
+    return decrypt(encryptedData, iv);
+}
+
 export {
     encrypt,
-    decrypt
-}
+    decrypt,
+    encryptToString,
+    decryptString
+}
\ No newline at end of file
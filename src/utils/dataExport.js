@@ -0,0 +1,313 @@
+import fs from 'fs'
+import path from 'path'
+import { DataExport } from '../models/dataExport.model.js'
+import { User } from '../models/user.model.js'
+import { Video } from '../models/video.model.js'
+import { Tweet } from '../models/tweet.model.js'
+import { Comment } from '../models/comment.model.js'
+import { Like } from '../models/like.model.js'
+import { Playlist } from '../models/playlist.model.js'
+import { SavedTweet } from '../models/savedTweet.model.js'
+import { Subscription } from '../models/subscription.model.js'
+import { Report } from '../models/report.model.js'
+import { downloadFile } from './storage.js'
+import { createTarGzArchive } from './tarArchive.js'
+import { generateToken } from './jwt.js'
+import { sendDataExportMail } from './sendEmail.js'
+import { DATA_EXPORT_EXPIRY_HOURS, DATA_EXPORT_MAX_ATTEMPTS } from '../constants.js'
+
+// The archive (<exportId>.tar.gz) is made of one JSON file per kind of data plus the media under media/,
+// manifest.json lists every file. It is kept outside of "public" and only served through the signed download link.
+
+// an attempt running for longer than this is considered abandoned and is started again
+const PROCESSING_LOCK_MS = 60 * 60 * 1000
+
+const exportsDir = () => path.resolve(process.env.DATA_EXPORT_DIR || "./exports")
+
+const archivePath = (fileName) => path.join(exportsDir(), fileName)
+
+const serverUrl = () => process.env.SERVER_URL || `http://localhost:${process.env.PORT || 8000}`
+
+// the link works without logging in (it is sent by email) until the archive expires
+const getDownloadUrl = (dataExport) => {
+    const expiresInSeconds = Math.floor((dataExport.expiresAt.getTime() - Date.now()) / 1000)
+
+    if (dataExport.status !== "ready" || expiresInSeconds <= 0) return null;
+
+    const token = generateToken({ exportId: dataExport._id, purpose: "data-export" }, expiresInSeconds)
+
+    return `${serverUrl()}/api/v1/users/export/download/${token}`
+}
+
+const toJson = (data) => Buffer.from(JSON.stringify(data, null, 2))
+
+const fileExtension = (url) => {
+    try {
+        return path.extname(new URL(url).pathname).toLowerCase()
+    } catch (error) {
+        return ""
+    }
+}
+
+const collectUserData = async (userId) => {
+    const profile = await User.findById(userId)
+        .select("-password -forgotPasswordOTP -forgotPasswordOtpExpiry -updateEmailOTP -updateEmailOTPExpiry -watchHistory")
+        .lean()
+
+    const user = await User.findById(userId)
+        .select("watchHistory")
+        .populate("watchHistory.video", "title")
+        .lean()
+
+    return {
+        profile,
+        videos: await Video.find({ owner: userId }).lean(),
+        tweets: await Tweet.find({ owner: userId }).lean(),
+        comments: await Comment.find({ owner: userId }).select("content video tweet parentComment createdAt updatedAt").lean(),
+        likes: await Like.find({ likedBy: userId }).select("video tweet comment createdAt").lean(),
+        playlists: await Playlist.find({ owner: userId }).lean(),
+        savedTweets: await SavedTweet.find({ savedBy: userId }).select("tweets createdAt updatedAt").lean(),
+        subscriptions: {
+            subscribedTo: await Subscription.find({ subscriber: userId }).populate("channel", "username fullName").select("channel createdAt").lean(),
+            subscribers: await Subscription.find({ channel: userId }).populate("subscriber", "username fullName").select("subscriber createdAt").lean()
+        },
+        watchHistory: user?.watchHistory || [],
+        reports: await Report.find({ reportBy: userId }).select("video tweet comment issue status createdAt").lean()
+    }
+}
+
+const buildArchive = async (dataExport) => {
+    const data = await collectUserData(dataExport.user)
+
+    if (!data.profile) {
+        throw new Error("The user doesn't exist anymore.")
+    }
+
+    const fileName = `${dataExport._id}.tar.gz`
+    const workDir = path.join(exportsDir(), `${dataExport._id}.tmp`)
+    const partialPath = archivePath(`${fileName}.partial`)
+
+    await fs.promises.mkdir(workDir, { recursive: true })
+
+    const archive = createTarGzArchive(partialPath)
+    const files = []
+    const missingFiles = []
+
+    // copies a stored file into the archive, a missing file doesn't fail the whole export
+    const addMedia = async (name, file) => {
+        const url = typeof file === "string" ? file : file?.url
+
+        if (!url) return null;
+
+        const entryName = `media/${name}${fileExtension(url)}`
+        const tempPath = path.join(workDir, entryName.replace(/\//g, "_"))
+
+        try {
+            await downloadFile(file, tempPath)
+        } catch (error) {
+            console.log(`Error adding ${url} to the data export ${dataExport._id} || `, error)
+            missingFiles.push(url)
+            await fs.promises.rm(tempPath, { force: true })
+            return null
+        }
+
+        // an error while writing the archive fails the export, the archive would be corrupted
+        try {
+            await archive.addFile(entryName, tempPath)
+        } finally {
+            await fs.promises.rm(tempPath, { force: true })
+        }
+
+        files.push(entryName)
+        return entryName
+    }
+
+    try {
+        const { profile } = data
+
+        profile.files = {
+            avatar: await addMedia("profile/avatar", profile.avatar && (profile.avatarStorage || profile.avatar)),
+            coverImage: await addMedia("profile/cover", profile.coverImage && (profile.coverImageStorage || profile.coverImage))
+        }
+        delete profile.avatarStorage
+        delete profile.coverImageStorage
+
+        for (const video of data.videos) {
+            video.files = {
+                video: await addMedia(`videos/${video._id}/video`, video.videoFileStorage || video.videoFile),
+                thumbnail: await addMedia(`videos/${video._id}/thumbnail`, video.thumbnailStorage || video.thumbnail)
+            }
+            delete video.videoFileStorage
+            delete video.thumbnailStorage
+        }
+
+        for (const tweet of data.tweets) {
+            tweet.files = []
+
+            for (const [index, imgUrl] of (tweet.images || []).entries()) {
+                const image = tweet.imagesStorage?.find((storedImage) => storedImage.url === imgUrl) || imgUrl
+                tweet.files.push(await addMedia(`tweets/${tweet._id}/${index + 1}`, image))
+            }
+            delete tweet.imagesStorage
+        }
+
+        const jsonFiles = {
+            "profile.json": data.profile,
+            "videos.json": data.videos,
+            "tweets.json": data.tweets,
+            "comments.json": data.comments,
+            "likes.json": data.likes,
+            "playlists.json": data.playlists,
+            "saved-tweets.json": data.savedTweets,
+            "subscriptions.json": data.subscriptions,
+            "watch-history.json": data.watchHistory,
+            "reports.json": data.reports
+        }
+
+        for (const [name, content] of Object.entries(jsonFiles)) {
+            await archive.addBuffer(name, toJson(content))
+            files.push(name)
+        }
+
+        await archive.addBuffer("manifest.json", toJson({
+            user: { _id: data.profile._id, username: data.profile.username },
+            exportedAt: new Date(),
+            files,
+            missingFiles
+        }))
+
+        await archive.finalize()
+
+        await fs.promises.rename(partialPath, archivePath(fileName))
+    } catch (error) {
+        // the streams are closed before the partial archive is removed, nothing is written to it afterwards
+        await archive.abort()
+        await fs.promises.rm(partialPath, { force: true })
+        throw error
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true })
+    }
+
+    const { size } = await fs.promises.stat(archivePath(fileName))
+
+    return { fileName, fileSize: size, missingFiles }
+}
+
+// atomically takes a pending export (or the given one) for a new attempt
+const claimExport = async (exportId = null) => {
+    const now = new Date()
+
+    return await DataExport.findOneAndUpdate(
+        {
+            ...(exportId && { _id: exportId }),
+            $or: [
+                { status: "pending" },
+                { status: "processing", startedAt: { $lte: new Date(now.getTime() - PROCESSING_LOCK_MS) } }
+            ]
+        },
+        { $set: { status: "processing", startedAt: now }, $inc: { attempts: 1 } },
+        { new: true, sort: { createdAt: 1 } }
+    )
+}
+
+// builds the archive of a claimed export and emails the link, a failed attempt is retried by the worker
+const runExport = async (dataExport) => {
+    try {
+        const { fileName, fileSize, missingFiles } = await buildArchive(dataExport)
+
+        const readyExport = await DataExport.findByIdAndUpdate(
+            dataExport._id,
+            {
+                $set: {
+                    status: "ready",
+                    fileName,
+                    fileSize,
+                    missingFiles,
+                    completedAt: new Date(),
+                    expiresAt: new Date(Date.now() + DATA_EXPORT_EXPIRY_HOURS * 60 * 60 * 1000)
+                },
+                $unset: { failureReason: 1 }
+            },
+            { new: true }
+        )
+
+        const user = await User.findById(dataExport.user).select("email username locale")
+
+        if (user) {
+            await sendDataExportMail(user, getDownloadUrl(readyExport), readyExport.expiresAt)
+        }
+
+        return readyExport
+    } catch (error) {
+        console.error(`Error building the data export ${dataExport._id}:`, error);
+
+        const isFailed = dataExport.attempts >= DATA_EXPORT_MAX_ATTEMPTS
+
+        return await DataExport.findByIdAndUpdate(
+            dataExport._id,
+            {
+                $set: {
+                    status: isFailed ? "failed" : "pending",
+                    failureReason: error?.message || String(error),
+                    ...(isFailed && { expiresAt: new Date(Date.now() + DATA_EXPORT_EXPIRY_HOURS * 60 * 60 * 1000) })
+                }
+            },
+            { new: true }
+        )
+    }
+}
+
+// starts the given export in the background, the request that created it doesn't wait for the archive
+const startExport = (exportId) => {
+    setImmediate(async () => {
+        try {
+            const dataExport = await claimExport(exportId)
+            if (dataExport) await runExport(dataExport);
+        } catch (error) {
+            console.error(`Error starting the data export ${exportId}:`, error);
+        }
+    })
+}
+
+// the export worker, picks up the exports that are waiting (retries, or ones the server didn't get to)
+const processDataExports = async () => {
+    try {
+        let dataExport
+
+        while ((dataExport = await claimExport())) {
+            await runExport(dataExport)
+        }
+    } catch (error) {
+        console.error("Error processing the data exports:", error);
+    }
+}
+
+// removes the archives of the given exports along with their documents
+const removeExports = async (filter) => {
+    const dataExports = await DataExport.find(filter).select("fileName")
+
+    for (const dataExport of dataExports) {
+        if (dataExport.fileName) {
+            await fs.promises.rm(archivePath(dataExport.fileName), { force: true })
+        }
+    }
+
+    return await DataExport.deleteMany({ _id: { $in: dataExports.map((dataExport) => dataExport._id) } })
+}
+
+const removeExpiredExports = async () => {
+    try {
+        await removeExports({ expiresAt: { $lte: new Date() } })
+    } catch (error) {
+        console.error("Error removing the expired data exports:", error);
+    }
+}
+
+export {
+    archivePath,
+    getDownloadUrl,
+    startExport,
+    processDataExports,
+    removeExports,
+    removeExpiredExports
+}
\ No newline at end of file
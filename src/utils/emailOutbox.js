@@ -0,0 +1,174 @@
+import crypto from 'crypto'
+import { EmailOutbox } from '../models/emailOutbox.model.js'
+import { sendMail } from './mail.js'
+import { EMAIL_RETRY_BASE_SECONDS, EMAIL_RETRY_MAX_SECONDS, EMAIL_OUTBOX_RETENTION_DAYS } from '../constants.js'
+
+// time given to a single attempt before another worker may take the email over
+const SENDING_LOCK_MS = 5 * 60 * 1000
+const WORKER_BATCH_SIZE = 20
+
+const retentionExpiry = () => new Date(Date.now() + EMAIL_OUTBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+
+// 30s, 1m, 2m, 4m ... up to the maximum
+const retryDelayMs = (attempts) => Math.min(
+    EMAIL_RETRY_BASE_SECONDS * 2 ** Math.max(0, attempts - 1),
+    EMAIL_RETRY_MAX_SECONDS
+) * 1000
+
+// atomically takes a due email (or the given one) for a new attempt
+const claimMail = async (mailId = null) => {
+    const now = new Date()
+
+    return await EmailOutbox.findOneAndUpdate(
+        {
+            ...(mailId && { _id: mailId }),
+            $or: [
+                { status: "pending", nextAttemptAt: { $lte: now } },
+                { status: "sending", lockedUntil: { $lte: now } } // the process sending it stopped midway
+            ]
+        },
+        {
+            $set: {
+                status: "sending",
+                lockedUntil: new Date(now.getTime() + SENDING_LOCK_MS),
+                claimId: crypto.randomUUID()
+            },
+            $inc: { attempts: 1 }
+        },
+        { new: true, sort: { nextAttemptAt: 1 } }
+    )
+}
+
+// one attempt of a claimed email, never throws: the outcome is recorded on the email
+const attemptDelivery = async (mail) => {
+    let update
+
+    try {
+        const { messageId } = await sendMail({
+            to: mail.to,
+            template: mail.template,
+            locale: mail.locale,
+            variables: mail.variables
+        })
+
+        update = {
+            $set: { status: "sent", messageId, sentAt: new Date() },
+            $unset: { lockedUntil: 1, claimId: 1, lastError: 1 }
+        }
+    } catch (error) {
+        const isDead = mail.attempts >= mail.maxAttempts
+
+        console.error(`Error sending ${mail.template} email to ${mail.to} (attempt ${mail.attempts}/${mail.maxAttempts}):`, error);
+
+        update = {
+            $set: {
+                status: isDead ? "dead" : "pending",
+                lastError: error?.message || String(error),
+                ...(!isDead && { nextAttemptAt: new Date(Date.now() + retryDelayMs(mail.attempts)) })
+            },
+            $unset: { lockedUntil: 1, claimId: 1 }
+        }
+    }
+
+    // the email may have been queued again while it was being sent, that newer state wins
+    return await EmailOutbox.findOneAndUpdate(
+        { _id: mail._id, claimId: mail.claimId },
+        update,
+        { new: true }
+    ) || await EmailOutbox.findById(mail._id)
+}
+
+// sends the email now if it is not already being sent, resolves to its current state
+const deliverMail = async (mailId) => {
+    const mail = await claimMail(mailId)
+
+    if (!mail) return await EmailOutbox.findById(mailId);
+
+    return await attemptDelivery(mail)
+}
+
+// stores the email and makes a first attempt right away, the worker retries it if the attempt fails
+// emails with a dedupeKey replace the previous email with the same key instead of adding another one
+const queueMail = async ({ to, user, template, locale, variables = {}, dedupeKey }) => {
+    const content = {
+        to,
+        template,
+        variables,
+        ...(user && { user }),
+        ...(locale && { locale }),
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        expiresAt: retentionExpiry()
+    }
+
+    const mail = dedupeKey
+        ? await EmailOutbox.findOneAndUpdate(
+            { dedupeKey },
+            {
+                $set: content,
+                $unset: { lockedUntil: 1, claimId: 1, lastError: 1, messageId: 1, sentAt: 1 }
+            },
+            { upsert: true, new: true }
+        )
+        : await EmailOutbox.create(content)
+
+    return await deliverMail(mail._id)
+}
+
+// sends an already queued email once more with the same content, an email that is still on its way is left alone
+const requeueMail = async (mail) => {
+    if (mail.status === "sending") return mail;
+
+    // a retry that is waiting for its turn is made right away
+    if (mail.status === "pending") {
+        await EmailOutbox.updateOne({ _id: mail._id, status: "pending" }, { $set: { nextAttemptAt: new Date() } })
+        return await deliverMail(mail._id)
+    }
+
+    const requeued = await EmailOutbox.findOneAndUpdate(
+        { _id: mail._id, status: mail.status },
+        {
+            $set: { status: "pending", attempts: 0, nextAttemptAt: new Date(), expiresAt: retentionExpiry() },
+            $unset: { lastError: 1, messageId: 1, sentAt: 1 }
+        },
+        { new: true }
+    )
+
+    // someone else requeued it in the meantime
+    if (!requeued) return await EmailOutbox.findById(mail._id);
+
+    return await deliverMail(requeued._id)
+}
+
+// the outbox worker, sends the emails whose next attempt is due
+const processOutbox = async () => {
+    try {
+        for (let i = 0; i < WORKER_BATCH_SIZE; i++) {
+            const mail = await claimMail()
+
+            if (!mail) break;
+
+            await attemptDelivery(mail)
+        }
+    } catch (error) {
+        console.error("Error processing the email outbox:", error);
+    }
+}
+
+// what the API tells about an email, never its content
+const toEmailStatus = (mail) => ({
+    id: mail._id,
+    status: mail.status,
+    attempts: mail.attempts,
+    ...(mail.status === "pending" && { nextAttemptAt: mail.nextAttemptAt }),
+    ...(mail.sentAt && { sentAt: mail.sentAt })
+})
+
+export {
+    queueMail,
+    requeueMail,
+    deliverMail,
+    processOutbox,
+    toEmailStatus
+}
\ No newline at end of file
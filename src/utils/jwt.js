@@ -4,8 +4,8 @@ import { ApiError } from '../utils/ApiError.js';
 const secretKey = process.env.JWT_SECRET // Use a secret key for signing the JWTs
 
 // function to generate JWT
-function generateToken(data) {
-    return jwt.sign({ data }, secretKey, { algorithm: 'HS256', expiresIn: '20m' }); // Token expires in 20 minutes
+function generateToken(data, expiresIn = '20m') {
+    return jwt.sign({ data }, secretKey, { algorithm: 'HS256', expiresIn }); // Token expires in 20 minutes by default
 }
 
 // function to verify JWT
@@ -0,0 +1,78 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { execFile } from 'child_process'
+import { promisify } from 'util'
+
+// served by express.static("public"), so the files are reachable under /media
+const LOCAL_MEDIA_DIR = path.resolve("./public/media")
+
+const execFileAsync = promisify(execFile)
+
+const localBaseUrl = () => process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 8000}`
+
+// resolves a public id to its path, refusing anything outside the media directory
+const localFilePath = (publicId) => {
+    const filePath = path.resolve(LOCAL_MEDIA_DIR, publicId)
+
+    if (!filePath.startsWith(LOCAL_MEDIA_DIR + path.sep)) {
+        throw new Error(`Invalid local file id: ${publicId}`)
+    }
+
+    return filePath
+}
+
+// video duration in seconds using ffprobe when it is installed, cloudinary reports it by itself
+const probeDuration = async (filePath) => {
+    try {
+        const { stdout } = await execFileAsync(process.env.FFPROBE_PATH || "ffprobe", [
+            "-v", "error",
+            "-show_entries", "format=duration",
+            "-of", "csv=p=0",
+            filePath
+        ])
+        return parseFloat(stdout) || 0
+    } catch (error) {
+        return 0
+    }
+}
+
+// local disk driver of the storage layer (utils/storage.js), meant for development and tests
+const uploadToLocalStorage = async (sourceFilePath, resourceType = 'auto') => {
+    const type = resourceType === 'auto' ? 'raw' : resourceType
+    const publicId = `${type}/${crypto.randomUUID()}${path.extname(sourceFilePath).toLowerCase()}`
+    const filePath = localFilePath(publicId)
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.promises.copyFile(sourceFilePath, filePath)
+
+    return {
+        url: `${localBaseUrl()}/media/${publicId}`,
+        publicId,
+        resourceType: type,
+        duration: type === 'video' ? await probeDuration(filePath) : undefined
+    }
+}
+
+const deleteFromLocalStorage = async (publicId) => {
+    await fs.promises.rm(localFilePath(publicId), { force: true })
+    return { result: "ok" }
+}
+
+const copyFromLocalStorage = async ({ publicId }, destinationPath) => {
+    await fs.promises.copyFile(localFilePath(publicId), destinationPath)
+}
+
+// files stored before the storage metadata existed only have their url
+const localFileFromUrl = (url) => {
+    const [, publicId] = url.split('/media/')
+
+    if (!publicId) return null;
+
+    return {
+        publicId,
+        resourceType: publicId.split('/')[0]
+    }
+}
+
+export { uploadToLocalStorage, deleteFromLocalStorage, copyFromLocalStorage, localFileFromUrl, probeDuration }
\ No newline at end of file
@@ -0,0 +1,127 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { getMailTransport, getMailSender } from './mailTransports.js'
+
+// Every mail is a template in src/templates/mail/<locale>/ made of <name>.subject, <name>.txt and <name>.html,
+// wrapped in the shared layout.txt / layout.html (a locale can have its own layout in its directory)
+//  {{variable}}  -> the value, html escaped in the html part
+//  {{{variable}}} -> the raw value
+
+const TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "../templates/mail")
+
+const DEFAULT_LOCALE = "en"
+
+const SUPPORTED_LOCALES = fs.readdirSync(TEMPLATES_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+
+// "es-ES" -> "es", anything unsupported -> the default locale
+const resolveLocale = (locale) => {
+    const normalizedLocale = String(locale || "").trim().toLowerCase()
+
+    if (SUPPORTED_LOCALES.includes(normalizedLocale)) return normalizedLocale;
+
+    const language = normalizedLocale.split(/[-_]/)[0]
+
+    return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE
+}
+
+// the preferred supported locale of the Accept-Language header
+const getRequestLocale = (req) => resolveLocale(req.acceptsLanguages(...SUPPORTED_LOCALES))
+
+// templates don't change while the server runs
+const templateCache = new Map()
+
+const readTemplate = (locale, fileName) => {
+    const cacheKey = `${locale}/${fileName}`
+
+    if (!templateCache.has(cacheKey)) {
+        const candidates = [
+            path.join(TEMPLATES_DIR, locale, fileName),
+            path.join(TEMPLATES_DIR, DEFAULT_LOCALE, fileName),
+            path.join(TEMPLATES_DIR, fileName)
+        ]
+        const templatePath = candidates.find((candidate) => fs.existsSync(candidate))
+
+        templateCache.set(cacheKey, templatePath ? fs.readFileSync(templatePath, "utf8") : null)
+    }
+
+    return templateCache.get(cacheKey)
+}
+
+const interpolate = (template, variables, escape) => template.replace(
+    /\{\{(\{)?\s*(\w+)\s*\}?\}\}/g,
+    (placeholder, raw, name) => {
+        if (variables[name] === undefined || variables[name] === null) {
+            throw new Error(`Missing mail template variable: ${name}`)
+        }
+
+        return raw ? String(variables[name]) : escape(variables[name])
+    }
+)
+
+// resolves to { locale, subject, text, html }
+const renderMailTemplate = (template, locale, variables = {}) => {
+    const mailLocale = resolveLocale(locale)
+
+    const subjectTemplate = readTemplate(mailLocale, `${template}.subject`)
+    const textTemplate = readTemplate(mailLocale, `${template}.txt`)
+    const htmlTemplate = readTemplate(mailLocale, `${template}.html`)
+
+    if (!subjectTemplate || !textTemplate || !htmlTemplate) {
+        throw new Error(`Unknown mail template: ${template}`)
+    }
+
+    const layoutVariables = {
+        appName: process.env.APP_NAME || "Fuzion",
+        year: new Date().getFullYear(),
+        locale: mailLocale,
+        ...variables
+    }
+
+    const subject = interpolate(subjectTemplate, layoutVariables, String).trim()
+
+    const text = interpolate(readTemplate(mailLocale, "layout.txt"), {
+        ...layoutVariables,
+        subject,
+        content: interpolate(textTemplate, layoutVariables, String).trim()
+    }, String)
+
+    const html = interpolate(readTemplate(mailLocale, "layout.html"), {
+        ...layoutVariables,
+        subject,
+        content: interpolate(htmlTemplate, layoutVariables, escapeHtml).trim()
+    }, escapeHtml)
+
+    return { locale: mailLocale, subject, text, html }
+}
+
+// renders the template and sends it with the configured transport, throws when either fails
+const sendMail = async ({ to, template, locale, variables }) => {
+    const { subject, text, html } = renderMailTemplate(template, locale, variables)
+
+    return await getMailTransport().send({
+        from: getMailSender(),
+        to,
+        subject,
+        text,
+        html
+    })
+}
+
+export {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    resolveLocale,
+    getRequestLocale,
+    renderMailTemplate,
+    sendMail
+}
\ No newline at end of file
@@ -0,0 +1,165 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import nodemailer from 'nodemailer'
+import { google } from 'googleapis';
+
+// A mail transport sends an already rendered message:
+//  send({ from, to, subject, text, html }) -> { messageId }, throwing when the message could not be sent
+
+const smtpTransport = () => {
+    const transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    })
+
+    const send = async (message) => {
+        const info = await transport.sendMail(message)
+        return { messageId: info.messageId }
+    }
+
+    return { send }
+}
+
+// https://resend.com/docs/api-reference/emails/send-email
+const resendTransport = () => {
+    const send = async ({ from, to, subject, text, html }) => {
+        const response = await fetch("https://api.resend.com/emails", {
+            method: "POST",
+            headers: {
+                "Authorization": `Bearer ${process.env.RESEND_API_KEY}`,
+                "Content-Type": "application/json"
+            },
+            body: JSON.stringify({ from, to: [to], subject, text, html })
+        })
+
+        const result = await response.json().catch(() => ({}))
+
+        if (!response.ok) {
+            throw new Error(`Resend responded with ${response.status}: ${result.message || response.statusText}`)
+        }
+
+        return { messageId: result.id }
+    }
+
+    return { send }
+}
+
+// gmail through OAuth2, the transport the server used before the others existed
+const gmailTransport = () => {
+    const oAuth2Client = new google.auth.OAuth2(process.env.CLIENT_ID, process.env.CLIENT_SECRET, process.env.REDIRECT_URI)
+    oAuth2Client.setCredentials({ refresh_token: process.env.REFRESH_TOKEN })
+
+    const send = async (message) => {
+        const { token: accessToken } = await oAuth2Client.getAccessToken()
+
+        const transport = nodemailer.createTransport({
+            service: 'gmail',
+            auth: {
+                type: 'OAuth2',
+                user: process.env.OAUTH2_USER,
+                clientId: process.env.CLIENT_ID,
+                clientSecret: process.env.CLIENT_SECRET,
+                refreshToken: process.env.REFRESH_TOKEN,
+                accessToken
+            }
+        })
+
+        const info = await transport.sendMail(message)
+        return { messageId: info.messageId }
+    }
+
+    return { send }
+}
+
+// writes every message as a .json file, handy for development and for inspecting the rendered templates
+const fileTransport = () => {
+    const directory = path.resolve(process.env.MAIL_FILE_DIR || "./logs/mails")
+
+    const send = async (message) => {
+        const messageId = `${Date.now()}-${crypto.randomUUID()}`
+
+        await fs.promises.mkdir(directory, { recursive: true })
+        await fs.promises.writeFile(
+            path.join(directory, `${messageId}.json`),
+            JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+        )
+
+        return { messageId }
+    }
+
+    return { send }
+}
+
+// logs only the recipient and the subject, the text holds codes and tokens (the file transport keeps the whole message)
+const consoleTransport = () => {
+    const send = async ({ from, to, subject }) => {
+        console.log(`Mail from ${from} to ${to}: ${subject}`)
+        return { messageId: `console-${crypto.randomUUID()}` }
+    }
+
+    return { send }
+}
+
+const transports = {
+    smtp: smtpTransport,
+    resend: resendTransport,
+    gmail: gmailTransport,
+    file: fileTransport,
+    console: consoleTransport
+}
+
+// MAIL_TRANSPORT picks the transport, without it the first configured one is used,
+// falling back to the console only outside of production where no mail would ever be delivered
+const getMailTransportName = () => {
+    const transportName = process.env.MAIL_TRANSPORT || (
+        process.env.RESEND_API_KEY ? "resend"
+            : process.env.SMTP_HOST ? "smtp"
+                : process.env.CLIENT_ID ? "gmail"
+                    : null
+    )
+
+    if (!transportName) {
+        if (process.env.NODE_ENV === "production") {
+            throw new Error("No mail transport is configured. Set MAIL_TRANSPORT, or the settings of one of the transports.")
+        }
+
+        return "console"
+    }
+
+    if (!transports[transportName]) {
+        throw new Error(`Unknown mail transport: ${transportName}. Allowed values: ${Object.keys(transports).join(", ")}.`)
+    }
+
+    return transportName
+}
+
+let transport = null
+
+const getMailTransport = () => {
+    if (!transport) {
+        transport = transports[getMailTransportName()]()
+    }
+
+    return transport
+}
+
+// plugs in any other transport implementing send()
+const setMailTransport = (customTransport) => {
+    transport = customTransport
+}
+
+const getMailSender = () => (
+    process.env.MAIL_SENDER || process.env.RESEND_MAIL_SENDER || process.env.OAUTH2_MAIL_SENDER
+)
+
+export {
+    getMailTransportName,
+    getMailTransport,
+    setMailTransport,
+    getMailSender
+}
\ No newline at end of file
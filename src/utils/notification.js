@@ -0,0 +1,88 @@
+import { Notification } from "../models/notification.model.js";
+
+// open Server-Sent Events connections per user id (kept in memory, so only for this server instance)
+const streams = new Map()
+
+const addNotificationStream = (userId, res) => {
+    const key = String(userId)
+
+    if (!streams.has(key)) {
+        streams.set(key, new Set())
+    }
+
+    streams.get(key).add(res)
+}
+
+const removeNotificationStream = (userId, res) => {
+    const key = String(userId)
+    const userStreams = streams.get(key)
+
+    if (!userStreams) return;
+
+    userStreams.delete(res)
+
+    if (userStreams.size === 0) {
+        streams.delete(key)
+    }
+}
+
+const pushToUser = (userId, event, data) => {
+    const userStreams = streams.get(String(userId))
+
+    if (!userStreams) return;
+
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+
+    userStreams.forEach((res) => res.write(payload))
+}
+
+// saves a notification and pushes it to the recipient's open streams, never notifies users about their own actions
+const notify = async ({ recipient, actor, type, video, tweet, comment }) => {
+    if (!recipient || String(recipient) === String(actor)) return null;
+
+    try {
+        const notification = await Notification.create({
+            recipient,
+            actor,
+            type,
+            video,
+            tweet,
+            comment
+        })
+
+        const populatedNotification = await notification.populate("actor", "fullName username avatar")
+
+        pushToUser(recipient, "notification", populatedNotification)
+
+        return notification
+    } catch (error) {
+        console.error(`Error creating ${type} notification for ${recipient}:`, error);
+        return null
+    }
+}
+
+// removes the notification of an undone action (unlike, unsubscribe)
+const withdrawNotification = async ({ recipient, actor, type, video, tweet, comment }) => {
+    if (!recipient || String(recipient) === String(actor)) return;
+
+    try {
+        await Notification.deleteOne({
+            recipient,
+            actor,
+            type,
+            ...(video && { video }),
+            ...(tweet && { tweet }),
+            ...(comment && { comment })
+        })
+    } catch (error) {
+        console.error(`Error removing ${type} notification for ${recipient}:`, error);
+    }
+}
+
+export {
+    addNotificationStream,
+    removeNotificationStream,
+    pushToUser,
+    notify,
+    withdrawNotification
+}
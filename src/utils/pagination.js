@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+import { ApiError } from './ApiError.js';
+
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 100
+
+// opaque cursor: base64url encoded JSON of the sort field, the last item's sort key and its _id
+const encodeCursor = (doc, sortField = "createdAt") => {
+    if (!doc) return null;
+
+    const value = doc[sortField] instanceof Date
+        ? { date: doc[sortField].toISOString() }
+        : { value: doc[sortField] }
+
+    return Buffer.from(JSON.stringify({ field: sortField, ...value, id: String(doc._id) })).toString('base64url')
+}
+
+const decodeCursor = (cursor, sortField = "createdAt") => {
+    if (!cursor) return null;
+
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'))
+
+        if (!mongoose.isValidObjectId(decoded.id)) {
+            throw new Error("Invalid cursor id")
+        }
+
+        // a cursor is only valid for the sort order it was created with
+        if (decoded.field && decoded.field !== sortField) {
+            throw new Error("Cursor sort field mismatch")
+        }
+
+        const value = decoded.date ? new Date(decoded.date) : decoded.value
+
+        // the value goes into a $match, anything but a plain sort key (an object could hold query operators) is refused
+        const isSortKey = value instanceof Date
+            ? !isNaN(value)
+            : typeof value === "string" || (typeof value === "number" && Number.isFinite(value))
+
+        if (!isSortKey) {
+            throw new Error("Invalid cursor value")
+        }
+
+        return {
+            value,
+            id: new mongoose.Types.ObjectId(String(decoded.id))
+        }
+    } catch (error) {
+        throw new ApiError(400, "Invalid cursor.")
+    }
+}
+
+// match condition for the documents after the cursor, _id breaks the ties between equal sort keys
+const cursorMatch = (cursor, sortField = "createdAt", sortOrder = -1) => {
+    const decoded = decodeCursor(cursor, sortField)
+
+    if (!decoded) return {};
+
+    const operator = sortOrder === 1 ? "$gt" : "$lt"
+
+    if (sortField === "_id") {
+        return { _id: { [operator]: decoded.id } }
+    }
+
+    return {
+        $or: [
+            { [sortField]: { [operator]: decoded.value } },
+            { [sortField]: decoded.value, _id: { [operator]: decoded.id } }
+        ]
+    }
+}
+
+// reads cursor, limit and sort options from the request query, sortBy must be one of the allowed fields
+const getPaginationOptions = (query = {}, {
+    defaultLimit = DEFAULT_LIMIT,
+    maxLimit = MAX_LIMIT,
+    sortFields = ["createdAt"],
+    defaultSortBy = "createdAt",
+    defaultSortType = "desc"
+} = {}) => {
+    const { cursor, limit, sortBy = defaultSortBy, sortType = defaultSortType } = query
+
+    if (!sortFields.includes(sortBy)) {
+        throw new ApiError(400, `Invalid sortBy. Allowed values: ${sortFields.join(", ")}.`)
+    }
+
+    return {
+        cursor,
+        limit: Math.min(Math.max(parseInt(limit) || defaultLimit, 1), maxLimit),
+        sortField: sortBy,
+        sortOrder: sortType === "asc" ? 1 : -1
+    }
+}
+
+const paginationSort = ({ sortField, sortOrder }) => (
+    sortField === "_id"
+        ? { _id: sortOrder }
+        : { [sortField]: sortOrder, _id: sortOrder }
+)
+
+// aggregation stages selecting one page (plus one document telling if there is a next page)
+const paginationStages = (options) => [
+    {
+        $match: cursorMatch(options.cursor, options.sortField, options.sortOrder)
+    },
+    {
+        $sort: paginationSort(options)
+    },
+    {
+        $limit: options.limit + 1
+    }
+]
+
+// drops the extra document fetched by paginationStages and builds the pagination metadata
+const paginate = (docs, { limit, sortField }, totalItems) => {
+    const hasMore = docs.length > limit
+    const items = hasMore ? docs.slice(0, limit) : docs
+
+    return {
+        items,
+        pagination: {
+            limit,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortField) : null,
+            ...(totalItems !== undefined && { totalItems })
+        }
+    }
+}
+
+export {
+    encodeCursor,
+    decodeCursor,
+    cursorMatch,
+    getPaginationOptions,
+    paginationSort,
+    paginationStages,
+    paginate
+}
@@ -0,0 +1,139 @@
+import { RateLimit } from "../models/rateLimit.model.js";
+
+// A rate limit store keeps fixed-window counters, every method is async so that shared stores can be plugged in:
+//  increment(key, windowMs) -> { count, resetAt }, starting a new window when the previous one is over
+//  get(key)                 -> { count, resetAt } or null when there is no running window
+//  set(key, count, resetAt) -> overwrites the counter (used for lockouts)
+//  reset(key)               -> removes the counter
+
+// counters live in this process only, fine for a single instance and for development
+const createMemoryStore = () => {
+    const counters = new Map()
+
+    const get = async (key) => {
+        const counter = counters.get(key)
+
+        if (!counter) return null;
+
+        if (counter.resetAt <= new Date()) {
+            counters.delete(key)
+            return null
+        }
+
+        return { ...counter }
+    }
+
+    const set = async (key, count, resetAt) => {
+        counters.set(key, { count, resetAt })
+    }
+
+    const increment = async (key, windowMs) => {
+        const counter = await get(key)
+
+        const updatedCounter = counter
+            ? { count: counter.count + 1, resetAt: counter.resetAt }
+            : { count: 1, resetAt: new Date(Date.now() + windowMs) }
+
+        counters.set(key, updatedCounter)
+
+        return { ...updatedCounter }
+    }
+
+    const reset = async (key) => {
+        counters.delete(key)
+    }
+
+    // dropping the expired counters, so that the map doesn't grow forever
+    setInterval(() => {
+        const now = new Date()
+        counters.forEach((counter, key) => {
+            if (counter.resetAt <= now) counters.delete(key)
+        })
+    }, 60 * 1000).unref()
+
+    return { increment, get, set, reset }
+}
+
+// two concurrent upserts of a new key both try to insert it, the one losing on the unique index runs again as an update
+const upsertOnce = async (upsert) => {
+    try {
+        return await upsert()
+    } catch (error) {
+        if (error?.code !== 11000) throw error;
+
+        return await upsert()
+    }
+}
+
+// counters in MongoDB, shared by every instance of the server
+const createMongoStore = () => {
+    const get = async (key) => {
+        const counter = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } }).lean()
+        return counter ? { count: counter.count, resetAt: counter.resetAt } : null
+    }
+
+    const set = async (key, count, resetAt) => {
+        await upsertOnce(() => RateLimit.updateOne({ key }, { $set: { count, resetAt } }, { upsert: true }))
+    }
+
+    // a single atomic update, so concurrent requests on different instances are all counted
+    const increment = async (key, windowMs) => {
+        const now = new Date()
+        const isRunning = { $gt: ["$resetAt", now] }
+
+        const counter = await upsertOnce(() => RateLimit.findOneAndUpdate(
+            { key },
+            [
+                {
+                    $set: {
+                        count: { $cond: [isRunning, { $add: ["$count", 1] }, 1] },
+                        resetAt: { $cond: [isRunning, "$resetAt", new Date(now.getTime() + windowMs)] }
+                    }
+                }
+            ],
+            { upsert: true, new: true }
+        ).lean())
+
+        return { count: counter.count, resetAt: counter.resetAt }
+    }
+
+    const reset = async (key) => {
+        await RateLimit.deleteOne({ key })
+    }
+
+    return { increment, get, set, reset }
+}
+
+const stores = {
+    memory: createMemoryStore,
+    mongo: createMongoStore
+}
+
+let store = null
+
+// RATE_LIMIT_STORE picks the store, "mongo" should be used as soon as more than one instance is running
+const getRateLimitStore = () => {
+    if (!store) {
+        const storeName = process.env.RATE_LIMIT_STORE || "memory"
+
+        if (!stores[storeName]) {
+            throw new Error(`Unknown rate limit store: ${storeName}. Allowed values: ${Object.keys(stores).join(", ")}.`)
+        }
+
+        store = stores[storeName]()
+    }
+
+    return store
+}
+
+// plugs in any other store implementing the methods above (e.g. one backed by redis)
+const setRateLimitStore = (customStore) => {
+    store = customStore
+}
+
+export {
+    createMemoryStore,
+    createMongoStore,
+    getRateLimitStore,
+    setRateLimitStore
+}
\ No newline at end of file
@@ -0,0 +1,70 @@
+import { ApiError } from './ApiError.js';
+
+const MAX_QUERY_LENGTH = 100
+const SNIPPET_RADIUS = 60
+
+// escapes the regex special characters so that user input is always matched literally
+const escapeRegex = (text = "") => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+const escapeHtml = (text = "") => String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+
+// validates the raw search query and returns it trimmed, it is passed to $text as is
+const getSearchQuery = (query) => {
+    const searchQuery = String(query || "").trim()
+
+    if (!searchQuery) {
+        throw new ApiError(400, "Search query is required.")
+    }
+
+    if (searchQuery.length > MAX_QUERY_LENGTH) {
+        throw new ApiError(400, `Search query must not exceed ${MAX_QUERY_LENGTH} characters.`)
+    }
+
+    return searchQuery
+}
+
+// words to highlight in the results, negated terms ("-word") are not part of any match
+const getSearchTerms = (query = "") => String(query)
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"))
+
+// short excerpt of the text around the first match with every matching word wrapped in <mark>
+// the text search is stemmed, so words are matched by prefix ("running" highlights for "run")
+const highlightSnippet = (text, terms) => {
+    if (!text || !terms?.length) return null;
+
+    const termsRegex = new RegExp(`\\b(${terms.map(escapeRegex).join("|")})\\w*`, "gi")
+
+    const firstMatch = termsRegex.exec(text)
+    termsRegex.lastIndex = 0
+
+    if (!firstMatch) return null;
+
+    const start = Math.max(0, firstMatch.index - SNIPPET_RADIUS)
+    const end = Math.min(text.length, firstMatch.index + firstMatch[0].length + SNIPPET_RADIUS)
+
+    const snippet = escapeHtml(text.slice(start, end))
+        .replace(new RegExp(termsRegex.source, "gi"), (match) => `<mark>${match}</mark>`)
+
+    return `${start > 0 ? "..." : ""}${snippet}${end < text.length ? "..." : ""}`
+}
+
+// highlighted snippets of the given fields, fields without any match are left out
+const getHighlights = (doc, fields, terms) => fields.reduce((highlights, field) => {
+    const snippet = highlightSnippet(doc[field], terms)
+    if (snippet) highlights[field] = snippet
+    return highlights
+}, {})
+
+export {
+    escapeRegex,
+    getSearchQuery,
+    getSearchTerms,
+    highlightSnippet,
+    getHighlights
+}
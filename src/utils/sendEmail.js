@@ -1,94 +1,75 @@
-import nodemailer from 'nodemailer'
-import { google } from 'googleapis';
+import { queueMail } from './emailOutbox.js'
 
-const CLIENT_ID = process.env.CLIENT_ID
-const CLIENT_SECRET = process.env.CLIENT_SECRET
-const REDIRECT_URI = process.env.REDIRECT_URI
-const REFRESH_TOKEN = process.env.REFRESH_TOKEN
+// Every function resolves to the outbox email after the first delivery attempt (see utils/emailOutbox.js),
+// its status tells whether it was really sent. Only storing the email can throw.
+// The OTP emails are deduplicated per recipient: requesting a new OTP replaces the email with the previous one.
 
-const oAuth2Client = new google.auth.OAuth2(CLIENT_ID, CLIENT_SECRET, REDIRECT_URI)
-oAuth2Client.setCredentials({ refresh_token: REFRESH_TOKEN })
+const otpMailKey = (template, email) => `${template}:${String(email).trim().toLowerCase()}`
 
 
-const sendVerificationMail = async (email, OTP) => {
-
-    try {
-        const accessToken = await oAuth2Client.getAccessToken()
-
-        const transport = nodemailer.createTransport({
-            service: 'gmail',
-            auth: {
-                type: 'OAuth2',
-                user: process.env.OAUTH2_USER,
-                clientId: CLIENT_ID,
-                clientSecret: CLIENT_SECRET,
-                refreshToken: REFRESH_TOKEN,
-                accessToken: accessToken
-            }
-        })
+const sendVerificationMail = async (email, OTP, locale) => {
+    return await queueMail({
+        to: email,
+        template: "verification",
+        locale,
+        variables: { otp: OTP, expiresInMinutes: 20 },
+        dedupeKey: otpMailKey("verification", email)
+    })
+}
 
-        const mailOptions = {
-            from: process.env.OAUTH2_MAIL_SENDER,
-            to: [email],
-            subject: 'Verify your Email',
-            html: `
-                    <h1>Email Verification</h1>
-                    <p>Hello,</p>
-                    <p>Your One-Time Password (OTP) for email verification is <strong>${OTP}</strong>.</p>
-                    <p>Please enter this code to verify your email address. This code will expire in 10 minutes.</p>
-                    <p>If you did not request this, please ignore this email.</p>
-                    <p>Thank you!</p>
-                    `,
-        }
 
-        await transport.sendMail(mailOptions)
-        console.log("verification mail sent successfully.")
-    } catch (error) {
-        console.error(`Error sending verification email to ${email}:`, error);
-    }
+const sendForgotPasswordMail = async (email, OTP, username, locale, userId) => {
+    return await queueMail({
+        to: email,
+        user: userId,
+        template: "password-reset",
+        locale,
+        variables: { otp: OTP, username, expiresInMinutes: 15 },
+        dedupeKey: otpMailKey("password-reset", email)
+    })
 }
 
 
-const sendForgotPasswordMail = async (email, OTP, username) => {
+const sendEmailChangeMail = async (newEmail, OTP, username, locale, userId) => {
+    return await queueMail({
+        to: newEmail,
+        user: userId,
+        template: "email-change",
+        locale,
+        variables: { otp: OTP, username, newEmail, expiresInMinutes: 20 },
+        dedupeKey: otpMailKey("email-change", newEmail)
+    })
+}
 
-    try {
-        const accessToken = await oAuth2Client.getAccessToken()
 
-        const transport = nodemailer.createTransport({
-            service: 'gmail',
-            auth: {
-                type: 'OAuth2',
-                user: process.env.OAUTH2_USER,
-                clientId: CLIENT_ID,
-                clientSecret: CLIENT_SECRET,
-                refreshToken: REFRESH_TOKEN,
-                accessToken: accessToken
-            }
-        })
+// any other mail to a user, e.g. a notification with a call to action
+const sendNotificationMail = async (user, { title, message, actionUrl, actionLabel }) => {
+    return await queueMail({
+        to: user.email,
+        user: user._id,
+        template: "notification",
+        locale: user.locale,
+        variables: { username: user.username, title, message, actionUrl, actionLabel }
+    })
+}
 
-        const mailOptions = {
-            from: process.env.OAUTH2_MAIL_SENDER,
-            to: [email],
-            subject:`Reset your password ${username}`,
-            html: `
-                <h1>Password Reset</h1>
-                <p>Hello ${username},</p>
-                <p>Your One-Time Password (OTP) to reset your password is <strong>${OTP}</strong>.</p>
-                <p>Please use this code to reset your password. This code will expire in 10 minutes.</p>
-                <p>If you did not request this, please ignore this email.</p>
-                <p>Thank you!</p>
-                    `,
-        }
-        await transport.sendMail(mailOptions)
-        console.log("password reset mail sent successfully.")
 
-    } catch (error) {
-        console.error(`Error sending password reset email to ${email}:`, error);
-    }
+const sendDataExportMail = async (user, downloadUrl, expiresAt) => {
+    return await queueMail({
+        to: user.email,
+        user: user._id,
+        template: "data-export",
+        locale: user.locale,
+        variables: { username: user.username, downloadUrl, expiresAt: expiresAt.toUTCString() }
+    })
 }
 
 
 export {
+    otpMailKey,
     sendVerificationMail,
-    sendForgotPasswordMail
+    sendForgotPasswordMail,
+    sendEmailChangeMail,
+    sendNotificationMail,
+    sendDataExportMail
 }
\ No newline at end of file
@@ -0,0 +1,94 @@
+import fs from 'fs'
+import { uploadOnCloudinary, deleteFromCloudinary, downloadFromCloudinary, cloudinaryFileFromUrl } from './cloudinary.js'
+import { uploadToLocalStorage, deleteFromLocalStorage, copyFromLocalStorage, localFileFromUrl } from './localStorage.js'
+
+const drivers = {
+    cloudinary: {
+        upload: uploadOnCloudinary,
+        remove: deleteFromCloudinary,
+        download: downloadFromCloudinary,
+        fromUrl: cloudinaryFileFromUrl
+    },
+    local: {
+        upload: uploadToLocalStorage,
+        remove: deleteFromLocalStorage,
+        download: copyFromLocalStorage,
+        fromUrl: localFileFromUrl
+    }
+}
+
+// STORAGE_DRIVER picks the driver, without it cloudinary is used only when it is configured
+const getStorageProvider = () => {
+    const provider = process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local")
+
+    if (!drivers[provider]) {
+        throw new Error(`Unknown storage driver: ${provider}. Allowed values: ${Object.keys(drivers).join(", ")}.`)
+    }
+
+    return provider
+}
+
+// stores the local file with the configured driver and always removes the local file
+// resolves to { url, provider, publicId, resourceType, duration } or to null if the upload failed
+const uploadFile = async (localFilePath, resourceType = 'auto') => {
+    if (!localFilePath) return null;
+
+    try {
+        const provider = getStorageProvider()
+        const uploadResult = await drivers[provider].upload(localFilePath, resourceType)
+
+        return { ...uploadResult, provider }
+    } catch (error) {
+        console.log("File upload Error on Storage || ", error)
+        return null
+    } finally {
+        fs.rmSync(localFilePath, { force: true })
+    }
+}
+
+// accepts the stored file metadata ({ url, provider, publicId, resourceType }) or, for files stored before it existed, the url
+const resolveStoredFile = (file) => {
+    if (!file) return null;
+
+    if (typeof file !== 'string' && file.provider) return file;
+
+    const url = typeof file === 'string' ? file : file.url
+
+    if (!url) return null;
+
+    const provider = url.includes('cloudinary.com') ? 'cloudinary' : 'local'
+    const fileFromUrl = drivers[provider].fromUrl(url)
+
+    if (!fileFromUrl) {
+        console.log('Unrecognized file url: ', url);
+        return null;
+    }
+
+    return { url, provider, ...fileFromUrl }
+}
+
+const deleteFile = async (file) => {
+    const storedFile = resolveStoredFile(file)
+
+    if (!storedFile) return null;
+
+    try {
+        return await drivers[storedFile.provider].remove(storedFile.publicId, storedFile.resourceType)
+    } catch (error) {
+        console.log("Error deleting file from Storage || ", error);
+        return null;
+    }
+}
+
+// copies a stored file to the given local path, throws when it can't
+const downloadFile = async (file, destinationPath) => {
+    const storedFile = resolveStoredFile(file)
+
+    if (!storedFile) {
+        throw new Error("Unrecognized stored file.")
+    }
+
+    await drivers[storedFile.provider].download(storedFile, destinationPath)
+}
+
+export { getStorageProvider, uploadFile, deleteFile, downloadFile }
\ No newline at end of file
@@ -0,0 +1,95 @@
+import fs from 'fs'
+import zlib from 'zlib'
+import { once } from 'events'
+import { pipeline } from 'stream/promises'
+
+// Minimal streaming writer of .tar.gz archives (ustar format), enough for regular files with short names:
+//  addBuffer(name, buffer)   -> adds an in-memory file
+//  addFile(name, filePath)   -> streams a file from the disk
+//  finalize()                -> writes the end of the archive and resolves once it is on the disk
+//  abort()                   -> stops writing after an error and resolves once the file is closed
+
+const BLOCK_SIZE = 512
+
+const writeString = (header, value, offset, length) => {
+    header.write(value, offset, Math.min(Buffer.byteLength(value), length), "utf8")
+}
+
+// numeric fields are zero padded octal strings, terminated by a NUL
+const writeOctal = (header, value, offset, length) => {
+    writeString(header, value.toString(8).padStart(length - 1, "0"), offset, length - 1)
+}
+
+const tarHeader = (name, size, mtime) => {
+    if (Buffer.byteLength(name) > 100) {
+        throw new Error(`Archive entry name too long: ${name}`)
+    }
+
+    const header = Buffer.alloc(BLOCK_SIZE)
+
+    writeString(header, name, 0, 100)
+    writeOctal(header, 0o644, 100, 8) // mode
+    writeOctal(header, 0, 108, 8) // uid
+    writeOctal(header, 0, 116, 8) // gid
+    writeOctal(header, size, 124, 12)
+    writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12)
+    header.fill(" ", 148, 156) // the checksum is computed with its own field filled with spaces
+    writeString(header, "0", 156, 1) // regular file
+    writeString(header, "ustar\u0000", 257, 6)
+    writeString(header, "00", 263, 2)
+
+    const checksum = header.reduce((sum, byte) => sum + byte, 0)
+    writeString(header, checksum.toString(8).padStart(6, "0") + "\u0000 ", 148, 8)
+
+    return header
+}
+
+const padding = (size) => Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE)
+
+const createTarGzArchive = (outputPath) => {
+    const gzip = zlib.createGzip()
+    const output = fs.createWriteStream(outputPath)
+    const written = pipeline(gzip, output)
+
+    // an error while writing surfaces in finalize(), or doesn't matter anymore after abort()
+    written.catch(() => {})
+
+    const write = async (chunk) => {
+        if (!gzip.write(chunk)) {
+            await once(gzip, "drain")
+        }
+    }
+
+    const addBuffer = async (name, buffer) => {
+        await write(tarHeader(name, buffer.length, new Date()))
+        await write(buffer)
+        await write(padding(buffer.length))
+    }
+
+    const addFile = async (name, filePath) => {
+        const stats = await fs.promises.stat(filePath)
+
+        await write(tarHeader(name, stats.size, stats.mtime))
+        await pipeline(fs.createReadStream(filePath), gzip, { end: false })
+        await write(padding(stats.size))
+    }
+
+    // two empty blocks mark the end of the archive
+    const finalize = async () => {
+        gzip.end(Buffer.alloc(BLOCK_SIZE * 2))
+        await written
+    }
+
+    const abort = async () => {
+        gzip.destroy()
+        output.destroy()
+
+        if (!output.closed) {
+            await once(output, "close")
+        }
+    }
+
+    return { addBuffer, addFile, finalize, abort }
+}
+
+export { createTarGzArchive }
\ No newline at end of file
@@ -0,0 +1,82 @@
+import { User } from "../models/user.model.js";
+import { notify } from "./notification.js";
+import { getBlockedUserIds } from "./userRelations.js";
+
+// a hashtag or mention has to start the text or follow a character that can't be part of a word
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_#@])#([\p{L}\p{N}_]{1,50})/gu
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_#@.-])@([a-zA-Z0-9-_]{1,50})/gu
+
+const TAG_PATTERN = /^[\p{L}\p{N}_]{1,50}$/u
+
+// "#Tag" and "tag" are the same hashtag, returns null for anything that can't be a hashtag
+const normalizeHashtag = (tag = "") => {
+    const normalizedTag = String(tag).trim().replace(/^#/, "").toLowerCase()
+    return TAG_PATTERN.test(normalizedTag) ? normalizedTag : null
+}
+
+// unique lowercase hashtags and mentioned usernames of the given texts
+const parseTextEntities = (...texts) => {
+    const hashtags = new Set()
+    const usernames = new Set()
+
+    texts.filter(Boolean).forEach((text) => {
+        for (const match of String(text).matchAll(HASHTAG_PATTERN)) {
+            hashtags.add(match[1].toLowerCase())
+        }
+
+        for (const match of String(text).matchAll(MENTION_PATTERN)) {
+            usernames.add(match[1].toLowerCase())
+        }
+    })
+
+    return {
+        hashtags: [...hashtags],
+        usernames: [...usernames]
+    }
+}
+
+// parses the texts of the author and keeps only the mentions of existing users the author isn't blocked with
+const extractTextEntities = async (author, ...texts) => {
+    const { hashtags, usernames } = parseTextEntities(...texts)
+
+    const mentionedUsers = usernames.length > 0
+        ? await User.find({
+            username: { $in: usernames },
+            _id: { $nin: await getBlockedUserIds(author) },
+            deactivatedAt: { $exists: false }
+        }).select("username")
+        : []
+
+    return {
+        hashtags,
+        mentions: mentionedUsers.map((user) => ({
+            user: user._id,
+            username: user.username
+        }))
+    }
+}
+
+// notifies the users mentioned for the first time, an edit doesn't notify the already mentioned users again
+const notifyMentions = async ({ mentions = [], previousMentions = [], actor, video, tweet, comment }) => {
+    const previouslyMentioned = new Set(previousMentions.map((mention) => String(mention.user)))
+
+    const newMentions = mentions.filter((mention) => !previouslyMentioned.has(String(mention.user)))
+
+    await Promise.all(
+        newMentions.map((mention) => notify({
+            recipient: mention.user,
+            actor,
+            type: "mention",
+            video,
+            tweet,
+            comment
+        }))
+    )
+}
+
+export {
+    normalizeHashtag,
+    parseTextEntities,
+    extractTextEntities,
+    notifyMentions
+}
\ No newline at end of file
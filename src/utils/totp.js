@@ -0,0 +1,97 @@
+import crypto from 'crypto';
+
+// Time-based one-time passwords (RFC 6238) with the defaults every authenticator app supports:
+// HMAC-SHA1, 6 digits and a 30 seconds step
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+const DIGITS = 6
+const STEP_SECONDS = 30
+
+const base32Encode = (buffer) => {
+    let bits = ""
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, "0")
+    }
+
+    let encoded = ""
+    for (let i = 0; i < bits.length; i += 5) {
+        encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)]
+    }
+
+    return encoded
+}
+
+const base32Decode = (encoded) => {
+    let bits = ""
+    for (const char of encoded.replace(/=+$/, "").toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char)
+        if (value === -1) throw new Error("Invalid base32 character.");
+        bits += value.toString(2).padStart(5, "0")
+    }
+
+    const bytes = []
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2))
+    }
+
+    return Buffer.from(bytes)
+}
+
+// 160 bits secret, the size recommended by RFC 4226
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20))
+
+const currentTotpStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS)
+
+// HOTP (RFC 4226) of the given time step
+const totpAt = (secret, step) => {
+    const counter = Buffer.alloc(8)
+    counter.writeBigUInt64BE(BigInt(step))
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest()
+
+    const offset = hmac[hmac.length - 1] & 0x0f
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS
+
+    return String(code).padStart(DIGITS, "0")
+}
+
+// returns the matching time step (so that the caller can refuse to accept it twice) or null
+// one step of clock drift is tolerated in both directions
+const verifyTotp = (secret, code, window = 1) => {
+    const normalizedCode = String(code || "").replace(/\s/g, "")
+
+    if (!/^\d{6}$/.test(normalizedCode)) return null;
+
+    const step = currentTotpStep()
+
+    for (let drift = -window; drift <= window; drift++) {
+        const expectedCode = Buffer.from(totpAt(secret, step + drift))
+
+        if (crypto.timingSafeEqual(expectedCode, Buffer.from(normalizedCode))) {
+            return step + drift
+        }
+    }
+
+    return null
+}
+
+// the otpauth:// uri authenticator apps read from a QR code
+const totpProvisioningUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`)
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    })
+
+    return `otpauth://totp/${label}?${params.toString()}`
+}
+
+export {
+    generateTotpSecret,
+    totpAt,
+    verifyTotp,
+    totpProvisioningUri
+}
\ No newline at end of file
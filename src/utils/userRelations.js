@@ -0,0 +1,136 @@
+import mongoose from 'mongoose'
+import { Block } from '../models/block.model.js'
+import { Mute } from '../models/mute.model.js'
+import { Subscription } from '../models/subscription.model.js'
+import { User } from '../models/user.model.js'
+import { ApiError } from './ApiError.js'
+
+// Blocks work both ways: neither user sees the other's content nor can interact with it.
+// Mutes only hide the muted user's content from the muter.
+// Private accounts only show their content to their approved subscribers.
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id))
+
+const isBlockedBetween = async (userId, otherUserId) => {
+    if (!userId || !otherUserId) return false;
+
+    return Boolean(await Block.exists({
+        $or: [
+            { blocker: userId, blocked: otherUserId },
+            { blocker: otherUserId, blocked: userId }
+        ]
+    }))
+}
+
+// throws when either user blocked the other one
+const assertNotBlocked = async (userId, otherUserId, message = "You can't interact with this user.") => {
+    if (await isBlockedBetween(userId, otherUserId)) {
+        throw new ApiError(403, message)
+    }
+}
+
+// users the given user blocked or was blocked by
+const getBlockedUserIds = async (userId) => {
+    if (!userId) return [];
+
+    const blocks = await Block.find({
+        $or: [{ blocker: userId }, { blocked: userId }]
+    }).select("blocker blocked").lean()
+
+    const blockedIds = blocks.map((block) => (
+        String(block.blocker) === String(userId) ? block.blocked : block.blocker
+    ))
+
+    return blockedIds.map(toObjectId)
+}
+
+// users whose content the given user doesn't see in lists and feeds: the blocked ones and the muted ones
+const getHiddenUserIds = async (userId) => {
+    if (!userId) return [];
+
+    const [blockedIds, mutes] = await Promise.all([
+        getBlockedUserIds(userId),
+        Mute.find({ muter: userId }).select("muted").lean()
+    ])
+
+    return [...blockedIds, ...mutes.map((mute) => toObjectId(mute.muted))]
+}
+
+// subscriptions made before private accounts existed have no status, they count as approved
+const approvedSubscriptions = { status: { $ne: "pending" } }
+
+// whether the user can see the tweets, videos, playlists and subscriptions of the owner
+const canViewUserContent = async (userId, ownerId) => {
+    if (userId && String(userId) === String(ownerId)) return true;
+
+    const owner = await User.findById(ownerId).select("isPrivate")
+
+    if (!owner?.isPrivate) return true;
+    if (!userId) return false;
+
+    return Boolean(await Subscription.exists({ subscriber: userId, channel: ownerId, ...approvedSubscriptions }))
+}
+
+const assertCanViewUserContent = async (userId, ownerId) => {
+    if (!(await canViewUserContent(userId, ownerId))) {
+        throw new ApiError(403, "This account is private. Only its approved subscribers can see it.")
+    }
+}
+
+// stages leaving out of a list the content of the private accounts the given user can't see,
+// the owner of each item is looked up rather than listing every private account
+const visibleOwnersStages = (userId, field = "owner") => [
+    {
+        $lookup: {
+            from: "users",
+            localField: field,
+            foreignField: "_id",
+            as: "ownerPrivacy",
+            pipeline: [{ $project: { isPrivate: 1 } }]
+        }
+    },
+    ...(userId ? [
+        {
+            $lookup: {
+                from: "subscriptions",
+                localField: field,
+                foreignField: "channel",
+                as: "viewerSubscription",
+                pipeline: [
+                    { $match: { subscriber: toObjectId(userId), ...approvedSubscriptions } },
+                    { $limit: 1 },
+                    { $project: { _id: 1 } }
+                ]
+            }
+        }
+    ] : []),
+    {
+        $match: {
+            $or: [
+                { "ownerPrivacy.isPrivate": { $ne: true } },
+                ...(userId ? [
+                    { [field]: toObjectId(userId) },
+                    { "viewerSubscription.0": { $exists: true } }
+                ] : [])
+            ]
+        }
+    },
+    { $unset: userId ? ["ownerPrivacy", "viewerSubscription"] : ["ownerPrivacy"] }
+]
+
+// $match condition on the owner of the content, nothing when no user is hidden
+const excludeOwners = (userIds, field = "owner") => (
+    userIds.length > 0 ? { [field]: { $nin: userIds } } : {}
+)
+
+export {
+    isBlockedBetween,
+    assertNotBlocked,
+    getBlockedUserIds,
+    getHiddenUserIds,
+    approvedSubscriptions,
+    canViewUserContent,
+    assertCanViewUserContent,
+    visibleOwnersStages,
+    excludeOwners
+}
\ No newline at end of file
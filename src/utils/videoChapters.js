@@ -0,0 +1,125 @@
+import { ApiError } from './ApiError.js'
+import {
+    VIDEO_CHAPTERS_MAX_COUNT,
+    VIDEO_CHAPTERS_MIN_COUNT,
+    VIDEO_CHAPTER_MIN_SECONDS,
+    VIDEO_CHAPTER_TITLE_MAX_LENGTH
+} from '../constants.js'
+
+// Chapters split a video into titled parts:
+// - set by the owner through the chapters endpoint (chaptersSource "manual"), they are checked when saved
+// - otherwise parsed from the "00:00 Intro" lines of the description whenever the video is read,
+//   a description whose timestamps don't make valid chapters simply has none
+// Valid chapters start at 0:00, are in ascending order, last at least VIDEO_CHAPTER_MIN_SECONDS and fit in the video.
+
+// "1:02:03", "02:03" or "2:03", with the title after an optional separator
+const TIMESTAMP_LINE = /^\s*[([]?((?:\d+:)?\d{1,2}:\d{2})[)\]]?\s*[-–—:|]?\s*(\S.*?)\s*$/
+
+// seconds of a "1:02:03" timestamp (numbers are taken as seconds), NaN when invalid
+const parseTimestamp = (value) => {
+    if (typeof value === "number") return value;
+
+    const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})$/.exec(String(value ?? "").trim())
+
+    if (!match) return NaN;
+
+    const [, hours, minutes, seconds] = match
+
+    if (Number(seconds) >= 60 || (hours !== undefined && Number(minutes) >= 60)) return NaN;
+
+    return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds)
+}
+
+const parseDescriptionChapters = (description = "") => description
+    .split(/\r?\n/)
+    .map((line) => TIMESTAMP_LINE.exec(line))
+    .filter(Boolean)
+    .map(([, timestamp, title]) => ({ start: parseTimestamp(timestamp), title }))
+
+// the reason the chapters don't fit a video of the given duration, null when they are valid
+const findChaptersError = (chapters, duration) => {
+    if (chapters.length < VIDEO_CHAPTERS_MIN_COUNT) {
+        return `A video needs at least ${VIDEO_CHAPTERS_MIN_COUNT} chapters.`
+    }
+
+    if (chapters.length > VIDEO_CHAPTERS_MAX_COUNT) {
+        return `A video can have at most ${VIDEO_CHAPTERS_MAX_COUNT} chapters.`
+    }
+
+    if (chapters[0].start !== 0) {
+        return "The first chapter must start at 0:00."
+    }
+
+    for (const [index, chapter] of chapters.entries()) {
+        const end = index + 1 < chapters.length ? chapters[index + 1].start : duration
+
+        if (!Number.isFinite(chapter.start)) {
+            return `Chapter ${index + 1} has an invalid start time.`
+        }
+
+        if (!chapter.title) {
+            return `Chapter ${index + 1} has no title.`
+        }
+
+        if (chapter.title.length > VIDEO_CHAPTER_TITLE_MAX_LENGTH) {
+            return `Chapter titles can't be longer than ${VIDEO_CHAPTER_TITLE_MAX_LENGTH} characters.`
+        }
+
+        if (duration > 0 && chapter.start >= duration) {
+            return `Chapter ${index + 1} starts after the end of the video.`
+        }
+
+        if (end <= chapter.start) {
+            return "The chapters must be in ascending order."
+        }
+
+        if (end - chapter.start < VIDEO_CHAPTER_MIN_SECONDS) {
+            return `Chapter ${index + 1} must last at least ${VIDEO_CHAPTER_MIN_SECONDS} seconds.`
+        }
+    }
+
+    return null
+}
+
+// the chapters of the request body, [{ start, title }] with the start in seconds or as "1:02:03"
+const getChaptersFromBody = ({ chapters }, duration) => {
+    if (!Array.isArray(chapters)) {
+        throw new ApiError(400, "Chapters must be a list of { start, title }.")
+    }
+
+    // an empty list turns the chapters off, the description isn't parsed anymore
+    if (chapters.length === 0) return [];
+
+    const parsedChapters = chapters.map((chapter) => ({
+        start: parseTimestamp(chapter?.start),
+        title: String(chapter?.title ?? "").trim()
+    }))
+
+    const error = findChaptersError(parsedChapters, duration)
+
+    if (error) {
+        throw new ApiError(400, error)
+    }
+
+    return parsedChapters
+}
+
+// the chapters shown with the video, each with its end
+const chaptersOf = (video) => {
+    const chapters = video.chaptersSource === "manual"
+        ? video.chapters || []
+        : parseDescriptionChapters(video.description)
+
+    if (chapters.length === 0 || findChaptersError(chapters, video.duration)) return [];
+
+    return chapters.map((chapter, index) => ({
+        start: chapter.start,
+        end: index + 1 < chapters.length ? chapters[index + 1].start : video.duration,
+        title: chapter.title
+    }))
+}
+
+export {
+    getChaptersFromBody,
+    chaptersOf
+}
\ No newline at end of file
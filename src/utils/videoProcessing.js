@@ -0,0 +1,374 @@
+import fs from 'fs'
+import path from 'path'
+import { execFile } from 'child_process'
+import { promisify } from 'util'
+import { Video } from '../models/video.model.js'
+import { deleteFile, downloadFile, uploadFile } from './storage.js'
+import {
+    HLS_RENDITIONS,
+    HLS_SEGMENT_SECONDS,
+    THUMBNAIL_CANDIDATES_COUNT,
+    VIDEO_PROCESSING_MAX_ATTEMPTS
+} from '../constants.js'
+
+// Every uploaded video is transcoded in the background into HLS renditions (a playlist and its segments per
+// resolution) and a master playlist listing them. The storage layer gives each file its own url, so the segments
+// are stored first and the playlists are rewritten to point to their urls before being stored themselves.
+// Frames at evenly spaced timestamps are stored along with them, offered to the owner as thumbnails.
+
+// kept outside of "public", the sources and renditions of unpublished videos are never served while transcoding
+const processingDir = () => path.resolve(process.env.VIDEO_PROCESSING_DIR || "./processing")
+
+// an attempt running for longer than this is considered abandoned and is started again
+const PROCESSING_LOCK_MS = 2 * 60 * 60 * 1000
+
+const execFileAsync = promisify(execFile)
+
+const ffmpegPath = () => process.env.FFMPEG_PATH || "ffmpeg"
+const ffprobePath = () => process.env.FFPROBE_PATH || "ffprobe"
+
+// $match condition of the videos that can be listed and played, the ones without status predate the renditions
+const playableVideos = { status: { $nin: ["processing", "failed"] } }
+
+const probeVideo = async (filePath) => {
+    const { stdout } = await execFileAsync(ffprobePath(), [
+        "-v", "error",
+        "-show_entries", "stream=codec_type,width,height:format=duration",
+        "-of", "json",
+        filePath
+    ])
+
+    const { streams = [], format = {} } = JSON.parse(stdout)
+    const videoStream = streams.find((stream) => stream.codec_type === "video")
+
+    if (!videoStream?.width || !videoStream?.height) {
+        throw new Error("The uploaded file has no video stream.")
+    }
+
+    return {
+        width: videoStream.width,
+        height: videoStream.height,
+        duration: parseFloat(format.duration) || 0,
+        hasAudio: streams.some((stream) => stream.codec_type === "audio")
+    }
+}
+
+// the renditions not taller than the source, a small source still gets the smallest one
+const renditionsFor = (source) => {
+    const renditions = HLS_RENDITIONS.filter((rendition) => rendition.height <= source.height)
+
+    return renditions.length > 0 ? renditions : HLS_RENDITIONS.slice(-1)
+}
+
+const transcodeRendition = async (sourcePath, outputDir, rendition, hasAudio) => {
+    await fs.promises.mkdir(outputDir, { recursive: true })
+
+    await execFileAsync(ffmpegPath(), [
+        "-v", "error",
+        "-y",
+        "-i", sourcePath,
+        "-map", "0:v:0",
+        ...(hasAudio ? ["-map", "0:a:0", "-c:a", "aac", "-b:a", `${rendition.audioBitrate}k`, "-ac", "2"] : []),
+        "-vf", `scale=-2:${rendition.height}`,
+        "-c:v", "libx264",
+        "-preset", "veryfast",
+        "-pix_fmt", "yuv420p",
+        "-b:v", `${rendition.videoBitrate}k`,
+        "-maxrate", `${Math.round(rendition.videoBitrate * 1.1)}k`,
+        "-bufsize", `${rendition.videoBitrate * 2}k`,
+        // a keyframe at every segment boundary, so the renditions can be switched between segments
+        "-force_key_frames", `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+        "-sc_threshold", "0",
+        "-hls_time", String(HLS_SEGMENT_SECONDS),
+        "-hls_playlist_type", "vod",
+        "-hls_segment_filename", path.join(outputDir, "segment_%04d.ts"),
+        path.join(outputDir, "index.m3u8")
+    ])
+}
+
+// stores a file of the renditions, keeping track of it so everything can be removed if a later step fails
+const storeFile = async (filePath, storedFiles) => {
+    const storedFile = await uploadFile(filePath, "raw")
+
+    if (!storedFile) {
+        throw new Error(`Storing ${path.basename(filePath)} failed.`)
+    }
+
+    storedFiles.push(storedFile)
+
+    return storedFile
+}
+
+// stores the segments, then the playlist rewritten with their urls
+const storeRendition = async (outputDir, storedFiles) => {
+    const playlist = await fs.promises.readFile(path.join(outputDir, "index.m3u8"), "utf8")
+    const lines = []
+
+    for (const line of playlist.split("\n")) {
+        const segmentName = line.trim()
+
+        if (!segmentName || segmentName.startsWith("#")) {
+            lines.push(line)
+            continue
+        }
+
+        const segment = await storeFile(path.join(outputDir, segmentName), storedFiles)
+        lines.push(segment.url)
+    }
+
+    const storedPlaylistPath = path.join(outputDir, "playlist.m3u8")
+    await fs.promises.writeFile(storedPlaylistPath, lines.join("\n"))
+
+    return await storeFile(storedPlaylistPath, storedFiles)
+}
+
+const masterPlaylist = (renditions) => [
+    "#EXTM3U",
+    "#EXT-X-VERSION:3",
+    ...renditions.flatMap((rendition) => [
+        `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.name}"`,
+        rendition.playlist
+    ])
+].join("\n") + "\n"
+
+const removeStoredFiles = async (files = []) => {
+    await Promise.all(files.map((file) => deleteFile(file)))
+}
+
+// whether the thumbnail is one of the candidates, whose files are removed with the renditions
+const isCandidateThumbnail = (video) => Boolean(
+    video.thumbnail && video.thumbnailCandidates?.some((candidate) => candidate.url === video.thumbnail)
+)
+
+// removes the stored renditions and thumbnail candidates of a video, along with the video
+const removeRenditions = async (video) => {
+    await removeStoredFiles(video.hls?.files)
+    await removeStoredFiles(video.thumbnailCandidates?.map((candidate) => candidate.storage || candidate.url))
+}
+
+// removes the thumbnail being replaced, unless it is a candidate the owner can still pick
+const removeThumbnail = async (video) => {
+    if (!video.thumbnail || isCandidateThumbnail(video)) return;
+
+    await deleteFile(video.thumbnailStorage || video.thumbnail)
+}
+
+// the input can be a local path or the url of the stored video, ffmpeg only fetches what it needs around the timestamp
+const extractFrame = async (input, timestamp, outputPath) => {
+    await execFileAsync(ffmpegPath(), [
+        "-v", "error",
+        "-y",
+        "-ss", timestamp.toFixed(3),
+        "-i", input,
+        "-frames:v", "1",
+        "-vf", "scale=-2:'min(720,ih)'",
+        "-q:v", "3",
+        outputPath
+    ])
+
+    const { size } = await fs.promises.stat(outputPath)
+
+    if (!size) {
+        throw new Error(`No frame could be extracted at ${timestamp}s.`)
+    }
+
+    return size
+}
+
+// a frame at evenly spaced timestamps, the very beginning and end (often black) are skipped
+const extractThumbnailCandidates = async (sourcePath, source, workDir, storedCandidates) => {
+    const candidates = []
+
+    for (let index = 1; index <= THUMBNAIL_CANDIDATES_COUNT; index++) {
+        const timestamp = (source.duration * index) / (THUMBNAIL_CANDIDATES_COUNT + 1)
+        const framePath = path.join(workDir, `candidate_${index}.jpg`)
+
+        const size = await extractFrame(sourcePath, timestamp, framePath)
+        const storedFrame = await uploadFile(framePath, "image")
+
+        if (!storedFrame) {
+            throw new Error(`Storing the thumbnail candidate at ${timestamp}s failed.`)
+        }
+
+        storedCandidates.push(storedFrame)
+
+        // a detailed frame compresses worse than a blank or blurry one, so its size is used as its score
+        candidates.push({ timestamp, url: storedFrame.url, storage: storedFrame, score: size })
+    }
+
+    return candidates
+}
+
+// the candidate used when the owner didn't upload a thumbnail
+const bestCandidate = (candidates) => candidates.reduce(
+    (best, candidate) => (!best || candidate.score > best.score ? candidate : best),
+    null
+)
+
+// stores the frame of the video at the given timestamp, to use it as its thumbnail
+const extractThumbnailAt = async (video, timestamp) => {
+    const workDir = path.join(processingDir(), `${video._id}-thumbnail-${Date.now()}`)
+    const framePath = path.join(workDir, "thumbnail.jpg")
+
+    try {
+        await fs.promises.mkdir(workDir, { recursive: true })
+        await extractFrame(video.videoFile, timestamp, framePath)
+
+        return await uploadFile(framePath, "image")
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true })
+    }
+}
+
+const buildRenditions = async (sourcePath, source, workDir, storedFiles) => {
+    const renditions = []
+
+    // one at a time, ffmpeg already uses every core
+    for (const rendition of renditionsFor(source)) {
+        const outputDir = path.join(workDir, rendition.name)
+
+        await transcodeRendition(sourcePath, outputDir, rendition, source.hasAudio)
+
+        const playlist = await storeRendition(outputDir, storedFiles)
+
+        renditions.push({
+            name: rendition.name,
+            width: Math.round((source.width * rendition.height) / source.height / 2) * 2,
+            height: rendition.height,
+            bandwidth: (rendition.videoBitrate + (source.hasAudio ? rendition.audioBitrate : 0)) * 1000,
+            playlist: playlist.url
+        })
+
+        await fs.promises.rm(outputDir, { recursive: true, force: true })
+    }
+
+    const masterPath = path.join(workDir, "master.m3u8")
+    await fs.promises.writeFile(masterPath, masterPlaylist(renditions))
+
+    const master = await storeFile(masterPath, storedFiles)
+
+    return { masterPlaylist: master.url, renditions }
+}
+
+// atomically takes a video waiting for its renditions for a new attempt
+const claimVideo = async () => {
+    const now = new Date()
+
+    return await Video.findOneAndUpdate(
+        {
+            status: "processing",
+            $or: [
+                { processingStartedAt: { $exists: false } },
+                { processingStartedAt: { $lte: new Date(now.getTime() - PROCESSING_LOCK_MS) } }
+            ]
+        },
+        { $set: { processingStartedAt: now }, $inc: { processingAttempts: 1 } },
+        { new: true, sort: { createdAt: 1 } }
+    )
+}
+
+// makes the renditions of a claimed video, a failed attempt is retried by the worker
+const processVideo = async (video) => {
+    const workDir = path.join(processingDir(), String(video._id))
+    const storedFiles = []
+    const storedCandidates = []
+
+    // the attempt only updates the video it claimed, not one deleted or taken over by another attempt meanwhile
+    const claimedVideo = { _id: video._id, processingStartedAt: video.processingStartedAt }
+
+    try {
+        await fs.promises.mkdir(workDir, { recursive: true })
+
+        const sourcePath = path.join(workDir, `source${path.extname(String(video.videoFile).split("?")[0]).toLowerCase()}`)
+
+        await downloadFile(video.videoFileStorage || video.videoFile, sourcePath)
+
+        const source = await probeVideo(sourcePath)
+
+        const thumbnailCandidates = await extractThumbnailCandidates(sourcePath, source, workDir, storedCandidates)
+        const { masterPlaylist, renditions } = await buildRenditions(sourcePath, source, workDir, storedFiles)
+
+        // without an uploaded thumbnail the best candidate is used
+        const defaultThumbnail = !video.thumbnail && bestCandidate(thumbnailCandidates)
+
+        const readyVideo = await Video.findOneAndUpdate(
+            claimedVideo,
+            {
+                $set: {
+                    status: "ready",
+                    duration: video.duration || source.duration,
+                    hls: { masterPlaylist, renditions, files: storedFiles },
+                    thumbnailCandidates,
+                    ...(defaultThumbnail && {
+                        thumbnail: defaultThumbnail.url,
+                        thumbnailStorage: defaultThumbnail.storage
+                    })
+                },
+                $unset: { processingStartedAt: 1, processingError: 1 }
+            },
+            { new: true }
+        )
+
+        if (!readyVideo) {
+            await removeStoredFiles([...storedFiles, ...storedCandidates])
+        }
+
+        return readyVideo
+    } catch (error) {
+        console.error(`Error processing the video ${video._id}:`, error);
+
+        await removeStoredFiles([...storedFiles, ...storedCandidates])
+
+        const isFailed = video.processingAttempts >= VIDEO_PROCESSING_MAX_ATTEMPTS
+
+        return await Video.findOneAndUpdate(
+            claimedVideo,
+            {
+                $set: {
+                    status: isFailed ? "failed" : "processing",
+                    processingError: error?.message || String(error)
+                },
+                $unset: { processingStartedAt: 1 }
+            },
+            { new: true }
+        )
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true })
+    }
+}
+
+let isProcessing = false
+
+// the processing worker, transcodes the waiting videos one after the other
+const processVideos = async () => {
+    if (isProcessing) return;
+
+    isProcessing = true
+
+    try {
+        let video
+
+        while ((video = await claimVideo())) {
+            await processVideo(video)
+        }
+    } catch (error) {
+        console.error("Error processing the videos:", error);
+    } finally {
+        isProcessing = false
+    }
+}
+
+// starts processing a new upload right away, the request that stored it doesn't wait for the renditions
+const startVideoProcessing = () => {
+    setImmediate(processVideos)
+}
+
+export {
+    playableVideos,
+    isCandidateThumbnail,
+    removeRenditions,
+    removeThumbnail,
+    extractThumbnailAt,
+    processVideos,
+    startVideoProcessing
+}
\ No newline at end of file
@@ -0,0 +1,76 @@
+import { Video } from '../models/video.model.js'
+import { ApiError } from './ApiError.js'
+import { playableVideos } from './videoProcessing.js'
+
+// Who can see a video:
+// - draft and private: only its owner
+// - unlisted: anyone with its id, it isn't listed anywhere
+// - public: everyone, everywhere
+// A video scheduled with publishAt stays private until the scheduler makes it public.
+// isPublished mirrors "public", so the listings keep matching { isPublished: true }, and the videos
+// from before the visibility states (isPublished only) are public when published and private otherwise.
+
+const VIDEO_VISIBILITIES = ["draft", "private", "unlisted", "public"]
+
+// the fields to set to change the visibility of a video
+const visibilityUpdate = (visibility) => ({ visibility, isPublished: visibility === "public" })
+
+// reads the visibility and the optional publishAt of the request body,
+// a scheduled video is private until the scheduler makes it public at publishAt
+const getVisibilityOptions = ({ visibility = "public", publishAt }) => {
+    if (!VIDEO_VISIBILITIES.includes(visibility)) {
+        throw new ApiError(400, `Invalid visibility. Allowed values: ${VIDEO_VISIBILITIES.join(", ")}.`)
+    }
+
+    if (publishAt === undefined || publishAt === null || publishAt === "") {
+        return { ...visibilityUpdate(visibility), publishAt: undefined }
+    }
+
+    const publishDate = new Date(publishAt)
+
+    if (isNaN(publishDate) || publishDate <= new Date()) {
+        throw new ApiError(400, "publishAt must be a date in the future.")
+    }
+
+    return { ...visibilityUpdate("private"), publishAt: publishDate }
+}
+
+// $match condition of the videos listed for the given user, the owner sees all of theirs
+// only in the listing of their own channel (channelId), never in the public listings
+const listableVideosFor = (userId, channelId) => {
+    const listable = { isPublished: true, ...playableVideos }
+    const isOwnChannel = Boolean(userId && channelId && String(userId) === String(channelId))
+
+    return isOwnChannel ? { $or: [listable, { owner: userId }] } : listable
+}
+
+// $match condition of the videos the given user can open by their id, the unlisted ones included
+const watchableVideosFor = (userId) => {
+    const watchable = {
+        $or: [{ isPublished: true }, { visibility: "unlisted" }],
+        ...playableVideos
+    }
+
+    return userId ? { $or: [watchable, { owner: userId }] } : watchable
+}
+
+// the scheduler, makes public the scheduled videos whose time has come
+const publishScheduledVideos = async () => {
+    try {
+        await Video.updateMany(
+            { publishAt: { $lte: new Date() } },
+            { $set: visibilityUpdate("public"), $unset: { publishAt: 1 } }
+        )
+    } catch (error) {
+        console.error("Error publishing the scheduled videos:", error);
+    }
+}
+
+export {
+    VIDEO_VISIBILITIES,
+    visibilityUpdate,
+    getVisibilityOptions,
+    listableVideosFor,
+    watchableVideosFor,
+    publishScheduledVideos
+}
\ No newline at end of file
@@ -0,0 +1,254 @@
+import crypto from 'crypto'
+import { Video } from '../models/video.model.js'
+import { ViewEvent } from '../models/viewEvent.model.js'
+import { VideoDailyStat } from '../models/videoDailyStat.model.js'
+import { startOfDay } from './analytics.js'
+import { VIEW_DEDUPE_WINDOW_HOURS, VIEW_MIN_WATCH_SECONDS, VIEW_WATCH_SLACK_SECONDS } from '../constants.js'
+
+// Views are counted from the watch time the player reports, not from the requests for the video:
+// - a viewer (the user, or an anonymous viewer told apart by their ip address and user agent) has one event
+//   per video and dedupe window, reopening or reloading the video only updates it
+// - the event counts as a view once the minimum watch time is reached, the owner and the bots are never counted
+// - the reported watch time is capped by the time elapsed since the event started, on the server's clock,
+//   so the player reports once when the playback starts and then as the video plays
+// - the rollup worker adds the new views and watch time to Video.views and to the daily counters (VideoDailyStat)
+
+// a rollup running for longer than this is considered abandoned, its events are taken again
+const ROLLUP_LOCK_MS = 10 * 60 * 1000
+const ROLLUP_BATCH_SIZE = 500
+
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|preview|headless/i
+
+const isBot = (req) => BOT_USER_AGENT.test(req.get("user-agent") || "")
+
+const getViewerKey = (req) => {
+    if (req.user) return `user:${req.user._id}`;
+
+    const fingerprint = `${req.ip}|${req.get("user-agent") || ""}`
+
+    return `anon:${crypto.createHash("sha256").update(fingerprint).digest("hex")}`
+}
+
+// half of a short video is enough to count a view
+const minWatchSecondsOf = (video) => (
+    video.duration > 0 ? Math.min(VIEW_MIN_WATCH_SECONDS, video.duration / 2) : VIEW_MIN_WATCH_SECONDS
+)
+
+// start of the dedupe window the given time falls in, the windows are fixed so that the key of an event is known upfront
+const windowStartOf = (date) => {
+    const windowMs = VIEW_DEDUPE_WINDOW_HOURS * 60 * 60 * 1000
+
+    return new Date(Math.floor(date.getTime() / windowMs) * windowMs)
+}
+
+// records the watch time reported for the video, resolves to the viewer's event, or null when it isn't recorded
+const recordView = async (req, video, watchedSeconds) => {
+    if (isBot(req)) return null;
+    if (req.user && video.owner.equals(req.user._id)) return null;
+
+    // the watch time can't be longer than the video
+    const seconds = video.duration > 0 ? Math.min(watchedSeconds, video.duration) : watchedSeconds
+
+    const filter = { video: video._id, viewerKey: getViewerKey(req), windowStart: windowStartOf(new Date()) }
+    const insert = {
+        $setOnInsert: {
+            ...(req.user && { viewer: req.user._id }),
+            ...(req.sessionId && { session: req.sessionId })
+        }
+    }
+
+    let event;
+
+    try {
+        event = await ViewEvent.findOneAndUpdate(filter, insert, { new: true, upsert: true })
+    } catch (error) {
+        // a concurrent report of the same viewer inserted the event first, this one updates it
+        if (error?.code !== 11000) throw error;
+
+        event = await ViewEvent.findOne(filter)
+    }
+
+    const elapsedSeconds = (Date.now() - event.createdAt.getTime()) / 1000
+    const creditedSeconds = Math.min(seconds, elapsedSeconds + VIEW_WATCH_SLACK_SECONDS)
+
+    if (creditedSeconds > event.watchedSeconds) {
+        event = await ViewEvent.findOneAndUpdate(
+            { _id: event._id },
+            { $max: { watchedSeconds: creditedSeconds }, $set: { needsRollup: true } },
+            { new: true }
+        )
+    }
+
+    if (event.qualifiedAt || event.watchedSeconds < minWatchSecondsOf(video)) return event;
+
+    return await ViewEvent.findOneAndUpdate(
+        { _id: event._id, qualifiedAt: { $exists: false } },
+        { $set: { qualifiedAt: new Date(), needsRollup: true } },
+        { new: true }
+    ) || event
+}
+
+// atomically takes a batch of events with a view or watch time not added to the counters yet
+const claimEvents = async (rollupId) => {
+    const now = new Date()
+
+    const unclaimed = {
+        $or: [
+            { rollupId: { $exists: false } },
+            { rollupStartedAt: { $lte: new Date(now.getTime() - ROLLUP_LOCK_MS) } }
+        ]
+    }
+
+    const pendingEvents = await ViewEvent.find({ needsRollup: true, ...unclaimed })
+        .select("_id")
+        .limit(ROLLUP_BATCH_SIZE)
+        .lean()
+
+    if (pendingEvents.length === 0) return [];
+
+    await ViewEvent.updateMany(
+        { _id: { $in: pendingEvents.map((event) => event._id) }, ...unclaimed },
+        { $set: { rollupId, rollupStartedAt: now } }
+    )
+
+    return await ViewEvent.find({ rollupId })
+}
+
+const isNewView = (event) => Boolean(event.qualifiedAt && !event.countedAt)
+
+const viewerDayKey = (event) => `${event.video}|${event.viewerKey}|${startOfDay(event.createdAt).toISOString()}`
+
+// the viewers already counted on the days of the given views, a viewer is unique once per video and day
+const getCountedViewers = async (newViews) => {
+    if (newViews.length === 0) return new Set();
+
+    const since = startOfDay(new Date(Math.min(...newViews.map((event) => event.createdAt.getTime()))))
+
+    const countedEvents = await ViewEvent.find({
+        video: { $in: newViews.map((event) => event.video) },
+        viewerKey: { $in: newViews.map((event) => event.viewerKey) },
+        countedAt: { $exists: true },
+        createdAt: { $gte: since }
+    }).select("video viewerKey createdAt").lean()
+
+    return new Set(countedEvents.map(viewerDayKey))
+}
+
+// adds a batch of claimed events to the counters, resolves to the number of events rolled up
+const rollupBatch = async () => {
+    const rollupId = crypto.randomUUID()
+    const events = await claimEvents(rollupId)
+
+    if (events.length === 0) return 0;
+
+    const now = new Date()
+    const videos = await Video.find({ _id: { $in: events.map((event) => event.video) } }).select("owner")
+    const ownerOf = new Map(videos.map((video) => [String(video._id), video.owner]))
+    const countedViewers = await getCountedViewers(events.filter(isNewView))
+
+    const videoViews = new Map()
+    const dailyStats = new Map()
+
+    for (const event of events) {
+        const views = isNewView(event) ? 1 : 0
+        const watchSeconds = event.watchedSeconds - event.rolledUpSeconds
+        const videoId = String(event.video)
+
+        // the events of a deleted video are only marked as rolled up
+        if (!ownerOf.has(videoId)) continue;
+
+        videoViews.set(videoId, (videoViews.get(videoId) || 0) + views)
+
+        const date = startOfDay(event.createdAt)
+        const key = `${videoId}|${date.toISOString()}`
+        const stat = dailyStats.get(key) || { video: event.video, date, views: 0, uniqueViewers: 0, watchSeconds: 0 }
+
+        if (views && !countedViewers.has(viewerDayKey(event))) {
+            countedViewers.add(viewerDayKey(event))
+            stat.uniqueViewers += 1
+        }
+
+        stat.views += views
+        stat.watchSeconds += watchSeconds
+        dailyStats.set(key, stat)
+    }
+
+    const videoUpdates = [...videoViews]
+        .filter(([, views]) => views > 0)
+        .map(([videoId, views]) => ({
+            updateOne: { filter: { _id: videoId }, update: { $inc: { views } } }
+        }))
+
+    const statUpdates = [...dailyStats.values()].map((stat) => ({
+        updateOne: {
+            filter: { video: stat.video, date: stat.date },
+            update: {
+                $inc: { views: stat.views, uniqueViewers: stat.uniqueViewers, watchSeconds: stat.watchSeconds },
+                $setOnInsert: { owner: ownerOf.get(String(stat.video)) }
+            },
+            upsert: true
+        }
+    }))
+
+    if (videoUpdates.length > 0) await Video.bulkWrite(videoUpdates);
+    if (statUpdates.length > 0) await VideoDailyStat.bulkWrite(statUpdates);
+
+    // an event reported again during the rollup keeps needsRollup, the next rollup adds what changed
+    await ViewEvent.bulkWrite(events.flatMap((event) => {
+        const rolledUp = {
+            $set: {
+                rolledUpSeconds: event.watchedSeconds,
+                ...(isNewView(event) && { countedAt: now })
+            },
+            $unset: { rollupId: 1, rollupStartedAt: 1 }
+        }
+
+        return [
+            {
+                updateOne: {
+                    filter: {
+                        _id: event._id,
+                        rollupId,
+                        watchedSeconds: event.watchedSeconds,
+                        qualifiedAt: event.qualifiedAt || { $exists: false }
+                    },
+                    update: { ...rolledUp, $set: { ...rolledUp.$set, needsRollup: false } }
+                }
+            },
+            {
+                updateOne: { filter: { _id: event._id, rollupId }, update: rolledUp }
+            }
+        ]
+    }))
+
+    return events.length
+}
+
+// the rollup worker, adds the views and watch time reported since its last run to the counters
+const rollupViews = async () => {
+    try {
+        let rolledUp
+
+        do {
+            rolledUp = await rollupBatch()
+        } while (rolledUp === ROLLUP_BATCH_SIZE)
+    } catch (error) {
+        console.error("Error rolling up the video views:", error);
+    }
+}
+
+// removes the view events and the daily counters of the given videos
+const removeViewData = async (videoIds) => {
+    const [events, dailyStats] = await Promise.all([
+        ViewEvent.deleteMany({ video: { $in: videoIds } }),
+        VideoDailyStat.deleteMany({ video: { $in: videoIds } })
+    ])
+
+    return { events, dailyStats }
+}
+
+export {
+    recordView,
+    rollupViews,
+    removeViewData
+}
\ No newline at end of file